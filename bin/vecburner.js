@@ -0,0 +1,464 @@
+#!/usr/bin/env node
+/**
+ * Vecburner - 命令行工具
+ *
+ * 用法: vecburner input.png -o out.svg --preset logo
+ *
+ * 纯 Node.js 实现，使用内置解码器读取 PNG / PPM / PGM / BMP
+ */
+
+import { readFile, writeFile, mkdir, readdir, stat } from 'node:fs/promises';
+import path from 'node:path';
+import {
+    Vecburner,
+    vectorize,
+    vectorizeWithPreset,
+    decodeImage,
+    createLogger,
+    createPool,
+    PRESETS
+} from '../src/index.js';
+
+// ============ 参数定义 ============
+
+// vectorize() 的选项：命令行参数 -> [选项名, 类型]
+const VECTORIZE_OPTIONS = {
+    'num-colors': ['numColors', 'number|auto'],
+    'color-tolerance': ['colorTolerance', 'number'],
+    'path-tolerance': ['pathTolerance', 'number'],
+    'smoothness': ['smoothness', 'number'],
+    'min-path-length': ['minPathLength', 'number'],
+    'mode': ['mode', 'string'],
+    'binary-mode': ['binaryMode', 'boolean'],
+    'blur-sigma': ['blurSigma', 'number'],
+    'morphology': ['morphology', 'boolean'],
+    'contour-method': ['contourMethod', 'string'],
+    'upscale-method': ['upscaleMethod', 'string'],
+    'topology': ['topology', 'string'],
+    'hierarchy': ['hierarchy', 'string'],
+    'background': ['background', 'string'],
+    'alpha': ['alpha', 'string'],
+    'color-space': ['colorSpace', 'string'],
+    'palette': ['palette', 'colors'],
+    'lock-colors': ['lockColors', 'colors'],
+    'seed': ['seed', 'number'],
+    'quantizer': ['quantizer', 'string'],
+    'gradients': ['gradients', 'boolean'],
+    'descreen': ['descreen', 'boolean|number'],
+    'variable-width': ['variableWidth', 'boolean'],
+    'primitives': ['primitives', 'boolean|number'],
+    'arcs': ['arcs', 'boolean']
+};
+
+// 分块模式的选项
+const BLOCK_OPTIONS = {
+    'min-block-area': ['minBlockArea', 'number'],
+    'merge-gap': ['mergeGap', 'number'],
+    'padding': ['padding', 'number']
+};
+
+const SUPPORTED_EXT = new Set(['.png', '.ppm', '.pgm', '.pbm', '.pnm', '.bmp']);
+
+const HELP = `Usage: vecburner <input...> [options]
+
+Convert PNG / PPM / PGM / BMP images to SVG.
+
+Inputs may be files, directories or glob patterns ("icons/**/*.png").
+
+Output:
+  -o, --output <file>        Output SVG file (single input only)
+  -d, --out-dir <dir>        Output directory for batch runs
+      --json                 Print layer/colour metadata as JSON
+  -q, --quiet                Suppress diagnostics on stderr
+      --verbose              Include debug diagnostics
+      --workers <n>          Trace colour layers in n worker threads
+
+Presets:
+  -p, --preset <name>        auto | smart | blocks | ${Object.keys(PRESETS).join(' | ')}
+
+Vectorize options (override the preset):
+      --num-colors <n>       Number of colours to extract, or auto
+      --color-tolerance <n>  Colour matching tolerance
+      --path-tolerance <n>   Path simplification tolerance
+      --smoothness <n>       Curve smoothness level
+      --min-path-length <n>  Minimum region size in pixels
+      --mode <mode>          spline | polygon | centerline
+      --binary-mode          Binary (2-colour) mode
+      --blur-sigma <n>       Gaussian blur sigma before tracing
+      --[no-]morphology      Morphological closing in binary mode
+      --contour-method <m>   marching | vtracer | hybrid
+      --upscale-method <m>   auto | nearest | bilinear | bicubic
+      --topology <t>         layered | shared (gap-free shared boundaries)
+      --hierarchy <h>        cutout | stacked (lower layers fill covered holes)
+      --background <c>       auto | none | CSS colour
+      --alpha <a>            threshold | quantize (semi-transparent fills)
+      --color-space <s>      rgb | lab | oklab (colour distance for quantization)
+      --palette <list>       Fixed palette, e.g. "#e30613,#ffffff" (no clustering)
+      --lock-colors <list>   Colours K-Means must keep; the rest are clustered
+      --seed <n>             Random seed for K-Means++ initialization
+      --quantizer <q>        kmeans | median-cut | wu | octree
+      --gradients            Emit smooth colour ramps as linear/radial gradients
+      --[no-]descreen[=<n>]  Remove halftone/dither before quantization (n: screen period)
+      --variable-width       Centerline strokes as filled outlines following the line width
+      --primitives[=<px>]    Emit circles, ellipses, rects and lines as native elements (px: tolerance)
+      --arcs                 Emit circular arcs as SVG A commands
+
+Block options (--preset smart | blocks):
+      --min-block-area <n>   Minimum block area
+      --merge-gap <n>        Block merge distance
+      --padding <n>          Crop padding
+
+  -h, --help                 Show this help
+  -v, --version              Show version
+
+Without -o / -d a single input is written to stdout; multiple inputs are
+written next to the source files. With -d each output keeps its path relative
+to the directory or glob base it was found under.`;
+
+/**
+ * 解析命令行参数
+ * @param {string[]} argv - process.argv.slice(2)
+ * @returns {Object} { inputs, output, outDir, preset, json, quiet, verbose, workers, options, help, version }
+ */
+function parseArgs(argv) {
+    const args = {
+        inputs: [],
+        output: null,
+        outDir: null,
+        preset: null,
+        json: false,
+        quiet: false,
+        verbose: false,
+        workers: 0,
+        help: false,
+        version: false,
+        options: {}
+    };
+
+    const optionTable = { ...VECTORIZE_OPTIONS, ...BLOCK_OPTIONS };
+
+    for (let i = 0; i < argv.length; i++) {
+        let arg = argv[i];
+
+        if (!arg.startsWith('-') || arg === '-') {
+            args.inputs.push(arg);
+            continue;
+        }
+        if (arg === '--') {
+            args.inputs.push(...argv.slice(i + 1));
+            break;
+        }
+
+        // 支持 --key=value 写法
+        let inlineValue = null;
+        const eq = arg.indexOf('=');
+        if (arg.startsWith('--') && eq > 0) {
+            inlineValue = arg.slice(eq + 1);
+            arg = arg.slice(0, eq);
+        }
+
+        const takeValue = () => {
+            if (inlineValue !== null) return inlineValue;
+            const next = argv[++i];
+            if (next === undefined) throw new Error(`Missing value for ${arg}`);
+            return next;
+        };
+
+        switch (arg) {
+            case '-o': case '--output': args.output = takeValue(); continue;
+            case '-d': case '--out-dir': args.outDir = takeValue(); continue;
+            case '-p': case '--preset': args.preset = takeValue(); continue;
+            case '--json': args.json = true; continue;
+            case '-q': case '--quiet': args.quiet = true; continue;
+            case '--verbose': args.verbose = true; continue;
+            case '--workers': {
+                const value = Number(takeValue());
+                if (!Number.isInteger(value) || value < 1) throw new Error(`Invalid number for ${arg}`);
+                args.workers = value;
+                continue;
+            }
+            case '-h': case '--help': args.help = true; continue;
+            case '-v': case '--version': args.version = true; continue;
+        }
+
+        let name = arg.slice(2);
+        let negate = false;
+        if (name.startsWith('no-') && optionTable[name.slice(3)]) {
+            name = name.slice(3);
+            negate = true;
+        }
+
+        const spec = optionTable[name];
+        if (!spec) throw new Error(`Unknown option: ${arg}`);
+        const [key, type] = spec;
+
+        if (type === 'boolean' || type === 'boolean|number') {
+            if (negate) {
+                args.options[key] = false;
+            } else if (type === 'boolean|number' && inlineValue !== null && Number.isFinite(Number(inlineValue))) {
+                args.options[key] = Number(inlineValue);
+            } else if (inlineValue !== null) {
+                args.options[key] = !['false', '0', 'no'].includes(inlineValue);
+            } else {
+                args.options[key] = true;
+            }
+        } else if (type === 'number' || type === 'number|auto') {
+            const raw = takeValue();
+            if (type === 'number|auto' && raw === 'auto') {
+                args.options[key] = raw;
+                continue;
+            }
+            const value = Number(raw);
+            if (!Number.isFinite(value)) throw new Error(`Invalid number for ${arg}`);
+            args.options[key] = value;
+        } else if (type === 'colors') {
+            // 颜色列表：逗号或空白分隔的十六进制颜色
+            args.options[key] = takeValue().split(/[\s,]+/).filter(Boolean);
+        } else {
+            args.options[key] = takeValue();
+        }
+    }
+
+    return args;
+}
+
+// ============ 输入展开 ============
+
+/**
+ * 把 glob 模式转换为正则（支持 *, ?, **, {a,b}）
+ */
+function globToRegExp(pattern) {
+    let re = '';
+    for (let i = 0; i < pattern.length; i++) {
+        const c = pattern[i];
+        if (c === '*') {
+            if (pattern[i + 1] === '*') {
+                // ** 匹配任意层目录
+                const slash = pattern[i + 2] === '/';
+                re += slash ? '(?:.*/)?' : '.*';
+                i += slash ? 2 : 1;
+            } else {
+                re += '[^/]*';
+            }
+        } else if (c === '?') {
+            re += '[^/]';
+        } else if (c === '{') {
+            const end = pattern.indexOf('}', i);
+            if (end < 0) { re += '\\{'; continue; }
+            const alts = pattern.slice(i + 1, end).split(',').map(a => a.replace(/[.+^$()|[\]\\]/g, '\\$&'));
+            re += `(?:${alts.join('|')})`;
+            i = end;
+        } else {
+            re += c.replace(/[.+^$()|[\]\\{}]/g, '\\$&');
+        }
+    }
+    return new RegExp(`^${re}$`);
+}
+
+const hasGlob = (p) => /[*?{]/.test(p);
+
+async function walk(dir, recursive) {
+    const files = [];
+    for (const entry of await readdir(dir, { withFileTypes: true })) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            if (recursive) files.push(...await walk(full, recursive));
+        } else if (entry.isFile()) {
+            files.push(full);
+        }
+    }
+    return files;
+}
+
+/**
+ * 展开输入：文件、目录（目录下的图像文件）或 glob 模式
+ * @returns {Promise<Array>} [{ file, base }]，base 为目录或 glob 的起始目录（单个文件为其所在目录），
+ *   --out-dir 下按 file 相对 base 的路径输出
+ */
+async function expandInputs(inputs) {
+    const result = new Map();
+    const add = (file, base) => {
+        if (!result.has(file)) result.set(file, { file, base });
+    };
+
+    for (const input of inputs) {
+        if (!hasGlob(input)) {
+            const info = await stat(input);
+            if (info.isDirectory()) {
+                const files = await walk(input, false);
+                files.filter(f => SUPPORTED_EXT.has(path.extname(f).toLowerCase())).sort()
+                    .forEach(f => add(f, input));
+            } else {
+                add(input, path.dirname(input));
+            }
+            continue;
+        }
+
+        // 从第一个含通配符的段之前的目录开始遍历
+        const normalized = input.split(path.sep).join('/');
+        const segments = normalized.split('/');
+        const firstGlob = segments.findIndex(hasGlob);
+        const base = segments.slice(0, firstGlob).join('/') || '.';
+        const rest = segments.slice(firstGlob).join('/');
+        const matcher = globToRegExp(rest);
+        const recursive = rest.includes('**') || rest.includes('/');
+
+        const files = await walk(base, recursive);
+        const matched = files
+            .filter(f => matcher.test(path.relative(base, f).split(path.sep).join('/')))
+            .sort();
+        if (matched.length === 0) throw new Error(`No files match ${input}`);
+        matched.forEach(f => add(f, base));
+    }
+
+    return [...result.values()];
+}
+
+// ============ 矢量化 ============
+
+/**
+ * 按预设与命令行选项矢量化一张图
+ * 预设解析（auto / smart / blocks / 预设名）交给 vectorizeWithPreset，与库的行为一致
+ */
+async function runVectorize(imageData, preset, overrides) {
+    if (!preset) return vectorize(imageData, overrides);
+    if (!['auto', 'smart', 'blocks'].includes(preset) && !PRESETS[preset]) {
+        throw new Error(`Unknown preset: ${preset}`);
+    }
+    return vectorizeWithPreset(imageData, preset, overrides);
+}
+
+/**
+ * 结果元数据（--json 输出）
+ */
+function describeResult(input, output, result) {
+    return {
+        input,
+        output,
+        width: result.width,
+        height: result.height,
+        viewBox: [0, 0, result.viewBoxWidth || result.width, result.viewBoxHeight || result.height],
+        engine: result.engine,
+        colors: result.colors || [],
+        layers: (result.layers || []).map(layer => ({
+            color: layer.color,
+            pathCount: layer.paths.length,
+            pathLength: layer.paths.reduce((sum, p) => sum + p.d.length, 0)
+        })),
+        blocks: result.blocks,
+        svgBytes: result.svg.length
+    };
+}
+
+function outputPathFor({ file, base }, args, multiple) {
+    const name = path.basename(file, path.extname(file)) + '.svg';
+    if (args.outDir) {
+        // 保留相对起始目录的子目录，避免不同目录下的同名文件互相覆盖
+        const relDir = path.dirname(path.relative(base, file));
+        return path.join(args.outDir, relDir, name);
+    }
+    if (args.output) return args.output;
+    return multiple ? path.join(path.dirname(file), name) : null;
+}
+
+/**
+ * 检查输出路径是否重复（例如 -d 下来自不同输入的同名文件），有重复时抛出
+ */
+function checkOutputPaths(entries, args, multiple) {
+    const seen = new Map();
+    for (const entry of entries) {
+        const outPath = outputPathFor(entry, args, multiple);
+        if (!outPath) continue;
+        const key = path.resolve(outPath);
+        if (seen.has(key)) {
+            throw new Error(`${seen.get(key)} and ${entry.file} would both be written to ${outPath}`);
+        }
+        seen.set(key, entry.file);
+    }
+}
+
+/**
+ * CLI 入口
+ * @returns {Promise<number>} 退出码
+ */
+async function main(argv = process.argv.slice(2)) {
+    let args;
+    try {
+        args = parseArgs(argv);
+    } catch (e) {
+        console.error(`vecburner: ${e.message}\nRun "vecburner --help" for usage.`);
+        return 2;
+    }
+
+    if (args.help) {
+        console.log(HELP);
+        return 0;
+    }
+    if (args.version) {
+        console.log(Vecburner.version);
+        return 0;
+    }
+    if (args.inputs.length === 0) {
+        console.error(`vecburner: no input files\nRun "vecburner --help" for usage.`);
+        return 2;
+    }
+
+    // 库的诊断信息写到 stderr，避免污染 stdout 上的 SVG / JSON
+    const logger = args.quiet ? null : createLogger({
+        logger: (record) => console.error(`[Vecburner] ${record.message}`),
+        logLevel: args.verbose ? 'debug' : 'info'
+    });
+    // 多个文件共用一个 Worker 池
+    const pool = args.workers > 0 ? createPool({ workers: args.workers }) : null;
+    const options = { ...args.options, logger, pool };
+
+    let exitCode = 0;
+    const report = [];
+
+    try {
+        const entries = await expandInputs(args.inputs);
+        const multiple = entries.length > 1;
+
+        if (multiple && args.output) {
+            throw new Error('--output can only be used with a single input; use --out-dir for batches');
+        }
+        checkOutputPaths(entries, args, multiple);
+        if (args.outDir) await mkdir(args.outDir, { recursive: true });
+
+        for (const entry of entries) {
+            const { file } = entry;
+            try {
+                const imageData = decodeImage(await readFile(file));
+                const result = await runVectorize(imageData, args.preset, options);
+                const outPath = outputPathFor(entry, args, multiple);
+
+                if (outPath) {
+                    if (args.outDir) await mkdir(path.dirname(outPath), { recursive: true });
+                    await writeFile(outPath, result.svg);
+                    if (!args.quiet) console.error(`${file} -> ${outPath}`);
+                } else if (!args.json) {
+                    process.stdout.write(result.svg + '\n');
+                }
+
+                report.push(describeResult(file, outPath, result));
+            } catch (e) {
+                exitCode = 1;
+                console.error(`vecburner: ${file}: ${e.message}`);
+                report.push({ input: file, error: e.message });
+            }
+        }
+    } catch (e) {
+        console.error(`vecburner: ${e.message}`);
+        exitCode = 1;
+    } finally {
+        if (pool) await pool.terminate();
+    }
+
+    if (args.json) {
+        process.stdout.write(JSON.stringify(report.length === 1 ? report[0] : report, null, 2) + '\n');
+    }
+
+    return exitCode;
+}
+
+main().then(code => { process.exitCode = code; });
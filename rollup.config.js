@@ -71,5 +71,16 @@ export default [
       inlineDynamicImports: true
     },
     plugins: [terser()]
+  },
+  // Layer worker (loaded by createPool via new URL('./layer-worker.js', import.meta.url))
+  {
+    input: 'src/layer-worker.js',
+    output: {
+      file: 'dist/layer-worker.js',
+      format: 'esm',
+      banner,
+      sourcemap: true,
+      inlineDynamicImports: true
+    }
   }
 ];
@@ -5,6 +5,8 @@
  */
 
 import { colorDistSq } from './utils.js';
+import { getColorSpace } from './color-space.js';
+import { toLogger } from './logger.js';
 
 /**
  * 高斯模糊预处理 (VTracer 风格)
@@ -59,8 +61,12 @@ export function gaussianBlur(grayscale, width, height, sigma = 1.0) {
     return result;
 }
 
+// 类间方差的相对容差，在此范围内视为相等（平台）
+const OTSU_PLATEAU_EPS = 1e-9;
+
 /**
  * 计算自适应亮度阈值 (Otsu's method 简化版)
+ * 类间方差在一段连续区间内都取最大值时，返回区间中点
  */
 export function computeOtsuThreshold(imageData) {
     const data = imageData.data;
@@ -82,7 +88,7 @@ export function computeOtsuThreshold(imageData) {
     for (let i = 0; i < 256; i++) sum += i * histogram[i];
     
     let sumB = 0, wB = 0, wF = 0;
-    let maxVariance = 0, threshold = 128;
+    let maxVariance = 0, threshold = 128, lastMax = 128;
     
     for (let t = 0; t < 256; t++) {
         wB += histogram[t];
@@ -95,13 +101,19 @@ export function computeOtsuThreshold(imageData) {
         const mF = (sum - sumB) / wF;
         const variance = wB * wF * (mB - mF) * (mB - mF);
         
-        if (variance > maxVariance) {
+        if (variance > maxVariance * (1 + OTSU_PLATEAU_EPS)) {
             maxVariance = variance;
             threshold = t;
+            lastMax = t;
+        } else if (t === lastMax + 1 && variance >= maxVariance * (1 - OTSU_PLATEAU_EPS)) {
+            // 紧接最大值的平台
+            lastMax = t;
         }
     }
     
-    return threshold;
+    // 两类之间没有像素时（如纯黑白图像）方差在一段区间内相同，取区间中点，
+    // 否则阈值会落在暗色的亮度上，"亮度 < 阈值" 的判断把暗色也排除掉
+    return Math.round((threshold + lastMax) / 2);
 }
 
 /**
@@ -203,6 +215,62 @@ export function dilateWithColorConstraint(bitmap, width, height, pixelColorMap,
     return result;
 }
 
+/**
+ * 层叠模式（hierarchy: 'stacked'）：填充被上层颜色完全覆盖的孔洞
+ * 孔洞中的像素全部属于绘制在当前层之上的颜色时，当前层延伸到它们下面，
+ * 渲染结果不变，但节点更少，孔洞边缘也不会露出细缝
+ * 含透明像素或下层颜色的孔洞保持不变
+ * @param {Object} bitmap - { data, width, height, grayscale }（原地修改）
+ * @param {Uint8Array} pixelColorMap - 原始颜色分配图
+ * @param {Function} isAbove - (colorIdx) => boolean，该颜色是否绘制在当前层之上
+ * @returns {number} 新增的前景像素数
+ */
+export function fillCoveredHoles(bitmap, pixelColorMap, isAbove) {
+    const { data, width, height, grayscale } = bitmap;
+    const len = width * height;
+    let added = 0;
+
+    const setForeground = (idx) => {
+        data[idx] = 1;
+        if (grayscale) grayscale[idx] = 0;
+        added++;
+    };
+
+    // 背景的 4 连通区域不接触图像边界即为孔洞
+    const visited = new Uint8Array(len);
+    const stack = new Int32Array(len);
+    const region = [];
+    for (let start = 0; start < len; start++) {
+        if (data[start] === 1 || visited[start]) continue;
+
+        region.length = 0;
+        let touchesBorder = false;
+        let covered = true;
+        let top = 0;
+        stack[top++] = start;
+        visited[start] = 1;
+        while (top > 0) {
+            const idx = stack[--top];
+            region.push(idx);
+            const x = idx % width;
+            const y = (idx - x) / width;
+            if (x === 0 || y === 0 || x === width - 1 || y === height - 1) touchesBorder = true;
+            if (!isAbove(pixelColorMap[idx])) covered = false;
+
+            if (x > 0 && data[idx - 1] === 0 && !visited[idx - 1]) { visited[idx - 1] = 1; stack[top++] = idx - 1; }
+            if (x < width - 1 && data[idx + 1] === 0 && !visited[idx + 1]) { visited[idx + 1] = 1; stack[top++] = idx + 1; }
+            if (y > 0 && data[idx - width] === 0 && !visited[idx - width]) { visited[idx - width] = 1; stack[top++] = idx - width; }
+            if (y < height - 1 && data[idx + width] === 0 && !visited[idx + width]) { visited[idx + width] = 1; stack[top++] = idx + width; }
+        }
+
+        if (!touchesBorder && covered) {
+            for (const idx of region) setForeground(idx);
+        }
+    }
+
+    return added;
+}
+
 /**
  * 过滤小连通区域：基于最大区域的比例过滤
  * @param {Uint8Array} bitmap - 二值位图
@@ -284,8 +352,10 @@ export function filterSmallRegions(bitmap, width, height, minRatio = 40) {
  * @param {number} threshold - 亮度阈值 (自动计算时传入)
  * @param {number} blurSigma - 高斯模糊 sigma (0 = 不模糊)
  * @param {boolean} morphology - 是否应用形态学操作
+ * @param {Object} logger - 可选 logger（见 logger.js），默认静默
  */
-export function createBinaryBitmap(imageData, targetColor, tolerance = 30, useLuminance = false, threshold = null, blurSigma = 0, morphology = true) {
+export function createBinaryBitmap(imageData, targetColor, tolerance = 30, useLuminance = false, threshold = null, blurSigma = 0, morphology = true, logger = null) {
+    const log = toLogger(logger);
     const { width, height, data } = imageData;
     const bitmap = new Uint8Array(width * height);
 
@@ -340,7 +410,7 @@ export function createBinaryBitmap(imageData, targetColor, tolerance = 30, useLu
     // 降低阈值以更好地检测黑底白线的工程图
     let inverted = false;
     if (useLuminance && darkCount > totalCount * 0.4) {
-        console.log(`[PotraceCore] 检测到暗色背景 (${darkCount}/${totalCount})，反转二值图`);
+        log.info('bitmap.inverted', `检测到暗色背景 (${darkCount}/${totalCount})，反转二值图`, { darkCount, totalCount });
         for (let i = 0; i < bitmap.length; i++) {
             const idx = i * 4;
             if (data[idx + 3] > 128) {
@@ -369,8 +439,9 @@ export function createBinaryBitmap(imageData, targetColor, tolerance = 30, useLu
  * **VM(基于公开资料) 风格改进**：利用混色比例计算亚像素边界
  * - 不只是 0/1 二值，而是计算每个像素属于目标颜色的程度
  * - 边缘像素的灰度值反映它在两个颜色之间的位置
+ * - 混合比例按 colorSpace 中的颜色距离计算，与颜色分配一致
  */
-export function createBinaryBitmapFromMap(pixelColorMap, targetColorIdx, width, height, blurSigma = 0, dilatePixels = 1, imageData = null, palette = null) {
+export function createBinaryBitmapFromMap(pixelColorMap, targetColorIdx, width, height, blurSigma = 0, dilatePixels = 1, imageData = null, palette = null, colorSpace = 'rgb') {
     const bitmap = new Uint8Array(width * height);
     
     // 直接从颜色分配图创建二值位图
@@ -384,29 +455,50 @@ export function createBinaryBitmapFromMap(pixelColorMap, targetColorIdx, width,
     // **关键改进**：生成基于混色比例的灰度图
     let grayscale = new Float32Array(width * height);
     
-    if (imageData && palette && palette.length > 1) {
+    if (imageData && palette) {
         // VM(基于公开资料) 风格：利用原始像素颜色计算混合比例
-        const targetColor = palette[targetColorIdx];
+        const space = getColorSpace(colorSpace);
+        // 非 RGB 空间：调色板预先转换，像素颜色按值缓存转换结果
+        const paletteInSpace = palette.map(space.fromRgb);
+        const spaceCache = space.name === 'rgb' ? null : new Map();
+        const targetColor = paletteInSpace[targetColorIdx];
         const data = imageData.data;
         
         for (let i = 0; i < width * height; i++) {
             const idx = i * 4;
-            if (data[idx + 3] < 128) {
+            const alpha = data[idx + 3];
+            if (alpha === 0) {
                 grayscale[i] = 255; // 透明像素
                 continue;
             }
             
-            const pixelColor = [data[idx], data[idx + 1], data[idx + 2]];
+            // 带上 alpha：半透明的抗锯齿边缘离不透明的目标色更远
+            let pixelColor = [data[idx], data[idx + 1], data[idx + 2], alpha];
+            if (spaceCache) {
+                const key = alpha * 0x1000000 + ((data[idx] << 16) | (data[idx + 1] << 8) | data[idx + 2]);
+                let converted = spaceCache.get(key);
+                if (!converted) {
+                    converted = space.fromRgb(pixelColor);
+                    if (spaceCache.size >= 1 << 18) spaceCache.clear();
+                    spaceCache.set(key, converted);
+                }
+                pixelColor = converted;
+            }
             const distToTarget = Math.sqrt(colorDistSq(pixelColor, targetColor));
             
-            // 找最近的非目标色
-            let minOtherDist = Infinity;
+            // 找最近的非目标色，半透明像素还要和“透明”比较（距离即 alpha）
+            let minOtherDist = alpha < 255 ? alpha : Infinity;
             for (let j = 0; j < palette.length; j++) {
                 if (j !== targetColorIdx) {
-                    const d = Math.sqrt(colorDistSq(pixelColor, palette[j]));
+                    const d = Math.sqrt(colorDistSq(pixelColor, paletteInSpace[j]));
                     if (d < minOtherDist) minOtherDist = d;
                 }
             }
+            if (minOtherDist === Infinity) {
+                // 单色不透明图像：没有可比较的其他颜色
+                grayscale[i] = bitmap[i] === 1 ? 0 : 255;
+                continue;
+            }
             
             // 计算混合比例：0 = 完全是目标色，255 = 完全是其他色
             // **优化**：使用平方根使边缘过渡更平滑（模拟 gamma 校正）
@@ -8,6 +8,11 @@
 import { labelConnectedComponents } from './connected-components.js';
 import { computeOtsuThreshold } from './binary-image.js';
 import { PRESETS } from './presets.js';
+import { throwIfAborted, hasTransparency, resolveBackground } from './utils.js';
+import { backgroundRect, pathElement } from './svg-writer.js';
+import { createLogger } from './logger.js';
+import { transformSegments, serializePathData } from './path-data.js';
+import { transformPrimitive } from './primitives.js';
 
 // 延迟导入 vectorize 避免循环依赖
 let vectorizeFn = null;
@@ -60,6 +65,27 @@ function createDetectionBitmap(imageData, threshold = null) {
     return bitmap;
 }
 
+/**
+ * 估计背景色：检测位图中背景像素（不透明部分）的平均颜色
+ * @returns {string|null} CSS 颜色，图像含透明像素或没有背景像素时返回 null
+ */
+function estimateBackgroundColor(imageData, bitmap) {
+    if (hasTransparency(imageData)) return null;
+
+    const { data } = imageData;
+    let r = 0, g = 0, b = 0, count = 0;
+    for (let i = 0; i < bitmap.data.length; i++) {
+        if (bitmap.data[i] === 1) continue;
+        const idx = i * 4;
+        r += data[idx];
+        g += data[idx + 1];
+        b += data[idx + 2];
+        count++;
+    }
+    if (count === 0) return null;
+    return `rgb(${Math.round(r / count)},${Math.round(g / count)},${Math.round(b / count)})`;
+}
+
 /**
  * 计算区域的边界框
  */
@@ -145,7 +171,8 @@ function mergeNearbyBlocks(blocks, gap = 20) {
 }
 
 /**
- * 从 ImageData 裁剪指定区域，返回真正的 ImageData 对象
+ * 从 ImageData 裁剪指定区域，返回 ImageData-like 对象
+ * 不依赖 Canvas，Node.js 中同样可用
  */
 function cropImageData(imageData, bbox, padding = 2) {
     const { data, width } = imageData;
@@ -156,15 +183,7 @@ function cropImageData(imageData, bbox, padding = 2) {
     const w = Math.min(imageData.width - x, bbox.width + padding * 2);
     const h = Math.min(imageData.height - y, bbox.height + padding * 2);
     
-    // 创建真正的 ImageData 对象
-    const canvas = typeof OffscreenCanvas !== 'undefined'
-        ? new OffscreenCanvas(w, h)
-        : document.createElement('canvas');
-    canvas.width = w;
-    canvas.height = h;
-    const ctx = canvas.getContext('2d');
-    const croppedImageData = ctx.createImageData(w, h);
-    const cropped = croppedImageData.data;
+    const cropped = new Uint8ClampedArray(w * h * 4);
     
     for (let dy = 0; dy < h; dy++) {
         for (let dx = 0; dx < w; dx++) {
@@ -177,10 +196,8 @@ function cropImageData(imageData, bbox, padding = 2) {
         }
     }
     
-    // 返回真正的 ImageData，附加偏移信息
-    croppedImageData.offsetX = x;
-    croppedImageData.offsetY = y;
-    return croppedImageData;
+    // 附加偏移信息
+    return { data: cropped, width: w, height: h, offsetX: x, offsetY: y };
 }
 
 /**
@@ -188,14 +205,15 @@ function cropImageData(imageData, bbox, padding = 2) {
  * 先缩放，再偏移
  * 
  * 改进版：更健壮的坐标解析，不依赖特定的分隔符（逗号/空格）
- * 兼容 M, L, C, Z 等命令的所有坐标对
+ * 兼容 M, L, C, Z 等命令的所有坐标对，以及弧线命令 A 的半径
  */
 function offsetSvgPaths(paths, offsetX, offsetY, scaleX = 1, scaleY = 1) {
     return paths.map(path => {
         // 状态：当前是否是 X 坐标（交替变换）
-        // Potrace Core 生成的路径只包含 M, L, C，其参数总是成对的 (x, y)
-        // 因此我们可以简单地在 X 和 Y 之间切换
+        // M, L, C 的参数总是成对的 (x, y)，因此我们可以简单地在 X 和 Y 之间切换
         let isX = true;
+        // 弧线命令 A 的 7 个参数：rx ry 旋转角 大弧标志 方向标志 x y；-1 表示不在 A 命令中
+        let arcArg = -1;
         
         // 正则匹配：命令字符 OR 数字
         // replace 会保留未匹配的字符（即原有的分隔符：空格、逗号等），只替换数字部分
@@ -205,12 +223,23 @@ function offsetSvgPaths(paths, offsetX, offsetY, scaleX = 1, scaleY = 1) {
                 // 1. 如果是命令字符，重置状态（虽然对于成对坐标不需要，但作为保险）并保留原样
                 if (cmd) {
                     isX = true; 
+                    arcArg = cmd.toUpperCase() === 'A' ? 0 : -1;
                     return cmd;
                 }
                 
                 // 2. 如果是数字，进行变换
                 const val = parseFloat(numStr);
                 let result;
+
+                // 弧线：半径只缩放，旋转角和标志保持不变（区块的缩放是等比的），端点照常变换
+                if (arcArg >= 0) {
+                    const k = arcArg;
+                    arcArg = (arcArg + 1) % 7;
+                    if (k === 0) return (val * Math.abs(scaleX)).toFixed(2);
+                    if (k === 1) return (val * Math.abs(scaleY)).toFixed(2);
+                    if (k < 5) return numStr;
+                    isX = k === 5;
+                }
                 
                 if (isX) {
                     // X 坐标变换
@@ -226,13 +255,58 @@ function offsetSvgPaths(paths, offsetX, offsetY, scaleX = 1, scaleY = 1) {
             }
         );
         
-        return {
-            ...path,
-            d: offsetD
-        };
+        if (!path.primitive) {
+            return {
+                ...path,
+                d: offsetD
+            };
+        }
+
+        // 几何图元：线段的描边宽度就是线宽，随坐标一起缩放
+        const primitive = transformPrimitive(path.primitive, scaleX, scaleY, offsetX, offsetY);
+        const strokeWidth = primitive.type === 'line'
+            ? Math.round(path.strokeWidth * Math.sqrt(Math.abs(scaleX * scaleY)) * 100) / 100
+            : path.strokeWidth;
+        return { ...path, d: offsetD, primitive, strokeWidth };
     });
 }
 
+/**
+ * 把区块结果的图层（形状几何 + 路径）变换到原图坐标
+ * 先缩放，再偏移；面积按缩放比例换算
+ */
+function offsetLayers(layers, offsetX, offsetY, scaleX = 1, scaleY = 1) {
+    const areaScale = Math.abs(scaleX * scaleY);
+    const offsetBBox = (bbox) => bbox && {
+        x: bbox.x * scaleX + offsetX,
+        y: bbox.y * scaleY + offsetY,
+        width: bbox.width * scaleX,
+        height: bbox.height * scaleY
+    };
+    const offsetRing = (ring) => {
+        const segments = transformSegments(ring.segments, scaleX, scaleY, offsetX, offsetY);
+        return { ...ring, segments, area: ring.area * areaScale, bbox: offsetBBox(ring.bbox) };
+    };
+
+    return layers.map(layer => ({
+        ...layer,
+        area: layer.area * areaScale,
+        paths: offsetSvgPaths(layer.paths, offsetX, offsetY, scaleX, scaleY),
+        shapes: layer.shapes.map(shape => {
+            const outer = offsetRing(shape.outer);
+            const holes = shape.holes.map(offsetRing);
+            return {
+                ...shape,
+                outer,
+                holes,
+                area: shape.area * areaScale,
+                bbox: outer.bbox,
+                d: [outer, ...holes].map(r => serializePathData(r.segments)).join(' ')
+            };
+        })
+    }));
+}
+
 /**
  * 推断区块最佳预设
  */
@@ -269,35 +343,47 @@ function detectBlockPreset(bbox, imageArea) {
  * @param {number} options.mergeGap - 区块合并距离，默认 15
  * @param {number} options.padding - 裁剪 padding，默认 4
  * @param {string} options.preset - 强制使用的预设（可选）
+ * @param {AbortSignal} options.signal - 取消信号（可选）
+ * @param {Function} options.onProgress - 进度回调（可选），额外包含 blockIndex / blockCount
+ * @param {Function|Object|string} options.logger - 日志输出（可选），默认静默
+ * @param {string} options.background - 背景矩形：'auto'（检测到的背景色，含透明像素时不加）| 'none' | CSS 颜色
  */
 export async function vectorizeByBlocks(imageData, options = {}) {
     const {
         minBlockArea = 50,
         mergeGap = 15,
         padding = 4,
-        preset = null  // null 表示自动检测
+        preset = null,  // null 表示自动检测
+        background = 'auto',
+        signal = null,
+        onProgress = null
     } = options;
     
+    throwIfAborted(signal);
+    const log = createLogger(options);
+    
     const { width, height } = imageData;
     const imageArea = width * height;
     
-    console.log(`[BlockVectorize] 开始分块矢量化 ${width}x${height}`);
+    log.info('blocks.start', `开始分块矢量化 ${width}x${height}`, { width, height });
     
     // 1. 创建检测用二值图
     const bitmap = createDetectionBitmap(imageData);
+    const bgColor = resolveBackground(background, estimateBackgroundColor(imageData, bitmap));
     
     // 2. 连通区域标记
     const { regions, numRegions } = labelConnectedComponents(bitmap);
-    console.log(`[BlockVectorize] 检测到 ${numRegions} 个连通区域`);
+    log.debug('blocks.regions', `检测到 ${numRegions} 个连通区域`, { numRegions });
     
     if (numRegions === 0) {
         // 没有前景，返回空结果
         return {
-            svg: `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}"></svg>`,
+            svg: `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">\n${backgroundRect(bgColor, width, height)}</svg>`,
             width,
             height,
             layers: [],
             paths: [],
+            background: bgColor,
             blocks: []
         };
     }
@@ -317,23 +403,24 @@ export async function vectorizeByBlocks(imageData, options = {}) {
         }
     }
     
-    console.log(`[BlockVectorize] 有效区块: ${blocks.length} 个`);
+    log.debug('blocks.valid', `有效区块: ${blocks.length} 个`, { count: blocks.length });
     
     // 调试：显示所有区块的 bbox
-    if (blocks.length > 0) {
+    if (blocks.length > 0 && log.isEnabled('debug')) {
         const allBboxes = blocks.map(b => b.bbox);
         const minX = Math.min(...allBboxes.map(b => b.x));
         const minY = Math.min(...allBboxes.map(b => b.y));
         const maxX = Math.max(...allBboxes.map(b => b.x + b.width));
         const maxY = Math.max(...allBboxes.map(b => b.y + b.height));
-        console.log(`[BlockVectorize] 区块覆盖范围: (${minX},${minY}) - (${maxX},${maxY}), 图像: ${width}x${height}`);
+        log.debug('blocks.coverage', `区块覆盖范围: (${minX},${minY}) - (${maxX},${maxY}), 图像: ${width}x${height}`,
+            { minX, minY, maxX, maxY, width, height });
     }
     
     if (blocks.length === 0) {
         // 所有区域都太小，回退到全图矢量化
-        console.log(`[BlockVectorize] 无有效区块，回退全图矢量化`);
+        log.info('blocks.fallback', `无有效区块，回退全图矢量化`, { reason: 'no-blocks' });
         const vectorize = await getVectorize();
-        return vectorize(imageData, PRESETS.lineart);
+        return vectorize(imageData, { ...PRESETS.lineart, signal, onProgress, logger: log });
     }
     
     // 4. 合并临近区块
@@ -341,17 +428,17 @@ export async function vectorizeByBlocks(imageData, options = {}) {
         blocks.map(b => b.bbox),
         mergeGap
     );
-    console.log(`[BlockVectorize] 合并后: ${mergedBlocks.length} 个区块`);
+    log.info('blocks.merged', `合并后: ${mergedBlocks.length} 个区块`, { before: blocks.length, after: mergedBlocks.length });
     
     // 5. 如果只有一个大区块覆盖大部分图像，回退全图处理
     if (mergedBlocks.length === 1) {
         const block = mergedBlocks[0];
         const coverage = (block.width * block.height) / imageArea;
         if (coverage > 0.8) {
-            console.log(`[BlockVectorize] 单一区块覆盖 ${(coverage * 100).toFixed(0)}%，回退全图矢量化`);
+            log.info('blocks.fallback', `单一区块覆盖 ${(coverage * 100).toFixed(0)}%，回退全图矢量化`, { reason: 'single-block', coverage });
             const autoPreset = detectBlockPreset(block, imageArea);
             const vectorize = await getVectorize();
-            return vectorize(imageData, PRESETS[preset || autoPreset] || PRESETS.logo);
+            return vectorize(imageData, { ...(PRESETS[preset || autoPreset] || PRESETS.logo), signal, onProgress, logger: log });
         }
     }
     
@@ -369,11 +456,19 @@ export async function vectorizeByBlocks(imageData, options = {}) {
         const blockPreset = preset || detectBlockPreset(block, imageArea);
         const presetConfig = PRESETS[blockPreset] || PRESETS.logo;
         
-        console.log(`[BlockVectorize] 区块 ${i + 1}/${mergedBlocks.length}: ${block.width}x${block.height} → ${blockPreset}`);
+        log.info('blocks.block', `区块 ${i + 1}/${mergedBlocks.length}: ${block.width}x${block.height} → ${blockPreset}`,
+            { blockIndex: i, blockCount: mergedBlocks.length, width: block.width, height: block.height, preset: blockPreset });
         
         try {
-            // 矢量化 - cropped 已经是 ImageData 对象
-            const result = await vectorize(cropped, presetConfig);
+            // 矢量化 - cropped 是 ImageData-like 对象
+            const result = await vectorize(cropped, {
+                ...presetConfig,
+                signal,
+                logger: log,
+                onProgress: onProgress
+                    ? (p) => onProgress({ ...p, blockIndex: i, blockCount: mergedBlocks.length })
+                    : null
+            });
             
             // 计算缩放比例（如果矢量化时有放大，需要缩小回原尺寸）
             // cropped.width 是原始裁剪尺寸，viewBoxWidth 是放大后的尺寸
@@ -382,7 +477,8 @@ export async function vectorizeByBlocks(imageData, options = {}) {
             const scaleX = cropped.width / viewBoxW;
             const scaleY = cropped.height / viewBoxH;
             
-            console.log(`[BlockVectorize] 区块 ${i + 1} 变换: crop=${cropped.width}x${cropped.height}, viewBox=${viewBoxW}x${viewBoxH}, scale=${scaleX.toFixed(3)}, offset=(${cropped.offsetX},${cropped.offsetY})`);
+            log.debug('blocks.transform', `区块 ${i + 1} 变换: crop=${cropped.width}x${cropped.height}, viewBox=${viewBoxW}x${viewBoxH}, scale=${scaleX.toFixed(3)}, offset=(${cropped.offsetX},${cropped.offsetY})`,
+                { blockIndex: i, scaleX, scaleY, offsetX: cropped.offsetX, offsetY: cropped.offsetY });
             
             // 偏移路径坐标到原始位置
             // 先按 scaleX/Y 缩放（把放大的坐标缩小回原尺寸），再加偏移
@@ -398,11 +494,13 @@ export async function vectorizeByBlocks(imageData, options = {}) {
                 block,
                 preset: blockPreset,
                 paths: offsetPaths,
-                layers: result.layers,
+                layers: offsetLayers(result.layers, cropped.offsetX, cropped.offsetY, scaleX, scaleY),
                 colors: result.colors
             });
         } catch (err) {
-            console.warn(`[BlockVectorize] 区块 ${i + 1} 矢量化失败:`, err);
+            // 取消时直接中止，不再处理剩余区块
+            if (signal && signal.aborted) throw err;
+            log.warn('blocks.failed', `区块 ${i + 1} 矢量化失败: ${err && err.message}`, { blockIndex: i, error: err });
         }
     }
     
@@ -411,32 +509,28 @@ export async function vectorizeByBlocks(imageData, options = {}) {
     const allColors = [...new Set(blockResults.flatMap(r => r.colors || []))];
     
     // 调试：检查路径边界
-    let pathMinX = Infinity, pathMinY = Infinity, pathMaxX = -Infinity, pathMaxY = -Infinity;
-    for (const p of allPaths) {
-        const coords = p.d.match(/(-?\d+\.?\d*),(-?\d+\.?\d*)/g) || [];
-        for (const c of coords) {
-            const [x, y] = c.split(',').map(Number);
-            if (x < pathMinX) pathMinX = x;
-            if (x > pathMaxX) pathMaxX = x;
-            if (y < pathMinY) pathMinY = y;
-            if (y > pathMaxY) pathMaxY = y;
+    if (log.isEnabled('debug')) {
+        let pathMinX = Infinity, pathMinY = Infinity, pathMaxX = -Infinity, pathMaxY = -Infinity;
+        for (const p of allPaths) {
+            const coords = p.d.match(/(-?\d+\.?\d*),(-?\d+\.?\d*)/g) || [];
+            for (const c of coords) {
+                const [x, y] = c.split(',').map(Number);
+                if (x < pathMinX) pathMinX = x;
+                if (x > pathMaxX) pathMaxX = x;
+                if (y < pathMinY) pathMinY = y;
+                if (y > pathMaxY) pathMaxY = y;
+            }
         }
+        log.debug('blocks.bounds', `路径边界: (${pathMinX.toFixed(0)},${pathMinY.toFixed(0)}) - (${pathMaxX.toFixed(0)},${pathMaxY.toFixed(0)}), SVG: ${width}x${height}`,
+            { minX: pathMinX, minY: pathMinY, maxX: pathMaxX, maxY: pathMaxY });
     }
-    console.log(`[BlockVectorize] 路径边界: (${pathMinX.toFixed(0)},${pathMinY.toFixed(0)}) - (${pathMaxX.toFixed(0)},${pathMaxY.toFixed(0)}), SVG: ${width}x${height}`);
     
     // 8. 生成合并后的 SVG
-    const svgContent = allPaths.map(p => {
-        const fillRule = p.fillRule ? ` fill-rule="${p.fillRule}"` : '';
-        return `<path d="${p.d}" fill="${p.fill}"${fillRule} stroke="${p.stroke}" stroke-width="${p.strokeWidth}"/>`;
-    }).join('\n');
-    
-    // 检测背景色（使用最亮的颜色或白色）
-    const bgColor = '#ffffff';
-    const bgRect = `<rect x="0" y="0" width="${width}" height="${height}" fill="${bgColor}"/>`;
+    const svgContent = allPaths.map(pathElement).join('\n');
     
-    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n${bgRect}\n${svgContent}\n</svg>`;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">\n${backgroundRect(bgColor, width, height)}${svgContent}\n</svg>`;
     
-    console.log(`[BlockVectorize] 完成: ${blockResults.length} 个区块, ${allPaths.length} 条路径`);
+    log.info('blocks.done', `完成: ${blockResults.length} 个区块, ${allPaths.length} 条路径`, { blockCount: blockResults.length, pathCount: allPaths.length });
     
     return {
         svg,
@@ -447,6 +541,7 @@ export async function vectorizeByBlocks(imageData, options = {}) {
         layers: blockResults.flatMap(r => r.layers),
         paths: allPaths,
         colors: allColors,
+        background: bgColor,
         blocks: blockResults.map(r => ({
             bbox: r.block,
             preset: r.preset,
@@ -462,26 +557,27 @@ export async function vectorizeByBlocks(imageData, options = {}) {
 export async function vectorizeSmart(imageData, options = {}) {
     const { width, height } = imageData;
     const vectorize = await getVectorize();
+    const log = createLogger(options);
     
     // 检测是否需要分块
     const bitmap = createDetectionBitmap(imageData);
     const { numRegions } = labelConnectedComponents(bitmap);
     
-    console.log(`[SmartVectorize] 图像 ${width}x${height}, 检测到 ${numRegions} 个独立区域`);
+    log.info('smart.regions', `图像 ${width}x${height}, 检测到 ${numRegions} 个独立区域`, { width, height, numRegions });
     
     // 如果有多个独立区域（> 5），使用分块模式
     if (numRegions > 5) {
-        console.log(`[SmartVectorize] 区域较多，使用分块模式`);
-        return vectorizeByBlocks(imageData, options);
+        log.info('smart.mode', `区域较多，使用分块模式`, { mode: 'blocks' });
+        return vectorizeByBlocks(imageData, { ...options, logger: log });
     }
     
     // 否则全图处理，自动选择预设
     const { analyzeImageColors } = await import('./color-analysis.js');
-    const analysis = analyzeImageColors(imageData);
+    const analysis = analyzeImageColors(imageData, 25, log, { colorSpace: options.colorSpace });
     const presetConfig = PRESETS[analysis.recommendedPreset] || PRESETS.logo;
     
-    console.log(`[SmartVectorize] 区域较少，使用全图模式 (${analysis.recommendedPreset})`);
-    return vectorize(imageData, presetConfig);
+    log.info('smart.mode', `区域较少，使用全图模式 (${analysis.recommendedPreset})`, { mode: 'full', preset: analysis.recommendedPreset });
+    return vectorize(imageData, { ...presetConfig, colorSpace: options.colorSpace, gradients: options.gradients, signal: options.signal, onProgress: options.onProgress, logger: log });
 }
 
 export default { vectorizeByBlocks, vectorizeSmart };
@@ -0,0 +1,620 @@
+/**
+ * Vecburner - 中心线追踪模块
+ *
+ * mode: 'centerline' 时使用。普通的 lineart 追踪笔画两侧的轮廓并填充，
+ * 这里把二值位图细化为单像素宽的骨架，沿骨架输出单笔描边，适合 CAD、绘图仪和签名：
+ *   1. 距离变换：每个前景像素到最近背景像素的距离，用于估计笔画宽度
+ *   2. Zhang-Suen 细化得到 8-连通骨架，并去掉阶梯拐角处的冗余像素
+ *   3. 骨架图以端点和交叉点为节点，节点之间的像素链即一条折线；没有节点的环为闭合折线
+ *   4. 剪掉比笔画宽度短的毛刺，重新连接因此只剩两条折线相交的节点
+ *   5. 折线按开放 / 闭合路径交给 path-pipeline.js 拟合，在角点处断开；描边宽度取沿线距离的中位数
+ *   6. variableWidth 时沿折线逐点采样距离变换，把两侧偏移线和圆头拼成填充轮廓，保留书法 / 毛笔的粗细变化
+ *
+ * 坐标为工作尺寸（放大后），像素 (x, y) 的中心为 (x + 0.5, y + 0.5)
+ */
+
+import { createBinaryBitmap } from './binary-image.js';
+import { fitPointPath } from './path-pipeline.js';
+import { movingAverageSmooth } from './path-smooth.js';
+import { serializePathData } from './path-data.js';
+import { toLogger } from './logger.js';
+
+const noopCheckpoint = async () => {};
+
+// 8 邻域偏移，逆时针：E, NE, N, NW, W, SW, S, SE
+const NEIGHBORS = [[1, 0], [1, -1], [0, -1], [-1, -1], [-1, 0], [-1, 1], [0, 1], [1, 1]];
+
+// 比 SPUR_FACTOR × 笔画宽度短的末端分支视为细化产生的毛刺
+const SPUR_FACTOR = 1.5;
+// 折线转角小于此角度（度）处断开拟合
+const CORNER_ANGLE = 140;
+// 变宽轮廓：中心线在半个笔宽的尺度上转向超过此角度（弧度）处断开，避免内侧偏移线自交
+const OUTLINE_TURN = 40 * Math.PI / 180;
+// 宽度剖面的最小采样间隔（像素），实际间隔取它与笔画宽度的较大者
+const PROFILE_STEP = 2;
+
+/**
+ * 中心线追踪：二值化 → 骨架 → 描边路径
+ *
+ * @param {Object} ctx - 图层上下文（见 layer-tracer.js 的 traceLayer），使用其中的
+ *   imageData、otsuThreshold、blurSigma、morphology、colorTolerance、minPathLength、pathTolerance、variableWidth、arcs
+ * @param {Object} hooks - 可选 { checkpoint, logger }
+ * @returns {Promise<Object|null>} 图层 { color, colorRgb, opacity, paths, shapes, strokes, area }，无笔画时返回 null
+ *   shapes 为空数组；strokes 中每条笔画为 { points, closed, width, length, segments, d, profile }，
+ *   profile 为沿线的宽度剖面 [{ offset, width }]（offset 为弧长比例 0~1）；
+ *   variableWidth 时另有填充轮廓 outline（路径段），paths 输出轮廓填充而不是等宽描边
+ */
+export async function traceCenterlineLayer(ctx, hooks = {}) {
+    const {
+        imageData: workingData,
+        otsuThreshold,
+        blurSigma,
+        morphology,
+        colorTolerance,
+        minPathLength,
+        pathTolerance,
+        variableWidth = false,
+        arcs = false
+    } = ctx;
+    const { width, height } = workingData;
+    const { checkpoint = noopCheckpoint, logger = null } = hooks;
+    const log = toLogger(logger);
+    const progress = (stage, contourIndex = 0, contourCount = 0) =>
+        ({ stage, layerIndex: 0, layerCount: 1, contourIndex, contourCount });
+
+    await checkpoint(progress('bitmap'));
+    const bitmap = createBinaryBitmap(workingData, [0, 0, 0], colorTolerance, true, otsuThreshold, blurSigma, morphology, log);
+    let area = 0;
+    for (let i = 0; i < bitmap.data.length; i++) area += bitmap.data[i];
+    if (area === 0) return null;
+
+    await checkpoint(progress('trace'));
+    const distance = distanceTransform(bitmap.data, width, height);
+    const skeleton = thinBitmap(bitmap.data, width, height);
+    let polylines = traceSkeleton(skeleton, width, height);
+
+    // 笔画宽度：细化保留的像素位于笔画中央，到背景的距离约为半宽 + 0.5
+    const widthAt = (p) => Math.max(1, 2 * distance[p.y * width + p.x] - 1);
+    const typicalWidth = median(polylines.flatMap(line => line.pixels.map(widthAt))) || 1;
+
+    const before = polylines.length;
+    polylines = joinAtNodes(pruneSpurs(polylines, typicalWidth * SPUR_FACTOR));
+    log.debug('centerline.skeleton', `骨架折线 ${before} 条，去毛刺后 ${polylines.length} 条，典型笔画宽度 ${typicalWidth.toFixed(1)}`,
+        { before, after: polylines.length, typicalWidth });
+
+    const strokes = [];
+    for (let i = 0; i < polylines.length; i++) {
+        await checkpoint(progress('fit', i, polylines.length));
+        const line = polylines[i];
+        const strokeWidth = Math.round(median(line.pixels.map(widthAt)) * 10) / 10;
+        const points = line.pixels.map(p => ({ x: p.x + 0.5, y: p.y + 0.5 }));
+        const length = polylineLength(points, line.closed);
+        // 圆头描边覆盖的面积小于最小区域的视为噪点
+        if ((length + strokeWidth) * strokeWidth < minPathLength) continue;
+
+        // 孤立的点输出为零长度线段，由圆头描边画出
+        const segments = points.length === 1
+            ? [['M', points[0].x, points[0].y], ['L', points[0].x, points[0].y]]
+            : fitPointPath(points, {
+                closed: line.closed,
+                // RDP 去掉骨架的阶梯抖动
+                tolerance: 0.6,
+                cornerAngle: CORNER_ANGLE,
+                splitCorners: true,
+                // fitCurve 的误差是距离的平方
+                fitError: Math.max(0.8, pathTolerance) ** 2,
+                arcs
+            });
+        if (segments.length === 0) continue;
+
+        // 宽度剖面：逐像素宽度沿线平滑（窗口约半个笔宽），去掉距离变换的整数台阶
+        const widths = smoothValues(line.pixels.map(widthAt), Math.max(1, Math.round(strokeWidth / 2)), line.closed);
+        const centre = points.length < 3 ? points : movingAverageSmooth(movingAverageSmooth(points, 5, line.closed), 5, line.closed);
+        const stroke = {
+            points,
+            closed: line.closed,
+            width: strokeWidth,
+            length,
+            segments,
+            d: serializePathData(segments),
+            profile: widthProfile(centre, widths, line.closed, Math.max(PROFILE_STEP, strokeWidth))
+        };
+        if (variableWidth) {
+            stroke.outline = strokeOutline(centre, widths, line.closed).flatMap(ring => fitPointPath(ring, {
+                tolerance: 0.25,
+                fitError: Math.max(0.8, pathTolerance) ** 2,
+                arcs
+            }));
+        }
+        strokes.push(stroke);
+    }
+
+    log.info('centerline.traced', `中心线: ${strokes.length} 条笔画`, { strokes: strokes.length, typicalWidth });
+    if (strokes.length === 0) return null;
+
+    const colorStr = 'rgb(0,0,0)';
+    return {
+        color: colorStr,
+        colorRgb: [0, 0, 0],
+        opacity: 1,
+        shapes: [],
+        strokes,
+        area,
+        paths: strokes.map(stroke => variableWidth ? {
+            d: serializePathData(stroke.outline),
+            fill: colorStr,
+            fillOpacity: 1,
+            fillRule: 'nonzero',
+            stroke: 'none',
+            strokeWidth: 0
+        } : {
+            d: stroke.d,
+            fill: 'none',
+            fillOpacity: 1,
+            stroke: colorStr,
+            strokeWidth: stroke.width,
+            strokeLineJoin: 'round',
+            strokeLineCap: 'round'
+        })
+    };
+}
+
+/**
+ * 欧氏距离变换（Felzenszwalb-Huttenlocher）：每个前景像素到最近背景像素中心的距离
+ * 图像外部不视为背景
+ * @param {Uint8Array} bitmap - 1 = 前景
+ * @returns {Float32Array} 距离，背景为 0
+ */
+export function distanceTransform(bitmap, width, height) {
+    const INF = 1e20;
+    const n = width * height;
+    const dist = new Float64Array(n);
+    for (let i = 0; i < n; i++) dist[i] = bitmap[i] ? INF : 0;
+
+    const size = Math.max(width, height);
+    const f = new Float64Array(size), d = new Float64Array(size);
+    const v = new Int32Array(size), z = new Float64Array(size + 1);
+    const transform1d = (len) => {
+        let k = 0;
+        v[0] = 0;
+        z[0] = -Infinity;
+        z[1] = Infinity;
+        for (let q = 1; q < len; q++) {
+            let s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+            while (s <= z[k]) {
+                k--;
+                s = ((f[q] + q * q) - (f[v[k]] + v[k] * v[k])) / (2 * q - 2 * v[k]);
+            }
+            k++;
+            v[k] = q;
+            z[k] = s;
+            z[k + 1] = Infinity;
+        }
+        k = 0;
+        for (let q = 0; q < len; q++) {
+            while (z[k + 1] < q) k++;
+            d[q] = (q - v[k]) * (q - v[k]) + f[v[k]];
+        }
+    };
+
+    for (let x = 0; x < width; x++) {
+        for (let y = 0; y < height; y++) f[y] = dist[y * width + x];
+        transform1d(height);
+        for (let y = 0; y < height; y++) dist[y * width + x] = d[y];
+    }
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) f[x] = dist[y * width + x];
+        transform1d(width);
+        for (let x = 0; x < width; x++) dist[y * width + x] = d[x];
+    }
+
+    const result = new Float32Array(n);
+    for (let i = 0; i < n; i++) result[i] = dist[i] >= INF ? 0 : Math.sqrt(dist[i]);
+    return result;
+}
+
+/**
+ * Zhang-Suen 细化，之后去掉阶梯拐角处不影响连通性的冗余像素，得到严格单像素宽的 8-连通骨架
+ * @param {Uint8Array} bitmap - 1 = 前景
+ * @returns {Uint8Array} 骨架，1 = 骨架像素
+ */
+export function thinBitmap(bitmap, width, height) {
+    const img = Uint8Array.from(bitmap);
+    const at = (x, y) => (x >= 0 && x < width && y >= 0 && y < height ? img[y * width + x] : 0);
+
+    let candidates = [];
+    for (let i = 0; i < img.length; i++) if (img[i]) candidates.push(i);
+
+    let changed = true;
+    while (changed) {
+        changed = false;
+        for (let step = 0; step < 2; step++) {
+            const remove = [];
+            for (const i of candidates) {
+                const x = i % width, y = (i - x) / width;
+                // P2..P9：N, NE, E, SE, S, SW, W, NW
+                const p2 = at(x, y - 1), p3 = at(x + 1, y - 1), p4 = at(x + 1, y), p5 = at(x + 1, y + 1);
+                const p6 = at(x, y + 1), p7 = at(x - 1, y + 1), p8 = at(x - 1, y), p9 = at(x - 1, y - 1);
+                const b = p2 + p3 + p4 + p5 + p6 + p7 + p8 + p9;
+                if (b < 2 || b > 6) continue;
+                const ring = [p2, p3, p4, p5, p6, p7, p8, p9, p2];
+                let a = 0;
+                for (let k = 0; k < 8; k++) if (!ring[k] && ring[k + 1]) a++;
+                if (a !== 1) continue;
+                if (step === 0 ? (p2 * p4 * p6 || p4 * p6 * p8) : (p2 * p4 * p8 || p2 * p6 * p8)) continue;
+                remove.push(i);
+            }
+            for (const i of remove) img[i] = 0;
+            if (remove.length > 0) changed = true;
+            candidates = candidates.filter(i => img[i]);
+        }
+    }
+
+    // 阶梯拐角：有两个正交相邻的邻居时，去掉后若 8-连通性不变（Yokoi 连接数为 1）且不是端点，则删除
+    for (const i of candidates) {
+        const x = i % width, y = (i - x) / width;
+        const nb = NEIGHBORS.map(([dx, dy]) => at(x + dx, y + dy));
+        const degree = nb.reduce((sum, v) => sum + v, 0);
+        if (degree < 2) continue;
+        const orthogonalPair = (nb[0] && nb[2]) || (nb[2] && nb[4]) || (nb[4] && nb[6]) || (nb[6] && nb[0]);
+        if (!orthogonalPair) continue;
+        let connectivity = 0;
+        for (let k = 0; k < 8; k += 2) {
+            const a = 1 - nb[k], b = 1 - nb[k + 1], c = 1 - nb[(k + 2) % 8];
+            connectivity += a - a * b * c;
+        }
+        if (connectivity === 1) img[i] = 0;
+    }
+
+    return img;
+}
+
+/**
+ * 骨架 → 折线
+ * 节点为度数不等于 2 的像素（端点、交叉点、孤立点），沿度数为 2 的像素链从一个节点走到另一个节点
+ * 相邻的交叉点像素（粗笔画交叉处常见的一团）合并为一个节点，以最靠近其重心的像素为代表，
+ * 从团中各像素出发的折线都从代表像素起始，团内部不产生折线
+ * @returns {Array} [{ pixels: [{ x, y }], closed, ends, degree }]
+ *   ends: 两端节点的像素索引（合并的节点为代表像素，闭合环为 -1）；
+ *   degree: 两端节点的骨架度数（合并的节点为团外相邻像素数，闭合环为 2）
+ */
+export function traceSkeleton(skeleton, width, height) {
+    const n = width * height;
+    const degree = new Uint8Array(n);
+    const neighborsOf = (i) => {
+        const x = i % width, y = (i - x) / width;
+        const out = [];
+        // 先正交、后对角，避免沿对角线抄近路跳过正交相邻的像素
+        for (const k of [0, 2, 4, 6, 1, 3, 5, 7]) {
+            const nx = x + NEIGHBORS[k][0], ny = y + NEIGHBORS[k][1];
+            if (nx >= 0 && nx < width && ny >= 0 && ny < height && skeleton[ny * width + nx]) out.push(ny * width + nx);
+        }
+        return out;
+    };
+    for (let i = 0; i < n; i++) if (skeleton[i]) degree[i] = neighborsOf(i).length;
+
+    const isNode = (i) => degree[i] !== 2;
+    const visited = new Uint8Array(n);
+    const linked = new Set(); // 相邻节点之间的直接连接，只记录一次
+    const toPixel = (i) => ({ x: i % width, y: Math.floor(i / width) });
+    const polylines = [];
+
+    // 交叉点团：相邻的度数 ≥ 3 的像素合并，rep 为代表像素
+    const rep = new Int32Array(n).fill(-1);
+    for (let i = 0; i < n; i++) {
+        if (!skeleton[i] || degree[i] < 3 || rep[i] >= 0) continue;
+        const members = [i];
+        rep[i] = i;
+        for (let k = 0; k < members.length; k++) {
+            for (const j of neighborsOf(members[k])) {
+                if (degree[j] >= 3 && rep[j] < 0) {
+                    rep[j] = i;
+                    members.push(j);
+                }
+            }
+        }
+        if (members.length === 1) continue;
+        let cx = 0, cy = 0;
+        for (const m of members) {
+            cx += m % width;
+            cy += Math.floor(m / width);
+        }
+        cx /= members.length;
+        cy /= members.length;
+        let best = i, bestDist = Infinity;
+        for (const m of members) {
+            const d = (m % width - cx) ** 2 + (Math.floor(m / width) - cy) ** 2;
+            if (d < bestDist) {
+                best = m;
+                bestDist = d;
+            }
+        }
+        const outside = new Set();
+        for (const m of members) {
+            rep[m] = best;
+            for (const j of neighborsOf(m)) if (degree[j] < 3) outside.add(j);
+        }
+        degree[best] = Math.max(3, outside.size);
+    }
+    const nodeOf = (i) => (rep[i] >= 0 ? rep[i] : i);
+    // 折线端点换成所在团的代表像素
+    const attach = (path) => {
+        const head = nodeOf(path[0]), tail = nodeOf(path[path.length - 1]);
+        const out = head === path[0] ? path.slice() : [head, ...path];
+        if (tail !== path[path.length - 1]) out.push(tail);
+        return out;
+    };
+
+    const walk = (start, first) => {
+        const path = [start, first];
+        let prev = start, cur = first;
+        while (!isNode(cur)) {
+            visited[cur] = 1;
+            const next = neighborsOf(cur).find(j => j !== prev && (isNode(j) ? j !== start || path.length > 2 : !visited[j]));
+            if (next === undefined) break;
+            path.push(next);
+            prev = cur;
+            cur = next;
+        }
+        return path;
+    };
+
+    for (let i = 0; i < n; i++) {
+        if (!skeleton[i] || !isNode(i)) continue;
+        if (degree[i] === 0) {
+            // 孤立点（句点等），输出单个像素的折线，由 traceCenterlineLayer 画成零长度的圆头描边
+            polylines.push({ pixels: [toPixel(i)], closed: false, ends: [i, i] });
+            continue;
+        }
+        for (const j of neighborsOf(i)) {
+            if (isNode(j)) {
+                const a = nodeOf(i), b = nodeOf(j);
+                // 同一团内的像素之间不连线
+                if (a === b) continue;
+                const key = Math.min(a, b) * n + Math.max(a, b);
+                if (linked.has(key)) continue;
+                linked.add(key);
+                polylines.push({ pixels: attach([i, j]).map(toPixel), closed: false, ends: [a, b] });
+            } else if (!visited[j]) {
+                const path = walk(i, j);
+                const ends = [nodeOf(i), nodeOf(path[path.length - 1])];
+                // 绕过团的一角又回到同一团的短链（团边缘的度数为 2 的像素），不是笔画
+                if (ends[0] === ends[1] && rep[i] >= 0 && path.length <= 3) continue;
+                polylines.push({ pixels: attach(path).map(toPixel), closed: false, ends });
+            }
+        }
+    }
+
+    // 剩余的度数为 2 的像素组成没有节点的闭合环
+    for (let i = 0; i < n; i++) {
+        if (!skeleton[i] || isNode(i) || visited[i]) continue;
+        const path = [i];
+        visited[i] = 1;
+        let cur = i;
+        for (;;) {
+            const next = neighborsOf(cur).find(j => !visited[j]);
+            if (next === undefined) break;
+            visited[next] = 1;
+            path.push(next);
+            cur = next;
+        }
+        polylines.push({ pixels: path.map(toPixel), closed: true, ends: [-1, -1] });
+    }
+
+    return polylines.map(line => ({ ...line, degree: line.ends.map(e => (e >= 0 ? degree[e] : 2)) }));
+}
+
+/**
+ * 去掉一端为端点（度数 1）、另一端为交叉点且长度小于 minLength 的末端分支
+ */
+function pruneSpurs(polylines, minLength) {
+    return polylines.filter(line => {
+        if (line.closed) return true;
+        const [d0, d1] = line.degree;
+        const isSpur = (d0 === 1 && d1 >= 3) || (d1 === 1 && d0 >= 3);
+        return !isSpur || line.pixels.length >= minLength;
+    });
+}
+
+/**
+ * 去毛刺后只剩两条折线相交的节点，把两条折线接成一条（同一条的两端相接则闭合）
+ */
+function joinAtNodes(polylines) {
+    let lines = polylines;
+    for (;;) {
+        const incidence = new Map(); // 节点 → [{ line, end }]
+        for (const line of lines) {
+            if (line.closed) continue;
+            line.ends.forEach((node, end) => {
+                if (!incidence.has(node)) incidence.set(node, []);
+                incidence.get(node).push({ line, end });
+            });
+        }
+        let joined = false;
+        for (const uses of incidence.values()) {
+            if (uses.length !== 2) continue;
+            const [a, b] = uses;
+            if (a.line === b.line) {
+                if (a.line.pixels.length > 2) {
+                    a.line.closed = true;
+                    a.line.pixels = a.line.pixels.slice(0, -1);
+                    joined = true;
+                }
+                continue;
+            }
+            // a 的节点端放到末尾，b 的节点端放到开头，去掉重复的节点像素后拼接
+            const pa = a.end === 1 ? a.line.pixels : a.line.pixels.slice().reverse();
+            const pb = b.end === 0 ? b.line.pixels : b.line.pixels.slice().reverse();
+            const endA = a.end === 1 ? 0 : 1, endB = b.end === 0 ? 1 : 0;
+            const merged = {
+                pixels: pa.concat(pb.slice(1)),
+                closed: false,
+                ends: [a.line.ends[endA], b.line.ends[endB]],
+                degree: [a.line.degree[endA], b.line.degree[endB]]
+            };
+            lines = lines.filter(line => line !== a.line && line !== b.line).concat([merged]);
+            joined = true;
+            break;
+        }
+        if (!joined) return lines;
+    }
+}
+
+/**
+ * 数值序列的滑动平均（窗口半径 radius），开放序列在首尾附近收缩窗口
+ */
+function smoothValues(values, radius, closed) {
+    const n = values.length;
+    return values.map((_, i) => {
+        const r = closed ? Math.min(radius, Math.floor((n - 1) / 2)) : Math.min(radius, i, n - 1 - i);
+        let sum = 0;
+        for (let k = -r; k <= r; k++) sum += values[((i + k) % n + n) % n];
+        return sum / (2 * r + 1);
+    });
+}
+
+/**
+ * 宽度剖面：按弧长大约每 step 像素取一个样本（含首尾），offset 为弧长占总长的比例
+ * 闭合笔画的最后一个样本回到起点
+ */
+function widthProfile(points, widths, closed, step) {
+    const round = (v, k) => Math.round(v * k) / k;
+    const n = points.length;
+    const count = closed ? n + 1 : n;
+    const arc = [0];
+    for (let i = 1; i < count; i++) {
+        const a = points[i - 1], b = points[i % n];
+        arc.push(arc[i - 1] + Math.hypot(b.x - a.x, b.y - a.y));
+    }
+    const total = arc[count - 1];
+    if (total === 0) return [{ offset: 0, width: round(widths[0], 10) }];
+
+    const profile = [];
+    let next = 0;
+    for (let i = 0; i < count; i++) {
+        if (arc[i] < next && i !== count - 1) continue;
+        profile.push({ offset: round(arc[i] / total, 1000), width: round(widths[i % n], 10) });
+        next = arc[i] + step;
+    }
+    return profile;
+}
+
+/**
+ * 变宽笔画的填充轮廓（点环数组）
+ * 每段为：左侧偏移线 → 末端半圆 → 右侧偏移线（反向）→ 起点半圆，各段方向一致，重叠处按 nonzero 规则合并
+ * 中心线在急转处断开成多段、各自带圆头，避免转弯内侧的偏移线自交出空洞
+ * 没有急转的闭合笔画输出外、内两个方向相反的环
+ */
+function strokeOutline(points, widths, closed) {
+    const n = points.length;
+    // 孤立的点（零长度笔画）：整圆
+    if (points.every(p => p.x === points[0].x && p.y === points[0].y)) {
+        return [arcPoints(points[0], widths[0] / 2, { x: 1, y: 0 }, { x: 0, y: 1 }, 0, 2 * Math.PI)];
+    }
+    const at = closed ? (i => ((i % n) + n) % n) : (i => Math.max(0, Math.min(n - 1, i)));
+
+    // 急转点：在半个笔宽的尺度上测量转角，取局部最大
+    const reach = widths.map(w => Math.max(2, Math.round(w / 2)));
+    const turn = points.map((p, i) => {
+        if (!closed && (i === 0 || i === n - 1)) return 0;
+        const a = points[at(i - reach[i])], b = points[at(i + reach[i])];
+        return Math.abs(Math.atan2(
+            (p.x - a.x) * (b.y - p.y) - (p.y - a.y) * (b.x - p.x),
+            (p.x - a.x) * (b.x - p.x) + (p.y - a.y) * (b.y - p.y)));
+    });
+    const breaks = [];
+    for (let i = 0; i < n; i++) {
+        if (turn[i] <= OUTLINE_TURN) continue;
+        let isMax = true;
+        for (let k = 1; k <= reach[i] && isMax; k++) {
+            if (turn[at(i - k)] > turn[i] || turn[at(i + k)] >= turn[i]) isMax = false;
+        }
+        if (isMax) breaks.push(i);
+    }
+
+    if (closed && breaks.length === 0) {
+        return [offsetSide(points, widths, n, at, 1), offsetSide(points, widths, n, at, -1).reverse()];
+    }
+
+    // 按急转点分段（闭合笔画从第一个急转点起绕一圈）
+    const order = closed
+        ? Array.from({ length: n + 1 }, (_, k) => (breaks[0] + k) % n)
+        : points.map((_, i) => i);
+    const cuts = [0];
+    for (let k = 1; k < order.length - 1; k++) {
+        if (breaks.includes(order[k])) cuts.push(k);
+    }
+    cuts.push(order.length - 1);
+
+    const rings = [];
+    for (let c = 1; c < cuts.length; c++) {
+        const idx = order.slice(cuts[c - 1], cuts[c] + 1);
+        const count = idx.length;
+        // 分段内截断：端点处的切线只看段内的点
+        const pieceAt = (j) => idx[Math.max(0, Math.min(count - 1, j))];
+        const first = idx[0], last = idx[count - 1];
+        const startFrame = frame(points, pieceAt, 0);
+        const endFrame = frame(points, pieceAt, count - 1);
+        rings.push([
+            ...offsetSide(points, widths, count, pieceAt, 1),
+            ...arcPoints(points[last], widths[last] / 2, endFrame.normal, endFrame.tangent, 0, Math.PI).slice(1, -1),
+            ...offsetSide(points, widths, count, pieceAt, -1).reverse(),
+            ...arcPoints(points[first], widths[first] / 2, startFrame.normal, startFrame.tangent, Math.PI, 2 * Math.PI).slice(1, -1)
+        ]);
+    }
+    return rings;
+}
+
+/**
+ * 第 j 个点处的单位切线与左法线；at 把序号 j 映射为点索引，并负责越界（截断或回绕）
+ */
+function frame(points, at, j) {
+    const a = points[at(j - 2)], b = points[at(j + 2)];
+    const len = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+    const tangent = { x: (b.x - a.x) / len, y: (b.y - a.y) / len };
+    return { tangent, normal: { x: -tangent.y, y: tangent.x } };
+}
+
+/**
+ * 序号 0 ~ count-1 的点沿法线偏移半个宽度得到的一侧边线；sign 为 1 取左侧、-1 取右侧
+ */
+function offsetSide(points, widths, count, at, sign) {
+    const side = [];
+    for (let j = 0; j < count; j++) {
+        const i = at(j);
+        const { normal } = frame(points, at, j);
+        const r = sign * widths[i] / 2;
+        side.push({ x: points[i].x + normal.x * r, y: points[i].y + normal.y * r });
+    }
+    return side;
+}
+
+/**
+ * 圆弧上的点：center + r·(cos θ·normal + sin θ·tangent)，θ 从 from 到 to，步长约 1 像素
+ */
+function arcPoints(center, r, normal, tangent, from, to) {
+    const steps = Math.max(4, Math.ceil(Math.abs(to - from) * r));
+    const pts = [];
+    for (let k = 0; k <= steps; k++) {
+        const t = from + (to - from) * k / steps;
+        const c = Math.cos(t), s = Math.sin(t);
+        pts.push({ x: center.x + r * (c * normal.x + s * tangent.x), y: center.y + r * (c * normal.y + s * tangent.y) });
+    }
+    return pts;
+}
+
+function polylineLength(points, closed) {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) length += Math.hypot(points[i].x - points[i - 1].x, points[i].y - points[i - 1].y);
+    if (closed && points.length > 1) {
+        const first = points[0], last = points[points.length - 1];
+        length += Math.hypot(first.x - last.x, first.y - last.y);
+    }
+    return length;
+}
+
+function median(values) {
+    if (values.length === 0) return 0;
+    const sorted = values.slice().sort((a, b) => a - b);
+    return sorted[Math.floor(sorted.length / 2)];
+}
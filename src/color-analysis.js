@@ -4,10 +4,20 @@
  * 分析图片颜色特征，自动决定最佳参数
  */
 
+import { toLogger } from './logger.js';
+import { colorDistSq } from './utils.js';
+import { getColorSpace } from './color-space.js';
+
 /**
  * 分析图片颜色特征，自动决定最佳参数
+ * @param {ImageData} imageData - 图像数据
+ * @param {number} clusterThreshold - 聚类阈值
+ * @param {Object} logger - 可选 logger（见 logger.js），默认静默
+ * @param {Object} options - 可选 { colorSpace }，聚类距离所用的颜色空间（见 color-space.js）
  */
-export function analyzeImageColors(imageData, clusterThreshold = 25) {
+export function analyzeImageColors(imageData, clusterThreshold = 25, logger = null, options = {}) {
+    const log = toLogger(logger);
+    const space = getColorSpace(options.colorSpace);
     const { data, width, height } = imageData;
     const colorMap = new Map(); // 颜色 -> 像素数量
     const totalPixels = width * height;
@@ -37,7 +47,7 @@ export function analyzeImageColors(imageData, clusterThreshold = 25) {
     
     // 3. 颜色聚类 (简单的贪婪聚类)
     const sorted = colors.sort((a, b) => b.count - a.count); // 按数量排序
-    const clusters = performGreedyClustering(sorted, clusterThreshold);
+    const clusters = performGreedyClustering(sorted, clusterThreshold, space);
     
     // 4. 计算特征
     const uniqueColors = colorMap.size;
@@ -71,10 +81,10 @@ export function analyzeImageColors(imageData, clusterThreshold = 25) {
     if (!isPhoto && !isBinary && !isPixelArt && clusterCount > 4 && clusterCount < 64) {
         const aggressiveThreshold = 90; // 更大的合并半径 (60 -> 90)
         // 使用原始颜色列表（sorted）进行二次聚类，而不是用已经聚类过的 clusters
-        const reClusters = performGreedyClustering(sorted, aggressiveThreshold);
+        const reClusters = performGreedyClustering(sorted, aggressiveThreshold, space);
         const reClusterCount = reClusters.length;
         
-        console.log(`[ColorAnalysis] Logo模式二次聚类: ${clusterCount} -> ${reClusterCount}`);
+        log.debug('analysis.recluster', `Logo模式二次聚类: ${clusterCount} -> ${reClusterCount}`, { before: clusterCount, after: reClusterCount });
         
         if (reClusterCount < clusterCount) {
             // 使用二次聚类的结果作为推荐
@@ -115,7 +125,8 @@ export function analyzeImageColors(imageData, clusterThreshold = 25) {
         }
     }
     
-    console.log(`[ColorAnalysis] 独特颜色: ${uniqueColors}, 聚类后: ${clusterCount}, 推荐: ${recommendedPreset} (${recommendedNumColors}色)`);
+    log.info('analysis.result', `独特颜色: ${uniqueColors}, 聚类后: ${clusterCount}, 推荐: ${recommendedPreset} (${recommendedNumColors}色)`,
+        { uniqueColors, clusterCount, recommendedPreset, recommendedNumColors });
     
     return {
         uniqueColors,
@@ -131,20 +142,17 @@ export function analyzeImageColors(imageData, clusterThreshold = 25) {
 
 /**
  * 执行贪婪聚类
+ * @param {Object} space - 距离所用的颜色空间（见 color-space.js）
  */
-function performGreedyClustering(colors, threshold) {
+function performGreedyClustering(colors, threshold, space) {
     const clusters = [];
-    // 深拷贝颜色对象，以免修改原数组
-    const sortedColors = colors.map(c => ({ ...c }));
+    // 深拷贝颜色对象，以免修改原数组；v 为颜色在距离空间中的坐标
+    const sortedColors = colors.map(c => ({ ...c, v: space.fromRgb([c.r, c.g, c.b]) }));
     
     for (const color of sortedColors) {
         let merged = false;
         for (const cluster of clusters) {
-            const dist = Math.sqrt(
-                Math.pow(color.r - cluster.r, 2) +
-                Math.pow(color.g - cluster.g, 2) +
-                Math.pow(color.b - cluster.b, 2)
-            );
+            const dist = Math.sqrt(colorDistSq(color.v, cluster.v));
             if (dist < threshold) {
                 // 合并到现有聚类（加权平均）
                 const total = cluster.count + color.count;
@@ -152,6 +160,7 @@ function performGreedyClustering(colors, threshold) {
                 cluster.g = Math.round((cluster.g * cluster.count + color.g * color.count) / total);
                 cluster.b = Math.round((cluster.b * cluster.count + color.b * color.count) / total);
                 cluster.count = total;
+                cluster.v = space.fromRgb([cluster.r, cluster.g, cluster.b]);
                 merged = true;
                 break;
             }
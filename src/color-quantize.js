@@ -4,13 +4,35 @@
  * 提供 K-Means++ 和 Median Cut 颜色量化算法
  */
 
-import { colorDistSq } from './utils.js';
+import { colorDistSq, createRandom } from './utils.js';
+import { toLogger } from './logger.js';
+import { getColorSpace } from './color-space.js';
+
+// alpha 参与量化时，低于此值的像素视为完全透明，不参与聚类
+const MIN_SAMPLE_ALPHA = 16;
+
+// 锁定色吸收自由中心的半径：图像中与品牌色略有偏差的颜色（压缩、色彩配置）归入品牌色
+const LOCKED_SNAP_RADIUS = 50;
 
 /**
  * K-Means++ 颜色聚类 - 比 Median Cut 更准确
  * 类似 VM(基于公开资料) 的色板提取
+ * @param {ImageData} imageData - 图像数据
+ * @param {number} maxColors - 最大颜色数
+ * @param {number} maxIterations - 最大迭代次数
+ * @param {Object} logger - 可选 logger（见 logger.js），默认静默
+ * @param {Object} options - 可选 { alpha, colorSpace, lockedColors, seed }
+ * @param {boolean} options.alpha - alpha 参与聚类，返回 [r, g, b, a]；否则只统计 alpha > 128 的像素，返回 [r, g, b]
+ * @param {string} options.colorSpace - 聚类所在的颜色空间: 'rgb' | 'lab' | 'oklab'（见 color-space.js）
+ * @param {Array} options.lockedColors - 必须保留的颜色 [[r, g, b], ...]：作为固定的初始中心，
+ *   迭代中不移动，不被合并或边缘色过滤去掉，原样出现在结果中；其余 maxColors - n 个中心自由聚类
+ * @param {number} options.seed - K-Means++ 初始化的随机种子，相同输入和种子得到相同的调色板
+ * @returns {Array} 调色板（RGB），按 comparePaletteOrder 排序
  */
-export function kMeansQuantize(imageData, maxColors = 16, maxIterations = 10) {
+export function kMeansQuantize(imageData, maxColors = 16, maxIterations = 10, logger = null, options = {}) {
+    const { alpha = false, colorSpace = 'rgb', lockedColors = [], seed = 1 } = options;
+    const random = createRandom(seed);
+    const space = getColorSpace(colorSpace);
     const data = imageData.data;
     const pixels = [];
     const pixelCounts = new Map(); // 统计每个颜色的像素数
@@ -23,35 +45,49 @@ export function kMeansQuantize(imageData, maxColors = 16, maxIterations = 10) {
     const sampleRate = totalPixels > MAX_SAMPLES ? Math.ceil(totalPixels / MAX_SAMPLES) : 1;
 
     for (let i = 0; i < data.length; i += 4 * sampleRate) {
-        if (data[i + 3] > 128) {
+        if (alpha ? data[i + 3] >= MIN_SAMPLE_ALPHA : data[i + 3] > 128) {
             // 量化到 7-bit 减少噪点（从 /4 改为 /2，保留更多颜色精度）
-            const r = Math.round(data[i] / 2) * 2;
-            const g = Math.round(data[i + 1] / 2) * 2;
-            const b = Math.round(data[i + 2] / 2) * 2;
-            const key = (r << 16) | (g << 8) | b;
+            // 255 会舍入到 256，裁剪回 255，避免进位到相邻通道（纯白被当成 rgb(1,1,0)）
+            const r = Math.min(255, Math.round(data[i] / 2) * 2);
+            const g = Math.min(255, Math.round(data[i + 1] / 2) * 2);
+            const b = Math.min(255, Math.round(data[i + 2] / 2) * 2);
+            let key = (r << 16) | (g << 8) | b;
+            if (alpha) {
+                // alpha 量化到 6-bit，完全不透明保持 255；放在低 24 位之上（用乘法避免符号位）
+                const a = Math.min(255, Math.round(data[i + 3] / 4) * 4);
+                key += a * 0x1000000;
+            }
             pixelCounts.set(key, (pixelCounts.get(key) || 0) + 1);
         }
     }
 
-    if (pixelCounts.size === 0) return [[128, 128, 128]];
+    // 锁定色统一通道数：alpha 模式补 255，否则去掉 alpha
+    const locked = lockedColors.map(c => alpha ? [c[0], c[1], c[2], c.length > 3 ? c[3] : 255] : c.slice(0, 3));
 
-    // 转换为带权重的颜色数组
+    if (pixelCounts.size === 0) {
+        return locked.length > 0 ? locked.sort(comparePaletteOrder) : [alpha ? [128, 128, 128, 255] : [128, 128, 128]];
+    }
+
+    // 转换为带权重的颜色数组（之后的聚类、合并、边缘色过滤都在目标颜色空间中进行）
     const weightedColors = [];
     for (const [key, count] of pixelCounts) {
-        weightedColors.push({
-            color: [(key >> 16) & 0xff, (key >> 8) & 0xff, key & 0xff],
-            weight: count
-        });
+        const color = [(key >> 16) & 0xff, (key >> 8) & 0xff, key & 0xff];
+        if (alpha) color.push(Math.floor(key / 0x1000000));
+        weightedColors.push({ color: space.fromRgb(color), weight: count });
     }
+    const channels = alpha ? 4 : 3;
 
     // K-Means++ 初始化：选择分散的初始中心
-    const centers = [];
+    // 锁定色排在最前面（下标 < lockedCount），lockedRgb 记录它们的原始颜色
+    const centers = locked.map(c => space.fromRgb(c));
+    const lockedCount = centers.length;
+    const lockedRgb = new Map(centers.map((c, i) => [c, locked[i]]));
     // 第一个中心：选择权重最大的颜色
     weightedColors.sort((a, b) => b.weight - a.weight);
-    centers.push([...weightedColors[0].color]);
+    if (lockedCount === 0) centers.push([...weightedColors[0].color]);
 
     // 后续中心：按距离概率选择
-    while (centers.length < maxColors && centers.length < weightedColors.length) {
+    while (centers.length < maxColors && centers.length - lockedCount < weightedColors.length) {
         let totalDist = 0;
         const distances = weightedColors.map(wc => {
             let minDist = Infinity;
@@ -63,17 +99,22 @@ export function kMeansQuantize(imageData, maxColors = 16, maxIterations = 10) {
             return minDist * wc.weight;
         });
 
-        // 轮盘选择
-        let r = Math.random() * totalDist;
+        // 所有颜色都已与某个中心重合
+        if (totalDist === 0) break;
+
+        // 轮盘选择（跳过与现有中心重合的颜色）
+        let r = random() * totalDist;
+        let picked = false;
         for (let i = 0; i < distances.length; i++) {
             r -= distances[i];
-            if (r <= 0) {
+            if (distances[i] > 0 && r <= 0) {
                 centers.push([...weightedColors[i].color]);
+                picked = true;
                 break;
             }
         }
-        if (centers.length === centers.length) {
-            // 如果没有选中，选距离最远的
+        if (!picked) {
+            // 浮点误差导致没有选中时，选距离最远的
             let maxDist = 0, maxIdx = 0;
             for (let i = 0; i < distances.length; i++) {
                 if (distances[i] > maxDist) {
@@ -88,7 +129,7 @@ export function kMeansQuantize(imageData, maxColors = 16, maxIterations = 10) {
     // K-Means 迭代
     for (let iter = 0; iter < maxIterations; iter++) {
         // 分配每个颜色到最近的中心
-        const clusters = centers.map(() => ({ sum: [0, 0, 0], weight: 0 }));
+        const clusters = centers.map(() => ({ sum: new Array(channels).fill(0), weight: 0 }));
         
         for (const wc of weightedColors) {
             let minDist = Infinity, minIdx = 0;
@@ -99,21 +140,17 @@ export function kMeansQuantize(imageData, maxColors = 16, maxIterations = 10) {
                     minIdx = i;
                 }
             }
-            clusters[minIdx].sum[0] += wc.color[0] * wc.weight;
-            clusters[minIdx].sum[1] += wc.color[1] * wc.weight;
-            clusters[minIdx].sum[2] += wc.color[2] * wc.weight;
+            for (let k = 0; k < channels; k++) {
+                clusters[minIdx].sum[k] += wc.color[k] * wc.weight;
+            }
             clusters[minIdx].weight += wc.weight;
         }
 
-        // 更新中心
+        // 更新中心（锁定色不动）
         let changed = false;
-        for (let i = 0; i < centers.length; i++) {
+        for (let i = lockedCount; i < centers.length; i++) {
             if (clusters[i].weight > 0) {
-                const newCenter = [
-                    Math.round(clusters[i].sum[0] / clusters[i].weight),
-                    Math.round(clusters[i].sum[1] / clusters[i].weight),
-                    Math.round(clusters[i].sum[2] / clusters[i].weight)
-                ];
+                const newCenter = clusters[i].sum.map(v => Math.round(v / clusters[i].weight));
                 if (colorDistSq(newCenter, centers[i]) > 4) {
                     centers[i] = newCenter;
                     changed = true;
@@ -133,32 +170,42 @@ export function kMeansQuantize(imageData, maxColors = 16, maxIterations = 10) {
         let sum = [...centers[i]];
         let count = 1;
 
-        for (let j = i + 1; j < centers.length; j++) {
-            if (!used.has(j) && colorDistSq(centers[i], centers[j]) < mergeThreshold) {
-                sum[0] += centers[j][0];
-                sum[1] += centers[j][1];
-                sum[2] += centers[j][2];
+        // 锁定色之间不合并；锁定色在更大的半径内吸收自由中心，并保持原值
+        const threshold = i < lockedCount ? LOCKED_SNAP_RADIUS * LOCKED_SNAP_RADIUS : mergeThreshold;
+        for (let j = Math.max(i + 1, lockedCount); j < centers.length; j++) {
+            if (!used.has(j) && colorDistSq(centers[i], centers[j]) < threshold) {
+                for (let k = 0; k < channels; k++) sum[k] += centers[j][k];
                 count++;
                 used.add(j);
             }
         }
 
-        merged.push([
-            Math.round(sum[0] / count),
-            Math.round(sum[1] / count),
-            Math.round(sum[2] / count)
-        ]);
+        merged.push(i < lockedCount ? centers[i] : sum.map(v => Math.round(v / count)));
         used.add(i);
     }
 
     // 边缘色过滤：识别并移除抗锯齿产生的过渡色
     // 对于多色图像（> 16色），禁用边缘色过滤，因为渐变色会被误判
     const filtered = maxColors <= 16 
-        ? filterEdgeColors(merged, weightedColors, maxColors)
+        ? filterEdgeColors(merged, weightedColors, maxColors, logger, colorSpace)
         : merged;
+    // 锁定色即使被判为边缘色也保留
+    for (const c of centers.slice(0, lockedCount)) {
+        if (!filtered.includes(c)) filtered.push(c);
+    }
 
-    // 按亮度排序
-    return filtered.sort((a, b) => (a[0] + a[1] + a[2]) - (b[0] + b[1] + b[2]));
+    return filtered.map(c => lockedRgb.get(c) || space.toRgb(c)).sort(comparePaletteOrder);
+}
+
+/**
+ * 调色板排序：不透明色在前，按亮度从暗到亮；半透明色在后，按 alpha 从高到低
+ * 图层按此顺序从上到下绘制，半透明的光晕、阴影垫在不透明图层之下
+ * 不带 alpha 的调色板等同于按亮度排序
+ */
+export function comparePaletteOrder(a, b) {
+    const alphaA = a.length > 3 ? a[3] : 255;
+    const alphaB = b.length > 3 ? b[3] : 255;
+    return (alphaB - alphaA) || ((a[0] + a[1] + a[2]) - (b[0] + b[1] + b[2]));
 }
 
 /**
@@ -172,9 +219,14 @@ export function kMeansQuantize(imageData, maxColors = 16, maxIterations = 10) {
  * @param {Array} colors - 聚类后的颜色数组
  * @param {Array} weightedColors - 带权重的原始颜色数据
  * @param {number} maxColors - 目标颜色数，用于动态调整阈值
+ * @param {Object} logger - 可选 logger（见 logger.js），默认静默
+ * @param {string} colorSpace - colors 和 weightedColors 所在的颜色空间，默认 'rgb'
  */
-export function filterEdgeColors(colors, weightedColors, maxColors = 16) {
+export function filterEdgeColors(colors, weightedColors, maxColors = 16, logger = null, colorSpace = 'rgb') {
     if (colors.length <= 2) return colors;
+    const log = toLogger(logger);
+    const space = getColorSpace(colorSpace);
+    const describe = (color) => `rgb(${space.toRgb(color).join(',')})`;
 
     // 1. 计算每个颜色的总权重
     const colorWeights = colors.map(color => {
@@ -232,11 +284,19 @@ export function filterEdgeColors(colors, weightedColors, maxColors = 16) {
         }
     }
 
-    console.log(`[EdgeFilter] 主色 ${mainColors.length} 个, 候选边缘色 ${edgeCandidates.length} 个 (阈值 ${(mainColorThreshold * 100).toFixed(1)}%)`);
+    log.debug('edge-filter.candidates', `主色 ${mainColors.length} 个, 候选边缘色 ${edgeCandidates.length} 个 (阈值 ${(mainColorThreshold * 100).toFixed(1)}%)`,
+        { mainColors: mainColors.length, candidates: edgeCandidates.length, threshold: mainColorThreshold });
 
     // 3. 判断候选色是否为边缘色
     const result = mainColors.map(mc => mc.color);
     const mainColorArray = mainColors.map(mc => mc.color);
+    // 带 alpha 时，主色与透明之间的抗锯齿过渡（同色、alpha 递减）也是边缘色：
+    // 把每个主色的全透明版本作为额外端点
+    if (mainColorArray.some(c => c.length > 3)) {
+        for (const mc of mainColors) {
+            mainColorArray.push([mc.color[0], mc.color[1], mc.color[2], 0]);
+        }
+    }
 
     for (const candidate of edgeCandidates) {
         // 保护：如果与所有主色距离都很远（> 60），说明是独立颜色，直接保留
@@ -248,7 +308,8 @@ export function filterEdgeColors(colors, weightedColors, maxColors = 16) {
         
         if (minDistToMain > 60) {
             // 独立颜色，不是边缘色
-            console.log(`[EdgeFilter] 保留独立色 rgb(${candidate.color.join(',')}) (距主色 ${minDistToMain.toFixed(0)})`);
+            log.debug('edge-filter.kept', `保留独立色 ${describe(candidate.color)} (距主色 ${minDistToMain.toFixed(0)})`,
+                { color: candidate.color, distance: minDistToMain });
             result.push(candidate.color);
             continue;
         }
@@ -256,7 +317,8 @@ export function filterEdgeColors(colors, weightedColors, maxColors = 16) {
         const isEdge = isEdgeColor(candidate.color, mainColorArray);
 
         if (isEdge) {
-            console.log(`[EdgeFilter] 过滤边缘色 rgb(${candidate.color.join(',')}) (${(candidate.ratio * 100).toFixed(1)}%)`);
+            log.debug('edge-filter.removed', `过滤边缘色 ${describe(candidate.color)} (${(candidate.ratio * 100).toFixed(1)}%)`,
+                { color: candidate.color, ratio: candidate.ratio });
             // 边缘色不加入结果，其像素会被分配到最近的主色
         } else {
             // 不是边缘色，保留
@@ -288,38 +350,32 @@ export function isEdgeColor(color, mainColors) {
             const A = mainColors[i];
             const B = mainColors[j];
 
+            // 带 alpha 分量时在 RGBA 空间中计算
+            const dims = Math.min(color.length, A.length, B.length);
+
             // AB 向量
-            const ABx = B[0] - A[0];
-            const ABy = B[1] - A[1];
-            const ABz = B[2] - A[2];
-            const AB_len_sq = ABx * ABx + ABy * ABy + ABz * ABz;
+            const AB = [];
+            let AB_len_sq = 0;
+            for (let k = 0; k < dims; k++) {
+                AB.push(B[k] - A[k]);
+                AB_len_sq += AB[k] * AB[k];
+            }
 
             if (AB_len_sq < 100) continue; // A 和 B 太近，跳过
 
-            // AC 向量
-            const ACx = color[0] - A[0];
-            const ACy = color[1] - A[1];
-            const ACz = color[2] - A[2];
-
             // 投影 t = (AC · AB) / |AB|²
-            const dot = ACx * ABx + ACy * ABy + ACz * ABz;
+            let dot = 0;
+            for (let k = 0; k < dims; k++) dot += (color[k] - A[k]) * AB[k];
             const t = dot / AB_len_sq;
 
             // 检查 t 是否在有效范围内
             if (t < minT || t > maxT) continue;
 
             // 计算 C 到 AB 线段的距离
-            // 投影点 P = A + t * AB
-            const Px = A[0] + t * ABx;
-            const Py = A[1] + t * ABy;
-            const Pz = A[2] + t * ABz;
-
-            // CP 距离
-            const dist = Math.sqrt(
-                (color[0] - Px) ** 2 +
-                (color[1] - Py) ** 2 +
-                (color[2] - Pz) ** 2
-            );
+            // 投影点 P = A + t * AB，CP 距离
+            let distSq = 0;
+            for (let k = 0; k < dims; k++) distSq += (color[k] - (A[k] + t * AB[k])) ** 2;
+            const dist = Math.sqrt(distSq);
 
             if (dist < maxLineDistance) {
                 // 这个颜色位于 A-B 连线附近，是边缘色
@@ -333,8 +389,14 @@ export function isEdgeColor(color, mainColors) {
 
 /**
  * Median Cut 颜色量化（备用，更快）
+ * @param {ImageData} imageData - 图像数据
+ * @param {number} maxColors - 最大颜色数
+ * @param {Object} options - 可选 { colorSpace }，在该颜色空间中按跨度 × 像素数切分
+ * @returns {Array} 调色板 [[r, g, b], ...]，去重，颜色可能少于 maxColors
  */
-export function medianCutQuantize(imageData, maxColors = 16) {
+export function medianCutQuantize(imageData, maxColors = 16, options = {}) {
+    const { colorSpace = 'rgb' } = options;
+    const space = getColorSpace(colorSpace);
     const data = imageData.data;
     const pixels = [];
 
@@ -344,14 +406,14 @@ export function medianCutQuantize(imageData, maxColors = 16) {
 
     for (let i = 0; i < data.length; i += 4 * sampleRate) {
         if (data[i + 3] > 128) {
-            pixels.push([data[i], data[i + 1], data[i + 2]]);
+            pixels.push(space.fromRgb([data[i], data[i + 1], data[i + 2]]));
         }
     }
 
     if (pixels.length === 0) return [[128, 128, 128]];
 
     const getMinMax = (arr, channel) => {
-        let min = 255, max = 0;
+        let min = Infinity, max = -Infinity;
         for (let i = 0; i < arr.length; i++) {
             const v = arr[i][channel];
             if (v < min) min = v;
@@ -363,7 +425,8 @@ export function medianCutQuantize(imageData, maxColors = 16) {
     const buckets = [pixels];
 
     while (buckets.length < maxColors) {
-        let maxRange = 0, maxIdx = 0, splitCh = 0;
+        // 切分跨度 × 像素数最大的盒子：大面积的纯色背景跨度为 0，不会被切开
+        let maxScore = 0, maxIdx = 0, splitCh = 0;
 
         for (let i = 0; i < buckets.length; i++) {
             const b = buckets[i];
@@ -371,25 +434,412 @@ export function medianCutQuantize(imageData, maxColors = 16) {
 
             for (let c = 0; c < 3; c++) {
                 const { range } = getMinMax(b, c);
-                if (range > maxRange) {
-                    maxRange = range;
+                const score = range * b.length;
+                if (score > maxScore) {
+                    maxScore = score;
                     maxIdx = i;
                     splitCh = c;
                 }
             }
         }
 
-        if (maxRange === 0) break;
+        if (maxScore === 0) break;
 
         const bucket = buckets[maxIdx];
         bucket.sort((a, b) => a[splitCh] - b[splitCh]);
-        const mid = Math.floor(bucket.length / 2);
+        // 在中位数附近找值变化的位置切开，相同的颜色不分到两边
+        const half = Math.floor(bucket.length / 2);
+        let mid = half;
+        for (let offset = 0; offset < bucket.length; offset++) {
+            if (half - offset > 0 && bucket[half - offset - 1][splitCh] !== bucket[half - offset][splitCh]) {
+                mid = half - offset;
+                break;
+            }
+            if (half + offset < bucket.length && bucket[half + offset - 1][splitCh] !== bucket[half + offset][splitCh]) {
+                mid = half + offset;
+                break;
+            }
+        }
         buckets.splice(maxIdx, 1, bucket.slice(0, mid), bucket.slice(mid));
     }
-    
-    return buckets.filter(b => b.length > 0).map(bucket => {
+
+    const colors = new Map();
+    for (const bucket of buckets) {
+        if (bucket.length === 0) continue;
         const sum = [0, 0, 0];
         for (const p of bucket) { sum[0] += p[0]; sum[1] += p[1]; sum[2] += p[2]; }
-        return [Math.round(sum[0] / bucket.length), Math.round(sum[1] / bucket.length), Math.round(sum[2] / bucket.length)];
-    }).sort((a, b) => (a[0] + a[1] + a[2]) - (b[0] + b[1] + b[2]));
+        const color = space.toRgb([sum[0] / bucket.length, sum[1] / bucket.length, sum[2] / bucket.length]);
+        colors.set(color.join(','), color);
+    }
+    return [...colors.values()].sort((a, b) => (a[0] + a[1] + a[2]) - (b[0] + b[1] + b[2]));
+}
+
+// ============ Wu 量化 ============
+
+// Wu 算法在 5-bit RGB 直方图上工作，各维下标 1~32，0 为累积矩的边界
+const WU_SIDE = 33;
+
+function wuIndex(r, g, b) {
+    return (r * WU_SIDE + g) * WU_SIDE + b;
+}
+
+/**
+ * 盒子在累积矩 m 上的体积（盒内元素之和）
+ */
+function wuVolume(box, m) {
+    return m[wuIndex(box.r1, box.g1, box.b1)] - m[wuIndex(box.r1, box.g1, box.b0)]
+        - m[wuIndex(box.r1, box.g0, box.b1)] + m[wuIndex(box.r1, box.g0, box.b0)]
+        - m[wuIndex(box.r0, box.g1, box.b1)] + m[wuIndex(box.r0, box.g1, box.b0)]
+        + m[wuIndex(box.r0, box.g0, box.b1)] - m[wuIndex(box.r0, box.g0, box.b0)];
+}
+
+/**
+ * 沿 dir 切分时与切分位置无关的部分（盒子下边界所在平面）
+ */
+function wuBottom(box, dir, m) {
+    switch (dir) {
+        case 0: return -m[wuIndex(box.r0, box.g1, box.b1)] + m[wuIndex(box.r0, box.g1, box.b0)]
+            + m[wuIndex(box.r0, box.g0, box.b1)] - m[wuIndex(box.r0, box.g0, box.b0)];
+        case 1: return -m[wuIndex(box.r1, box.g0, box.b1)] + m[wuIndex(box.r1, box.g0, box.b0)]
+            + m[wuIndex(box.r0, box.g0, box.b1)] - m[wuIndex(box.r0, box.g0, box.b0)];
+        default: return -m[wuIndex(box.r1, box.g1, box.b0)] + m[wuIndex(box.r1, box.g0, box.b0)]
+            + m[wuIndex(box.r0, box.g1, box.b0)] - m[wuIndex(box.r0, box.g0, box.b0)];
+    }
+}
+
+/**
+ * 沿 dir 在 pos 处切分时的上半部分（与 wuBottom 相加得到下半盒的体积）
+ */
+function wuTop(box, dir, pos, m) {
+    switch (dir) {
+        case 0: return m[wuIndex(pos, box.g1, box.b1)] - m[wuIndex(pos, box.g1, box.b0)]
+            - m[wuIndex(pos, box.g0, box.b1)] + m[wuIndex(pos, box.g0, box.b0)];
+        case 1: return m[wuIndex(box.r1, pos, box.b1)] - m[wuIndex(box.r1, pos, box.b0)]
+            - m[wuIndex(box.r0, pos, box.b1)] + m[wuIndex(box.r0, pos, box.b0)];
+        default: return m[wuIndex(box.r1, box.g1, pos)] - m[wuIndex(box.r1, box.g0, pos)]
+            - m[wuIndex(box.r0, box.g1, pos)] + m[wuIndex(box.r0, box.g0, pos)];
+    }
+}
+
+/**
+ * Wu 颜色量化 - 方差最小化的递归切分（Xiaolin Wu, 1991）
+ * 在 5-bit RGB 直方图的累积矩上工作，每次切分方差最大的盒子，选使两半方差之和最小的位置
+ * 不采样、不迭代、没有随机性，大图比 K-Means 快得多
+ * @param {ImageData} imageData - 图像数据（只统计 alpha > 128 的像素）
+ * @param {number} maxColors - 最大颜色数
+ * @returns {Array} 调色板 [[r, g, b], ...]，按 comparePaletteOrder 排序
+ */
+export function wuQuantize(imageData, maxColors = 16) {
+    const data = imageData.data;
+    const size = WU_SIDE * WU_SIDE * WU_SIDE;
+    const wt = new Float64Array(size);
+    const mr = new Float64Array(size);
+    const mg = new Float64Array(size);
+    const mb = new Float64Array(size);
+    const m2 = new Float64Array(size);
+
+    // 1. 直方图
+    let total = 0;
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] <= 128) continue;
+        const r = data[i], g = data[i + 1], b = data[i + 2];
+        const idx = wuIndex((r >> 3) + 1, (g >> 3) + 1, (b >> 3) + 1);
+        wt[idx]++;
+        mr[idx] += r;
+        mg[idx] += g;
+        mb[idx] += b;
+        m2[idx] += r * r + g * g + b * b;
+        total++;
+    }
+    if (total === 0) return [[128, 128, 128]];
+
+    // 2. 累积矩：m[r][g][b] 为 [1..r] × [1..g] × [1..b] 内的和
+    const moments = [wt, mr, mg, mb, m2];
+    for (let r = 1; r < WU_SIDE; r++) {
+        const area = moments.map(() => new Float64Array(WU_SIDE));
+        for (let g = 1; g < WU_SIDE; g++) {
+            const line = [0, 0, 0, 0, 0];
+            for (let b = 1; b < WU_SIDE; b++) {
+                const idx = wuIndex(r, g, b);
+                const prev = wuIndex(r - 1, g, b);
+                for (let k = 0; k < moments.length; k++) {
+                    const m = moments[k];
+                    line[k] += m[idx];
+                    area[k][b] += line[k];
+                    m[idx] = m[prev] + area[k][b];
+                }
+            }
+        }
+    }
+
+    const variance = (box) => {
+        const dr = wuVolume(box, mr), dg = wuVolume(box, mg), db = wuVolume(box, mb);
+        return wuVolume(box, m2) - (dr * dr + dg * dg + db * db) / wuVolume(box, wt);
+    };
+
+    // 沿 dir 找使两半 Σ(均值²·权重) 最大（即方差之和最小）的切分位置
+    const maximize = (box, dir, first, last, whole) => {
+        const base = [mr, mg, mb, wt].map(m => wuBottom(box, dir, m));
+        let max = 0, cut = -1;
+        for (let pos = first; pos < last; pos++) {
+            const half = [mr, mg, mb, wt].map((m, k) => base[k] + wuTop(box, dir, pos, m));
+            if (half[3] === 0) continue;
+            let temp = (half[0] * half[0] + half[1] * half[1] + half[2] * half[2]) / half[3];
+            const rest = half.map((v, k) => whole[k] - v);
+            if (rest[3] === 0) continue;
+            temp += (rest[0] * rest[0] + rest[1] * rest[1] + rest[2] * rest[2]) / rest[3];
+            if (temp > max) {
+                max = temp;
+                cut = pos;
+            }
+        }
+        return { max, cut };
+    };
+
+    const cutBox = (box1, box2) => {
+        const whole = [mr, mg, mb, wt].map(m => wuVolume(box1, m));
+        const candidates = [
+            maximize(box1, 0, box1.r0 + 1, box1.r1, whole),
+            maximize(box1, 1, box1.g0 + 1, box1.g1, whole),
+            maximize(box1, 2, box1.b0 + 1, box1.b1, whole)
+        ];
+        let dir = 0;
+        if (candidates[1].max > candidates[dir].max) dir = 1;
+        if (candidates[2].max > candidates[dir].max) dir = 2;
+        const { cut } = candidates[dir];
+        if (cut < 0) return false;
+
+        Object.assign(box2, { r0: box1.r0, g0: box1.g0, b0: box1.b0, r1: box1.r1, g1: box1.g1, b1: box1.b1 });
+        if (dir === 0) { box2.r0 = box1.r1 = cut; }
+        else if (dir === 1) { box2.g0 = box1.g1 = cut; }
+        else { box2.b0 = box1.b1 = cut; }
+        box1.vol = (box1.r1 - box1.r0) * (box1.g1 - box1.g0) * (box1.b1 - box1.b0);
+        box2.vol = (box2.r1 - box2.r0) * (box2.g1 - box2.g0) * (box2.b1 - box2.b0);
+        return true;
+    };
+
+    // 3. 反复切分方差最大的盒子
+    const boxes = [{ r0: 0, r1: 32, g0: 0, g1: 32, b0: 0, b1: 32, vol: 32 * 32 * 32 }];
+    const vv = [0];
+    let next = 0;
+    for (let i = 1; i < maxColors; i++) {
+        const box = {};
+        if (cutBox(boxes[next], box)) {
+            boxes[i] = box;
+            vv[next] = boxes[next].vol > 1 ? variance(boxes[next]) : 0;
+            vv[i] = box.vol > 1 ? variance(box) : 0;
+        } else {
+            // 无法再切分
+            vv[next] = 0;
+            i--;
+        }
+
+        next = 0;
+        for (let k = 1; k < boxes.length; k++) {
+            if (vv[k] > vv[next]) next = k;
+        }
+        if (vv[next] <= 0) break;
+    }
+
+    // 4. 每个盒子的加权平均色
+    const colors = [];
+    for (const box of boxes) {
+        const w = wuVolume(box, wt);
+        if (w <= 0) continue;
+        colors.push([
+            Math.round(wuVolume(box, mr) / w),
+            Math.round(wuVolume(box, mg) / w),
+            Math.round(wuVolume(box, mb) / w)
+        ]);
+    }
+    return colors.sort(comparePaletteOrder);
+}
+
+// ============ 八叉树量化 ============
+
+const OCTREE_DEPTH = 6;
+
+/**
+ * 八叉树颜色量化
+ * 按 RGB 各位逐层建树（深度 6，即 6-bit 精度），从最深层开始把像素最少的节点合并为叶子，
+ * 直到叶子数不超过 maxColors；根节点的子节点仍多于 maxColors 时，逐个把像素最少的叶子并入
+ * 颜色最接近的兄弟叶子。结果确定，内存与不同颜色数成正比
+ * @param {ImageData} imageData - 图像数据（只统计 alpha > 128 的像素）
+ * @param {number} maxColors - 最大颜色数
+ * @returns {Array} 调色板 [[r, g, b], ...]，按 comparePaletteOrder 排序
+ */
+export function octreeQuantize(imageData, maxColors = 16) {
+    const data = imageData.data;
+    const newNode = () => ({ count: 0, sum: [0, 0, 0], children: null });
+    const root = newNode();
+    // 各层的非叶节点
+    const levels = Array.from({ length: OCTREE_DEPTH }, () => []);
+    let leafCount = 0;
+
+    for (let i = 0; i < data.length; i += 4) {
+        if (data[i + 3] <= 128) continue;
+        const r = data[i], g = data[i + 1], b = data[i + 2];
+        let node = root;
+        for (let level = 0; level < OCTREE_DEPTH; level++) {
+            node.count++;
+            if (!node.children) {
+                node.children = new Array(8).fill(null);
+                levels[level].push(node);
+            }
+            const shift = 7 - level;
+            const slot = (((r >> shift) & 1) << 2) | (((g >> shift) & 1) << 1) | ((b >> shift) & 1);
+            if (!node.children[slot]) {
+                node.children[slot] = newNode();
+                if (level === OCTREE_DEPTH - 1) leafCount++;
+            }
+            node = node.children[slot];
+        }
+        node.count++;
+        node.sum[0] += r;
+        node.sum[1] += g;
+        node.sum[2] += b;
+    }
+    if (leafCount === 0) return [[128, 128, 128]];
+
+    // 从最深层开始合并：该层节点的子节点都是叶子，按像素数从少到多合并
+    // 根节点不合并，否则只剩一种颜色
+    for (let level = OCTREE_DEPTH - 1; level >= 1 && leafCount > maxColors; level--) {
+        const nodes = levels[level].sort((a, b) => a.count - b.count);
+        for (const node of nodes) {
+            if (leafCount <= maxColors) break;
+            let merged = 0;
+            for (const child of node.children) {
+                if (!child) continue;
+                node.sum[0] += child.sum[0];
+                node.sum[1] += child.sum[1];
+                node.sum[2] += child.sum[2];
+                merged++;
+            }
+            node.children = null;
+            leafCount -= merged - 1;
+        }
+    }
+
+    // 只剩根节点的子叶子时，把像素最少的叶子并入颜色最接近的兄弟叶子
+    while (leafCount > maxColors && leafCount > 1) {
+        const leaves = root.children.filter(Boolean).sort((a, b) => a.count - b.count);
+        const [small] = leaves;
+        const mean = (node) => node.sum.map(v => v / node.count);
+        const m = mean(small);
+        let target = leaves[1], bestDist = Infinity;
+        for (const leaf of leaves.slice(1)) {
+            const d = colorDistSq(m, mean(leaf));
+            if (d < bestDist) {
+                target = leaf;
+                bestDist = d;
+            }
+        }
+        target.count += small.count;
+        for (let k = 0; k < 3; k++) target.sum[k] += small.sum[k];
+        root.children[root.children.indexOf(small)] = null;
+        leafCount--;
+    }
+
+    // 收集叶子
+    const colors = [];
+    const stack = [root];
+    while (stack.length > 0) {
+        const node = stack.pop();
+        if (node.children) {
+            for (const child of node.children) if (child) stack.push(child);
+        } else if (node.count > 0) {
+            colors.push(node.sum.map(v => Math.round(v / node.count)));
+        }
+    }
+    return colors.sort(comparePaletteOrder);
+}
+
+// ============ 自动颜色数 ============
+
+// numColors: 'auto' 时尝试的颜色数
+const AUTO_COLOR_CANDIDATES = [2, 3, 4, 5, 6, 8, 10, 12, 16, 20, 24, 32];
+// 计算误差时最多采样的像素数
+const AUTO_ERROR_SAMPLES = 20000;
+// 平均误差不超过此值（距离平方）视为调色板已完整表示图像颜色
+const EXACT_ERROR = 1;
+
+/**
+ * 调色板的量化误差：采样像素到最近调色板颜色的平均距离平方（在给定颜色空间中）
+ * @param {ImageData} imageData - 图像数据
+ * @param {Array} palette - 调色板
+ * @param {Object} options - 可选 { alpha, colorSpace }，与量化时一致
+ */
+export function paletteError(imageData, palette, options = {}) {
+    const { alpha = false, colorSpace = 'rgb' } = options;
+    const space = getColorSpace(colorSpace);
+    const data = imageData.data;
+    const totalPixels = data.length / 4;
+    const step = Math.max(1, Math.floor(totalPixels / AUTO_ERROR_SAMPLES));
+    const paletteInSpace = palette.map(space.fromRgb);
+
+    let sum = 0, count = 0;
+    for (let i = 0; i < data.length; i += 4 * step) {
+        const a = data[i + 3];
+        if (alpha ? a < MIN_SAMPLE_ALPHA : a <= 128) continue;
+        const pixel = space.fromRgb(alpha ? [data[i], data[i + 1], data[i + 2], a] : [data[i], data[i + 1], data[i + 2]]);
+        let minDist = Infinity;
+        for (const c of paletteInSpace) {
+            const d = colorDistSq(pixel, c);
+            if (d < minDist) minDist = d;
+        }
+        sum += minDist;
+        count++;
+    }
+    return count > 0 ? sum / count : 0;
+}
+
+/**
+ * 自动选择颜色数（肘部法）
+ * 在若干候选 k 上运行量化器，计算每个调色板的量化误差，
+ * 把误差曲线归一化到单位正方形后，取离首尾连线最远的点（Kneedle）作为拐点
+ * 误差已接近 0 时图像颜色已被完整表示，直接取该 k，不再尝试更大的 k
+ *
+ * @param {ImageData} imageData - 图像数据
+ * @param {Function} quantize - (k) => palette
+ * @param {Object} options - 可选 { candidates, alpha, colorSpace, logger, checkpoint }，
+ *   checkpoint 为每个候选 k 之前调用的 async 函数（检查取消信号、让出事件循环）
+ * @returns {Promise<Object>} { numColors, palette, curve }，curve 为 [{ k, colors, error }]，colors 为实际得到的颜色数
+ */
+export async function selectColorCount(imageData, quantize, options = {}) {
+    const { candidates = AUTO_COLOR_CANDIDATES, logger = null, checkpoint = null } = options;
+    const log = toLogger(logger);
+
+    const curve = [];
+    const palettes = [];
+    for (const k of candidates) {
+        if (checkpoint) await checkpoint();
+        const palette = quantize(k);
+        const error = paletteError(imageData, palette, options);
+        curve.push({ k, colors: palette.length, error });
+        palettes.push(palette);
+        if (error <= EXACT_ERROR) break;
+    }
+
+    // 归一化后误差从 1 降到 0，拐点为 (1 - x) - y 最大的点
+    const first = curve[0], last = curve[curve.length - 1];
+    const kRange = last.k - first.k;
+    const errorRange = first.error - last.error;
+    let best = curve.length - 1;
+    if (last.error > EXACT_ERROR && kRange > 0 && errorRange > 0) {
+        let bestScore = -Infinity;
+        for (let i = 0; i < curve.length; i++) {
+            const x = (curve[i].k - first.k) / kRange;
+            const y = (curve[i].error - last.error) / errorRange;
+            const score = (1 - x) - y;
+            if (score > bestScore) {
+                bestScore = score;
+                best = i;
+            }
+        }
+    }
+
+    log.info('palette.auto', `自动颜色数: ${curve[best].k} (尝试 ${curve.map(p => p.k).join(', ')})`,
+        { numColors: curve[best].k, curve });
+
+    return { numColors: curve[best].k, palette: palettes[best], curve };
 }
@@ -0,0 +1,133 @@
+/**
+ * Vecburner - 颜色空间模块
+ *
+ * RGB 欧氏距离与人眼感知差异不一致：深蓝和黑色在 RGB 中很近，明显不同的黄色却很远
+ * 这里提供 CIELAB 与 OKLab，在其中的欧氏距离即 ΔE76 / ΔEOK
+ *
+ * 各空间的坐标都缩放到与 RGB 相近的数值范围（明度 0~255），
+ * 原有按 RGB 设定的距离阈值（合并半径、边缘色判定等）在各空间中保持大致相同的含义
+ * alpha 分量（若有）原样保留为第 4 个分量
+ */
+
+import { colorDistSq } from './utils.js';
+
+// CIELAB 的 L 范围 0~100，OKLab 的 L 范围 0~1
+const LAB_SCALE = 2.55;
+const OKLAB_SCALE = 255;
+
+// D65 白点
+const XN = 0.95047, YN = 1.0, ZN = 1.08883;
+const LAB_EPSILON = 216 / 24389;
+const LAB_KAPPA = 24389 / 27;
+
+// sRGB 8-bit → 线性值查找表
+const SRGB_TO_LINEAR = new Float64Array(256);
+for (let i = 0; i < 256; i++) {
+    const v = i / 255;
+    SRGB_TO_LINEAR[i] = v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function toLinear(v) {
+    if (Number.isInteger(v) && v >= 0 && v <= 255) return SRGB_TO_LINEAR[v];
+    v = Math.min(255, Math.max(0, v)) / 255;
+    return v <= 0.04045 ? v / 12.92 : Math.pow((v + 0.055) / 1.055, 2.4);
+}
+
+function fromLinear(v) {
+    v = v <= 0.0031308 ? 12.92 * v : 1.055 * Math.pow(v, 1 / 2.4) - 0.055;
+    return Math.min(255, Math.max(0, Math.round(v * 255)));
+}
+
+/**
+ * 附加 alpha 分量（源颜色带 alpha 时）
+ */
+function withAlpha(out, source) {
+    if (source.length > 3) out.push(source[3]);
+    return out;
+}
+
+function labF(t) {
+    return t > LAB_EPSILON ? Math.cbrt(t) : (LAB_KAPPA * t + 16) / 116;
+}
+
+function labFInverse(f) {
+    const f3 = f * f * f;
+    return f3 > LAB_EPSILON ? f3 : (116 * f - 16) / LAB_KAPPA;
+}
+
+function rgbToLab(color) {
+    const r = toLinear(color[0]), g = toLinear(color[1]), b = toLinear(color[2]);
+    const fx = labF((0.4124564 * r + 0.3575761 * g + 0.1804375 * b) / XN);
+    const fy = labF((0.2126729 * r + 0.7151522 * g + 0.0721750 * b) / YN);
+    const fz = labF((0.0193339 * r + 0.1191920 * g + 0.9503041 * b) / ZN);
+    return withAlpha([
+        (116 * fy - 16) * LAB_SCALE,
+        500 * (fx - fy) * LAB_SCALE,
+        200 * (fy - fz) * LAB_SCALE
+    ], color);
+}
+
+function labToRgb(lab) {
+    const fy = (lab[0] / LAB_SCALE + 16) / 116;
+    const fx = fy + lab[1] / LAB_SCALE / 500;
+    const fz = fy - lab[2] / LAB_SCALE / 200;
+    const x = labFInverse(fx) * XN, y = labFInverse(fy) * YN, z = labFInverse(fz) * ZN;
+    return withAlpha([
+        fromLinear(3.2404542 * x - 1.5371385 * y - 0.4985314 * z),
+        fromLinear(-0.9692660 * x + 1.8760108 * y + 0.0415560 * z),
+        fromLinear(0.0556434 * x - 0.2040259 * y + 1.0572252 * z)
+    ], lab);
+}
+
+function rgbToOklab(color) {
+    const r = toLinear(color[0]), g = toLinear(color[1]), b = toLinear(color[2]);
+    const l = Math.cbrt(0.4122214708 * r + 0.5363325363 * g + 0.0514459929 * b);
+    const m = Math.cbrt(0.2119034982 * r + 0.6806995451 * g + 0.1073969566 * b);
+    const s = Math.cbrt(0.0883024619 * r + 0.2817188376 * g + 0.6299787005 * b);
+    return withAlpha([
+        (0.2104542553 * l + 0.7936177850 * m - 0.0040720468 * s) * OKLAB_SCALE,
+        (1.9779984951 * l - 2.4285922050 * m + 0.4505937099 * s) * OKLAB_SCALE,
+        (0.0259040371 * l + 0.7827717662 * m - 0.8086757660 * s) * OKLAB_SCALE
+    ], color);
+}
+
+function oklabToRgb(lab) {
+    const L = lab[0] / OKLAB_SCALE, a = lab[1] / OKLAB_SCALE, b = lab[2] / OKLAB_SCALE;
+    const l = (L + 0.3963377774 * a + 0.2158037573 * b) ** 3;
+    const m = (L - 0.1055613458 * a - 0.0638541728 * b) ** 3;
+    const s = (L - 0.0894841775 * a - 1.2914855480 * b) ** 3;
+    return withAlpha([
+        fromLinear(4.0767416621 * l - 3.3077115913 * m + 0.2309699292 * s),
+        fromLinear(-1.2684380046 * l + 2.6097574011 * m - 0.3413193965 * s),
+        fromLinear(-0.0041960863 * l - 0.7034186147 * m + 1.7076147010 * s)
+    ], lab);
+}
+
+function createSpace(name, fromRgb, toRgb) {
+    return {
+        name,
+        fromRgb,
+        toRgb,
+        // 两个 RGB(A) 颜色在该空间中的距离平方
+        distSq: (c1, c2) => colorDistSq(fromRgb(c1), fromRgb(c2))
+    };
+}
+
+const SPACES = {
+    rgb: createSpace('rgb', c => c.slice(), c => c.map(Math.round)),
+    lab: createSpace('lab', rgbToLab, labToRgb),
+    oklab: createSpace('oklab', rgbToOklab, oklabToRgb)
+};
+
+/**
+ * 获取颜色空间
+ * @param {string} name - 'rgb' | 'lab' | 'oklab'
+ * @returns {Object} { name, fromRgb, toRgb, distSq }
+ *   fromRgb: [r, g, b(, a)] → 空间坐标；toRgb: 空间坐标 → 取整并裁剪后的 [r, g, b(, a)]
+ *   distSq: 两个 RGB(A) 颜色在该空间中的距离平方
+ */
+export function getColorSpace(name = 'rgb') {
+    const space = SPACES[name];
+    if (!space) throw new Error(`[Vecburner] 未知颜色空间: ${name}`);
+    return space;
+}
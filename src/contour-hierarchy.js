@@ -0,0 +1,156 @@
+/**
+ * Vecburner - 轮廓层级模块
+ *
+ * 轮廓追踪输出的是平铺列表，孔洞只靠 type === 'inner' 或负面积区分，
+ * 这里用包含关系（点在多边形内）把它们组织成树：
+ *   外轮廓 → 孔洞 → 孔洞中的岛 → ...
+ * 每个轮廓的父节点是包含它的最小轮廓
+ */
+
+import { pointInPolygon } from './utils.js';
+import { serializePathData, segmentsBBox } from './path-data.js';
+
+/**
+ * 轮廓的边界框
+ */
+function pointsBounds(points) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of points) {
+        if (p.x < minX) minX = p.x;
+        if (p.x > maxX) maxX = p.x;
+        if (p.y < minY) minY = p.y;
+        if (p.y > maxY) maxY = p.y;
+    }
+    return { minX, minY, maxX, maxY };
+}
+
+/**
+ * 包含测试的采样点：第一条边的中点
+ * 二值图的不同轮廓可能共享顶点（对角像素），但不会共享边
+ */
+function samplePoint(points) {
+    const a = points[0];
+    const b = points[1 % points.length];
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+/**
+ * 构建轮廓包含树
+ * @param {Array} contours - 轮廓数组 [{ points, type, area }]
+ * @returns {Object} { nodes, roots }
+ *   nodes[i] 对应 contours[i]：{ index, contour, area, isHole, parent, children, depth }
+ *   parent 为父节点下标（-1 表示顶层），depth 为嵌套深度（顶层为 0）
+ */
+export function buildContourHierarchy(contours) {
+    const nodes = contours.map((contour, index) => ({
+        index,
+        contour,
+        area: Math.abs(contour.area),
+        isHole: contour.type === 'inner' || contour.area < 0,
+        parent: -1,
+        children: [],
+        depth: 0,
+        bounds: contour.points.length > 0 ? pointsBounds(contour.points) : null
+    }));
+
+    // 按面积从大到小：父节点一定排在子节点之前
+    const order = nodes.filter(n => n.bounds).sort((a, b) => b.area - a.area);
+
+    for (let i = 0; i < order.length; i++) {
+        const node = order[i];
+        const sample = samplePoint(node.contour.points);
+
+        // 从面积最接近的候选开始向前找，第一个包含它的即为最小包含轮廓
+        for (let j = i - 1; j >= 0; j--) {
+            const candidate = order[j];
+            const cb = candidate.bounds;
+            if (candidate.area <= node.area) continue;
+            if (sample.x < cb.minX || sample.x > cb.maxX || sample.y < cb.minY || sample.y > cb.maxY) continue;
+            if (!pointInPolygon(sample, candidate.contour.points)) continue;
+
+            node.parent = candidate.index;
+            node.depth = candidate.depth + 1;
+            candidate.children.push(node.index);
+            break;
+        }
+    }
+
+    const roots = [];
+    for (const node of nodes) {
+        delete node.bounds;
+        if (node.parent === -1) roots.push(node.index);
+    }
+
+    return { nodes, roots };
+}
+
+/**
+ * 按层级过滤轮廓：父节点被过滤时整棵子树一起去掉
+ * 避免出现失去外轮廓、在非零填充下被当作实心区域绘制的孤立孔洞
+ *
+ * @param {Object} hierarchy - buildContourHierarchy 的结果
+ * @param {Function} keep - (node, parentNode|null) => boolean
+ * @returns {Array<boolean>} 与 nodes 对应的保留标记
+ */
+export function filterContourHierarchy(hierarchy, keep) {
+    const { nodes, roots } = hierarchy;
+    const kept = new Array(nodes.length).fill(false);
+
+    const stack = roots.slice();
+    while (stack.length > 0) {
+        const node = nodes[stack.pop()];
+        const parent = node.parent === -1 ? null : nodes[node.parent];
+        if (!keep(node, parent)) continue;
+        kept[node.index] = true;
+        stack.push(...node.children);
+    }
+
+    return kept;
+}
+
+/**
+ * 把轮廓组织为形状：每个外轮廓带上它直接包含的孔洞
+ * 孔洞中的岛是独立的形状；找不到外轮廓的孔洞也单独成为形状（非零填充下它本身会被填充）
+ *
+ * @param {Array} rings - [{ segments, area, isHole, index }]，index 为轮廓下标
+ * @param {Object} hierarchy - 轮廓包含树
+ * @param {string} contourMethod - 轮廓追踪方法
+ * @returns {Array} [{ outer, holes, area, bbox, depth, contourMethod, d }]
+ *   outer / holes 中的每个环为 { segments, area, bbox }，area 为多边形真实面积（像素²）
+ *   depth 为外轮廓在包含树中的嵌套深度（0 为顶层，2 为孔洞中的岛，依此类推）
+ */
+export function buildShapes(rings, hierarchy, contourMethod) {
+    const toRing = (ring) => ({
+        segments: ring.segments,
+        area: ring.area,
+        bbox: segmentsBBox(ring.segments)
+    });
+
+    const ringByIndex = new Map(rings.map(r => [r.index, r]));
+    const ownerOf = (ring) => {
+        const parent = ringByIndex.get(hierarchy.nodes[ring.index].parent);
+        return ring.isHole && parent && !parent.isHole ? parent : null;
+    };
+
+    // 孔洞可能先于它的外轮廓被追踪到，先确定所有形状再分配孔洞
+    const owners = rings.filter(ring => !ownerOf(ring));
+    const holesByOuter = new Map(owners.map(ring => [ring, []]));
+    for (const ring of rings) {
+        const owner = ownerOf(ring);
+        if (owner) holesByOuter.get(owner).push(ring);
+    }
+
+    return owners.map(outer => {
+        const holes = holesByOuter.get(outer);
+        const outerRing = toRing(outer);
+        return {
+            outer: outerRing,
+            holes: holes.map(toRing),
+            area: Math.max(0, outer.area - holes.reduce((sum, h) => sum + h.area, 0)),
+            bbox: outerRing.bbox,
+            depth: hierarchy.nodes[outer.index].depth,
+            contourMethod,
+            d: [outer, ...holes].map(r => serializePathData(r.segments)).join(' ')
+        };
+    });
+}
@@ -7,14 +7,16 @@
 /**
  * 计算点的局部曲率（使用更大的邻域）
  * VTracer 风格：考虑更大范围的点来判断角点
+ * @param {boolean} closed - 是否闭合路径；开放路径的邻域在首尾截断，首尾点视为平直
  */
-export function computeCurvature(points, index, radius = 3) {
+export function computeCurvature(points, index, radius = 3, closed = true) {
     const n = points.length;
     if (n < 3) return Math.PI;
+    if (!closed && (index === 0 || index === n - 1)) return Math.PI;
 
     // 取前后 radius 个点
-    const prevIdx = (index - radius + n) % n;
-    const nextIdx = (index + radius) % n;
+    const prevIdx = closed ? (index - radius + n) % n : Math.max(0, index - radius);
+    const nextIdx = closed ? (index + radius) % n : Math.min(n - 1, index + radius);
     const curr = points[index];
     const prev = points[prevIdx];
     const next = points[nextIdx];
@@ -80,8 +82,9 @@ export function detectCornersVTracerStrict(points, angleThreshold = 130, minDist
 
 /**
  * VTracer 风格角点检测（原版本，保留兼容）
+ * @param {boolean} closed - 是否闭合路径；开放路径不跨越首尾比较，首尾点不作为角点
  */
-export function detectCornersVTracer(points, angleThreshold = 90, minDistance = 5) {
+export function detectCornersVTracer(points, angleThreshold = 90, minDistance = 5, closed = true) {
     if (points.length < 6) return [];
 
     const n = points.length;
@@ -89,7 +92,7 @@ export function detectCornersVTracer(points, angleThreshold = 90, minDistance =
 
     // 1. 计算每个点的曲率
     for (let i = 0; i < n; i++) {
-        const angle = computeCurvature(points, i, 3);
+        const angle = computeCurvature(points, i, 3, closed);
         curvatures.push({ index: i, angle });
     }
 
@@ -104,8 +107,8 @@ export function detectCornersVTracer(points, angleThreshold = 90, minDistance =
         // 非极大值抑制：检查是否是局部最小
         let isLocalMin = true;
         for (let j = 1; j <= minDistance && isLocalMin; j++) {
-            const prevAngle = curvatures[(i - j + n) % n].angle;
-            const nextAngle = curvatures[(i + j) % n].angle;
+            const prevAngle = closed || i - j >= 0 ? curvatures[(i - j + n) % n].angle : Math.PI;
+            const nextAngle = closed || i + j < n ? curvatures[(i + j) % n].angle : Math.PI;
             if (curr > prevAngle || curr > nextAngle) {
                 isLocalMin = false;
             }
@@ -124,10 +127,9 @@ export function detectCornersVTracer(points, angleThreshold = 90, minDistance =
     for (const c of candidates) {
         let tooClose = false;
         for (const existing of corners) {
-            const dist = Math.min(
-                Math.abs(c.index - existing),
-                n - Math.abs(c.index - existing)
-            );
+            const dist = closed
+                ? Math.min(Math.abs(c.index - existing), n - Math.abs(c.index - existing))
+                : Math.abs(c.index - existing);
             if (dist < minDistance) {
                 tooClose = true;
                 break;
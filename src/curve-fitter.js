@@ -1,21 +1,351 @@
 /**
  * Potrace Core - 曲线拟合模块
  * 
- * 提供贝塞尔曲线拟合功能
+ * 提供贝塞尔曲线拟合功能，以及圆弧识别（输出 SVG 弧线命令 A，见 fitArcSegments）
  */
 
 import { detectCornersVTracer } from './corner-detect.js';
 
+// ============ Schneider 最小二乘贝塞尔拟合 ============
+
+// 二维向量工具（点表示为 [x, y]）
+const vAdd = (a, b) => [a[0] + b[0], a[1] + b[1]];
+const vSub = (a, b) => [a[0] - b[0], a[1] - b[1]];
+const vScale = (a, s) => [a[0] * s, a[1] * s];
+const vDot = (a, b) => a[0] * b[0] + a[1] * b[1];
+const vLenSq = (a) => a[0] * a[0] + a[1] * a[1];
+const vNormalize = (a) => {
+    const len = Math.sqrt(vLenSq(a));
+    return len > 0 ? [a[0] / len, a[1] / len] : a;
+};
+
+/**
+ * 三次贝塞尔求值（de Casteljau 展开）
+ */
+function bezierQ(bez, t) {
+    const mt = 1 - t;
+    const b0 = mt * mt * mt, b1 = 3 * mt * mt * t, b2 = 3 * mt * t * t, b3 = t * t * t;
+    return [
+        b0 * bez[0][0] + b1 * bez[1][0] + b2 * bez[2][0] + b3 * bez[3][0],
+        b0 * bez[0][1] + b1 * bez[1][1] + b2 * bez[2][1] + b3 * bez[3][1]
+    ];
+}
+
+/**
+ * 三次贝塞尔一阶导数
+ */
+function bezierQPrime(bez, t) {
+    const mt = 1 - t;
+    const a = 3 * mt * mt, b = 6 * mt * t, c = 3 * t * t;
+    return [
+        a * (bez[1][0] - bez[0][0]) + b * (bez[2][0] - bez[1][0]) + c * (bez[3][0] - bez[2][0]),
+        a * (bez[1][1] - bez[0][1]) + b * (bez[2][1] - bez[1][1]) + c * (bez[3][1] - bez[2][1])
+    ];
+}
+
+/**
+ * 三次贝塞尔二阶导数
+ */
+function bezierQPrimePrime(bez, t) {
+    const a = 6 * (1 - t), b = 6 * t;
+    return [
+        a * (bez[2][0] - 2 * bez[1][0] + bez[0][0]) + b * (bez[3][0] - 2 * bez[2][0] + bez[1][0]),
+        a * (bez[2][1] - 2 * bez[1][1] + bez[0][1]) + b * (bez[3][1] - 2 * bez[2][1] + bez[1][1])
+    ];
+}
+
+/**
+ * 贝塞尔曲线拟合 - Philip J. Schneider 算法
+ * "An Algorithm for Automatically Fitting Digitized Curves" (Graphics Gems, 1990)
+ *
+ * 内置实现，接口与 fit-curve 一致：
+ * 输入 [[x, y], ...]，输出 [[p0, cp1, cp2, p3], ...]，每个点为 [x, y]
+ * 结果完全确定，不依赖运行环境或网络
+ *
+ * @param {Array} points - 点数组 [[x, y], ...]
+ * @param {number} maxError - 允许的最大误差（平方距离，与 fit-curve 一致）
+ * @returns {Array} 三次贝塞尔曲线数组
+ */
+export function fitCurve(points, maxError) {
+    if (!Array.isArray(points)) throw new TypeError('[Vecburner] fitCurve: points 必须是数组');
+
+    // 去除连续重复点
+    const pts = points.filter((p, i) =>
+        i === 0 || p[0] !== points[i - 1][0] || p[1] !== points[i - 1][1]
+    );
+
+    if (pts.length < 2) return [];
+
+    const len = pts.length;
+    const leftTangent = vNormalize(vSub(pts[1], pts[0]));
+    const rightTangent = vNormalize(vSub(pts[len - 2], pts[len - 1]));
+
+    return fitCubic(pts, leftTangent, rightTangent, maxError);
+}
+
+/**
+ * 递归拟合一段点集
+ */
+function fitCubic(points, leftTangent, rightTangent, error) {
+    const MAX_ITERATIONS = 20;
+
+    // 只有两个点：按弦长的 1/3 放置控制点
+    if (points.length === 2) {
+        const dist = Math.sqrt(vLenSq(vSub(points[0], points[1]))) / 3;
+        return [[
+            points[0],
+            vAdd(points[0], vScale(leftTangent, dist)),
+            vAdd(points[1], vScale(rightTangent, dist)),
+            points[1]
+        ]];
+    }
+
+    // 弦长参数化后首次拟合
+    let u = chordLengthParameterize(points);
+    let [bezCurve, maxErr, splitPoint] = generateAndReport(points, u, u, leftTangent, rightTangent);
+
+    if (maxErr === 0 || maxErr < error) return [bezCurve];
+
+    // 误差不大时，尝试 Newton-Raphson 重参数化
+    if (maxErr < error * error) {
+        let uPrime = u;
+        let prevErr = maxErr;
+        let prevSplit = splitPoint;
+
+        for (let i = 0; i < MAX_ITERATIONS; i++) {
+            uPrime = reparameterize(bezCurve, points, uPrime);
+            [bezCurve, maxErr, splitPoint] = generateAndReport(points, u, uPrime, leftTangent, rightTangent);
+
+            if (maxErr < error) return [bezCurve];
+
+            // 收敛停滞，放弃重参数化
+            if (splitPoint === prevSplit) {
+                const errChange = maxErr / prevErr;
+                if (errChange > 0.9999 && errChange < 1.0001) break;
+            }
+            prevErr = maxErr;
+            prevSplit = splitPoint;
+        }
+    }
+
+    // 拟合失败：在误差最大点处拆分，两段分别拟合
+    let centerVector = vSub(points[splitPoint - 1], points[splitPoint + 1]);
+    if (centerVector[0] === 0 && centerVector[1] === 0) {
+        // 前后点重合，使用法线方向
+        const v = vSub(points[splitPoint - 1], points[splitPoint]);
+        centerVector = [-v[1], v[0]];
+    }
+    const toCenterTangent = vNormalize(centerVector);
+    const fromCenterTangent = vScale(toCenterTangent, -1);
+
+    return [
+        ...fitCubic(points.slice(0, splitPoint + 1), leftTangent, toCenterTangent, error),
+        ...fitCubic(points.slice(splitPoint), fromCenterTangent, rightTangent, error)
+    ];
+}
+
+function generateAndReport(points, paramsOrig, paramsPrime, leftTangent, rightTangent) {
+    const bezCurve = generateBezier(points, paramsPrime, leftTangent, rightTangent);
+    const [maxErr, splitPoint] = computeMaxError(points, bezCurve, paramsOrig);
+    return [bezCurve, maxErr, splitPoint];
+}
+
+/**
+ * 固定端点与端点切线，最小二乘求解两个控制点的距离
+ */
+function generateBezier(points, parameters, leftTangent, rightTangent) {
+    const firstPoint = points[0];
+    const lastPoint = points[points.length - 1];
+
+    let c00 = 0, c01 = 0, c11 = 0, x0 = 0, x1 = 0;
+
+    for (let i = 0; i < parameters.length; i++) {
+        const u = parameters[i];
+        const mu = 1 - u;
+        const a0 = vScale(leftTangent, 3 * u * mu * mu);
+        const a1 = vScale(rightTangent, 3 * mu * u * u);
+
+        c00 += vDot(a0, a0);
+        c01 += vDot(a0, a1);
+        c11 += vDot(a1, a1);
+
+        // 点与仅由端点决定的曲线之差
+        const b0 = mu * mu * mu + 3 * u * mu * mu;
+        const b1 = 3 * mu * u * u + u * u * u;
+        const tmp = vSub(points[i], vAdd(vScale(firstPoint, b0), vScale(lastPoint, b1)));
+
+        x0 += vDot(a0, tmp);
+        x1 += vDot(a1, tmp);
+    }
+
+    const detC0C1 = c00 * c11 - c01 * c01;
+    const detC0X = c00 * x1 - c01 * x0;
+    const detXC1 = x0 * c11 - x1 * c01;
+
+    let alphaL = detC0C1 === 0 ? 0 : detXC1 / detC0C1;
+    let alphaR = detC0C1 === 0 ? 0 : detC0X / detC0C1;
+
+    // alpha 过小或为负时，退化为 Wu/Barsky 启发式：弦长的 1/3
+    const segLength = Math.sqrt(vLenSq(vSub(firstPoint, lastPoint)));
+    const epsilon = 1.0e-6 * segLength;
+    if (alphaL < epsilon || alphaR < epsilon) {
+        alphaL = alphaR = segLength / 3;
+    }
+
+    return [
+        firstPoint,
+        vAdd(firstPoint, vScale(leftTangent, alphaL)),
+        vAdd(lastPoint, vScale(rightTangent, alphaR)),
+        lastPoint
+    ];
+}
+
+/**
+ * Newton-Raphson 迭代，改进每个点对应的参数 t
+ */
+function reparameterize(bezier, points, parameters) {
+    return parameters.map((u, i) => {
+        const d = vSub(bezierQ(bezier, u), points[i]);
+        const qPrime = bezierQPrime(bezier, u);
+        const denominator = vDot(qPrime, qPrime) + 2 * vDot(d, bezierQPrimePrime(bezier, u));
+        return denominator === 0 ? u : u - vDot(d, qPrime) / denominator;
+    });
+}
+
+/**
+ * 弦长参数化：t_i = 累计弦长 / 总弦长
+ */
+function chordLengthParameterize(points) {
+    const u = [0];
+    for (let i = 1; i < points.length; i++) {
+        u.push(u[i - 1] + Math.sqrt(vLenSq(vSub(points[i], points[i - 1]))));
+    }
+    const total = u[u.length - 1] || 1;
+    return u.map(x => x / total);
+}
+
+/**
+ * 计算最大拟合误差（平方距离）及其位置
+ * 按相对弧长把点映射到曲线上的 t，而不是直接使用参数值
+ */
+function computeMaxError(points, bez, parameters) {
+    const B_PARTS = 10;
+    let maxDist = 0;
+    let splitPoint = Math.floor(points.length / 2);
+
+    // 采样曲线，建立 t -> 相对弧长 的映射
+    const tDist = [0];
+    let prev = bez[0];
+    let sumLen = 0;
+    for (let i = 1; i <= B_PARTS; i++) {
+        const curr = bezierQ(bez, i / B_PARTS);
+        sumLen += Math.sqrt(vLenSq(vSub(curr, prev)));
+        tDist.push(sumLen);
+        prev = curr;
+    }
+    for (let i = 0; i <= B_PARTS; i++) tDist[i] /= sumLen;
+
+    for (let i = 0; i < points.length; i++) {
+        const param = parameters[i];
+        let t;
+        if (param < 0) {
+            t = 0;
+        } else if (param > 1) {
+            t = 1;
+        } else {
+            // 在相邻采样之间线性插值
+            for (let j = 1; j <= B_PARTS; j++) {
+                if (param <= tDist[j]) {
+                    const tMin = (j - 1) / B_PARTS;
+                    t = (param - tDist[j - 1]) / (tDist[j] - tDist[j - 1]) / B_PARTS + tMin;
+                    break;
+                }
+            }
+        }
+
+        const dist = vLenSq(vSub(bezierQ(bez, t), points[i]));
+        if (dist > maxDist) {
+            maxDist = dist;
+            splitPoint = i;
+        }
+    }
+
+    return [maxDist, splitPoint];
+}
+
+/**
+ * 把 fitCurve 输出的曲线数组转换为 SVG path（不含 Z）
+ * @param {Array} curves - [[p0, cp1, cp2, p3], ...]
+ * @param {number} precision - 小数位数
+ */
+export function curvesToPath(curves, precision = 2) {
+    if (!curves || curves.length === 0) return '';
+    const f = (v) => v.toFixed(precision);
+    let path = `M${f(curves[0][0][0])},${f(curves[0][0][1])}`;
+    for (const c of curves) {
+        path += `C${f(c[1][0])},${f(c[1][1])},${f(c[2][0])},${f(c[2][1])},${f(c[3][0])},${f(c[3][1])}`;
+    }
+    return path;
+}
+
 /**
  * 生成多边形路径
+ * @param {boolean} closed - 是否闭合（以 Z 结尾）
  */
-export function generatePolygonPath(points) {
+export function generatePolygonPath(points, closed = true) {
     if (points.length < 2) return '';
     let path = `M${points[0].x.toFixed(1)},${points[0].y.toFixed(1)}`;
     for (let i = 1; i < points.length; i++) {
         path += `L${points[i].x.toFixed(1)},${points[i].y.toFixed(1)}`;
     }
-    return path + 'Z';
+    return closed ? path + 'Z' : path;
+}
+
+/**
+ * 按角点把点序列切成若干段，相邻段共享角点
+ * 闭合路径的最后一段跨越首尾回到第一个角点；开放路径以首尾点为边界，不跨越首尾
+ */
+function splitAtCorners(pts, corners, closed) {
+    const n = pts.length;
+    const segments = [];
+
+    if (!closed) {
+        const bounds = [0, ...corners.filter(c => c > 0 && c < n - 1), n - 1];
+        for (let i = 0; i + 1 < bounds.length; i++) {
+            segments.push(pts.slice(bounds[i], bounds[i + 1] + 1));
+        }
+        return segments;
+    }
+
+    for (let i = 0; i < corners.length; i++) {
+        const start = corners[i];
+        const end = corners[(i + 1) % corners.length];
+
+        // 提取这一段的点
+        const segment = [];
+        if (end > start) {
+            for (let j = start; j <= end; j++) segment.push(pts[j]);
+        } else {
+            // 跨越首尾
+            for (let j = start; j < n; j++) segment.push(pts[j]);
+            for (let j = 0; j <= end; j++) segment.push(pts[j]);
+        }
+
+        if (segment.length >= 2) segments.push(segment);
+    }
+    return segments;
+}
+
+/**
+ * 逐段拟合并首尾相接（后续段去掉 M 命令）
+ */
+function joinSegmentPaths(segments, maxError) {
+    let path = '';
+    for (let i = 0; i < segments.length; i++) {
+        const segPath = fitSegmentBezier(segments[i], maxError);
+        path += i === 0 ? segPath : segPath.replace(/^M[^CL]+/, '');
+    }
+    return path;
 }
 
 /**
@@ -24,17 +354,19 @@ export function generatePolygonPath(points) {
  * @param {number} maxError - 曲线拟合误差
  * @param {Array} originalCorners - 原始轮廓中的角点索引
  * @param {number} originalCount - 原始轮廓点数
+ * @param {boolean} closed - 是否闭合路径；开放路径首尾点固定，不跨越首尾分段，不输出 Z
  */
-export function fitBezierWithCornersVTracer(points, maxError, originalCorners, originalCount) {
+export function fitBezierWithCornersVTracer(points, maxError, originalCorners, originalCount, closed = true) {
     if (!points || points.length < 3) return '';
 
-    const closed = points.length > 2 &&
+    // 闭合路径可能以重复的起点结尾
+    const repeated = closed &&
         Math.abs(points[0].x - points[points.length - 1].x) < 0.5 &&
         Math.abs(points[0].y - points[points.length - 1].y) < 0.5;
 
-    const pts = closed ? points.slice(0, -1) : points;
+    const pts = repeated ? points.slice(0, -1) : points;
     const n = pts.length;
-    if (n < 3) return generatePolygonPath(points);
+    if (n < 3) return generatePolygonPath(points, closed);
 
     // 将原始角点索引映射到简化后的点
     // 使用比例映射
@@ -48,117 +380,49 @@ export function fitBezierWithCornersVTracer(points, maxError, originalCorners, o
 
     // 如果映射后角点太少，重新在简化后的点上检测
     if (corners.length < 2 && n > 6) {
-        corners = detectCornersVTracer(pts, 75, 3);
+        corners = detectCornersVTracer(pts, 75, 3, closed);
     }
 
     // 如果没有角点，使用普通拟合
     if (corners.length === 0) {
-        return fitBezierSimple(pts, maxError, closed);
+        return fitBezierSimple(pts, maxError, repeated);
     }
 
     // 按角点分段拟合
-    const segments = [];
-    for (let i = 0; i < corners.length; i++) {
-        const start = corners[i];
-        const end = corners[(i + 1) % corners.length];
-
-        const segment = [];
-        if (end > start) {
-            for (let j = start; j <= end; j++) {
-                segment.push(pts[j]);
-            }
-        } else {
-            // 跨越首尾
-            for (let j = start; j < n; j++) segment.push(pts[j]);
-            for (let j = 0; j <= end; j++) segment.push(pts[j]);
-        }
-
-        if (segment.length >= 2) {
-            segments.push(segment);
-        }
-    }
-
-    // 对每段拟合曲线
-    let path = '';
-    for (let i = 0; i < segments.length; i++) {
-        const seg = segments[i];
-        const segPath = fitSegmentBezier(seg, maxError);
-
-        if (i === 0) {
-            path = segPath;
-        } else {
-            // 移除后续段的 M 命令，直接连接
-            path += segPath.replace(/^M[^CL]+/, '');
-        }
-    }
-
-    return path + 'Z';
+    const path = joinSegmentPaths(splitAtCorners(pts, corners, closed), maxError);
+    return closed ? path + 'Z' : path;
 }
 
 /**
  * 按角点分段拟合曲线
- * @param {Array} points - 点数组（闭合路径）
+ * @param {Array} points - 点数组
  * @param {number} maxError - 曲线拟合误差
  * @param {number} cornerAngle - 角点检测阈值
+ * @param {boolean} closed - 是否闭合路径；开放路径首尾点固定，不跨越首尾分段，不输出 Z
  */
-export function fitBezierWithCorners(points, maxError = 2.5, cornerAngle = 60) {
+export function fitBezierWithCorners(points, maxError = 2.5, cornerAngle = 60, closed = true) {
     if (!points || points.length < 3) return '';
 
-    const closed = points.length > 2 &&
+    // 闭合路径可能以重复的起点结尾
+    const repeated = closed &&
         Math.abs(points[0].x - points[points.length - 1].x) < 0.5 &&
         Math.abs(points[0].y - points[points.length - 1].y) < 0.5;
 
-    const pts = closed ? points.slice(0, -1) : points;
+    const pts = repeated ? points.slice(0, -1) : points;
     const n = pts.length;
-    if (n < 3) return generatePolygonPath(points);
+    if (n < 3) return generatePolygonPath(points, closed);
 
     // 使用 VTracer 风格角点检测
-    const corners = detectCornersVTracer(pts, cornerAngle, 3);
+    const corners = detectCornersVTracer(pts, cornerAngle, 3, closed);
 
     // 如果没有角点，使用普通拟合
     if (corners.length === 0) {
-        return fitBezierSimple(pts, maxError, closed);
-    }
-
-    // 按角点分段
-    const segments = [];
-
-    for (let i = 0; i < corners.length; i++) {
-        const start = corners[i];
-        const end = corners[(i + 1) % corners.length];
-
-        // 提取这一段的点
-        const segment = [];
-        if (end > start) {
-            for (let j = start; j <= end; j++) {
-                segment.push(pts[j]);
-            }
-        } else {
-            // 跨越首尾
-            for (let j = start; j < n; j++) segment.push(pts[j]);
-            for (let j = 0; j <= end; j++) segment.push(pts[j]);
-        }
-
-        if (segment.length >= 2) {
-            segments.push(segment);
-        }
+        return fitBezierSimple(pts, maxError, repeated);
     }
 
-    // 对每段拟合曲线
-    let path = '';
-    for (let i = 0; i < segments.length; i++) {
-        const seg = segments[i];
-        const segPath = fitSegmentBezier(seg, maxError);
-
-        if (i === 0) {
-            path = segPath;
-        } else {
-            // 移除后续段的 M 命令，直接连接
-            path += segPath.replace(/^M[^CL]+/, '');
-        }
-    }
-
-    return path + 'Z';
+    // 按角点分段，对每段拟合曲线
+    const path = joinSegmentPaths(splitAtCorners(pts, corners, closed), maxError);
+    return closed ? path + 'Z' : path;
 }
 
 /**
@@ -172,21 +436,13 @@ export function fitSegmentBezier(points, maxError) {
 
     const pts = points.map(p => [p.x, p.y]);
 
-    // 使用 fit-curve
-    if (typeof window !== 'undefined' && typeof window.fitCurve === 'function') {
-        try {
-            const curves = window.fitCurve(pts, Math.max(0.1, maxError));
-            if (curves && curves.length > 0) {
-                let path = `M${curves[0][0][0].toFixed(1)},${curves[0][0][1].toFixed(1)}`;
-                for (const c of curves) {
-                    path += `C${c[1][0].toFixed(1)},${c[1][1].toFixed(1)},${c[2][0].toFixed(1)},${c[2][1].toFixed(1)},${c[3][0].toFixed(1)},${c[3][1].toFixed(1)}`;
-                }
-                return path;
-            }
-        } catch (e) {}
+    // Schneider 拟合
+    const curves = fitCurve(pts, Math.max(0.1, maxError));
+    if (curves.length > 0) {
+        return curvesToPath(curves, 1);
     }
 
-    // 回退：直线连接
+    // 回退：直线连接（所有点重合）
     let path = `M${points[0].x.toFixed(1)},${points[0].y.toFixed(1)}`;
     for (let i = 1; i < points.length; i++) {
         path += `L${points[i].x.toFixed(1)},${points[i].y.toFixed(1)}`;
@@ -200,20 +456,12 @@ export function fitSegmentBezier(points, maxError) {
 export function fitBezierSimple(points, maxError, closed = true) {
     const pts = points.map(p => [p.x, p.y]);
 
-    if (typeof window !== 'undefined' && typeof window.fitCurve === 'function') {
-        try {
-            const curves = window.fitCurve(pts, Math.max(0.1, maxError));
-            if (curves && curves.length > 0) {
-                let path = `M${curves[0][0][0].toFixed(1)},${curves[0][0][1].toFixed(1)}`;
-                for (const c of curves) {
-                    path += `C${c[1][0].toFixed(1)},${c[1][1].toFixed(1)},${c[2][0].toFixed(1)},${c[2][1].toFixed(1)},${c[3][0].toFixed(1)},${c[3][1].toFixed(1)}`;
-                }
-                return path + (closed ? 'Z' : '');
-            }
-        } catch (e) {}
+    const curves = fitCurve(pts, Math.max(0.1, maxError));
+    if (curves.length > 0) {
+        return curvesToPath(curves, 1) + (closed ? 'Z' : '');
     }
 
-    return fitBezierCatmullRom(points.map(p => ({ x: p[0] || p.x, y: p[1] || p.y })), 0.3);
+    return fitBezierCatmullRom(points.map(p => ({ x: p[0] || p.x, y: p[1] || p.y })), 0.3, closed);
 }
 
 /**
@@ -244,45 +492,36 @@ export function isLinearSegment(points, tolerance = 1.5) {
 /**
  * 平滑曲线拟合（用于已经充分平滑的点）
  * 直线段使用 L 命令，曲线段使用 C 命令
+ * @param {boolean} closed - 是否闭合路径；开放路径首尾点固定，不跨越首尾分段，不输出 Z
  */
-export function fitBezierSmooth(points, maxError = 1.0) {
+export function fitBezierSmooth(points, maxError = 1.0, closed = true) {
     if (!points || points.length < 3) return '';
 
-    const closed = points.length > 2 &&
+    // 闭合路径可能以重复的起点结尾
+    const repeated = closed &&
         Math.abs(points[0].x - points[points.length - 1].x) < 1 &&
         Math.abs(points[0].y - points[points.length - 1].y) < 1;
 
-    const pts = closed ? points.slice(0, -1) : points;
-    if (pts.length < 3) return generatePolygonPath(points);
+    const pts = repeated ? points.slice(0, -1) : points;
+    if (pts.length < 3) return generatePolygonPath(points, closed);
 
     // 先检测角点，将路径分成多个段
     // 阈值 150 度 = 只检测真正的尖角，平滑曲线不分段
-    const corners = detectCornersVTracer(pts, 150, 5);
+    const corners = detectCornersVTracer(pts, 150, 5, closed);
     
     // 如果角点很少，整体拟合（产生更平滑的曲线）
-    if (corners.length < 2) {
-        return fitSegmentWithLineDetection(pts, maxError * 2) + (closed ? 'Z' : '');
+    if (closed && corners.length < 2) {
+        return fitSegmentWithLineDetection(pts, maxError * 2) + (repeated ? 'Z' : '');
+    }
+    if (!closed && corners.length === 0) {
+        return fitSegmentWithLineDetection(pts, maxError * 2, false);
     }
 
     // 按角点分段
-    const n = pts.length;
-    let path = `M${pts[corners[0]].x.toFixed(2)},${pts[corners[0]].y.toFixed(2)}`;
-
-    for (let i = 0; i < corners.length; i++) {
-        const start = corners[i];
-        const end = corners[(i + 1) % corners.length];
-
-        // 提取这一段的点
-        const segment = [];
-        if (end > start) {
-            for (let j = start; j <= end; j++) segment.push(pts[j]);
-        } else {
-            for (let j = start; j < n; j++) segment.push(pts[j]);
-            for (let j = 0; j <= end; j++) segment.push(pts[j]);
-        }
-
-        if (segment.length < 2) continue;
+    const segments = splitAtCorners(pts, corners, closed);
+    let path = `M${segments[0][0].x.toFixed(2)},${segments[0][0].y.toFixed(2)}`;
 
+    for (const segment of segments) {
         // 检查是否是直线段
         if (isLinearSegment(segment, 1.5)) {
             // 直线段：只用 L 命令
@@ -294,7 +533,7 @@ export function fitBezierSmooth(points, maxError = 1.0) {
         }
     }
 
-    return path + 'Z';
+    return closed ? path + 'Z' : path;
 }
 
 /**
@@ -476,32 +715,54 @@ export function retractHandlesAll(curves, options = {}) {
 /**
  * 整体拟合 - 使用 Catmull-Rom 样条（最稳定）
  */
-export function fitSegmentWithLineDetection(pts, maxError) {
-    return fitBezierCatmullRom(pts, 0.4);  // 低张力 = 更平滑
+export function fitSegmentWithLineDetection(pts, maxError, closed = true) {
+    return fitBezierCatmullRom(pts, 0.4, closed);  // 低张力 = 更平滑
 }
 
 /**
  * 贝塞尔曲线拟合（带角点检测）
+ * @param {boolean} closed - 是否闭合路径（见 fitBezierWithCorners）
  */
-export function fitBezier(points, maxError = 2.5, cornerAngle = 60) {
+export function fitBezier(points, maxError = 2.5, cornerAngle = 60, closed = true) {
     if (!points || points.length < 2) return '';
     if (points.length === 2) {
-        return `M${points[0].x.toFixed(1)},${points[0].y.toFixed(1)}L${points[1].x.toFixed(1)},${points[1].y.toFixed(1)}Z`;
+        return `M${points[0].x.toFixed(1)},${points[0].y.toFixed(1)}L${points[1].x.toFixed(1)},${points[1].y.toFixed(1)}${closed ? 'Z' : ''}`;
     }
 
     // 使用带角点检测的拟合
-    return fitBezierWithCorners(points, maxError, cornerAngle);
+    return fitBezierWithCorners(points, maxError, cornerAngle, closed);
 }
 
 /**
  * Catmull-Rom 样条曲线拟合
+ * @param {boolean} closed - 是否闭合路径；开放路径首尾点固定，端点处的切线只用单侧邻点，不输出 Z
  */
-export function fitBezierCatmullRom(points, tension = 0.3) {
-    const closed = points.length > 2 &&
+export function fitBezierCatmullRom(points, tension = 0.3, closed = true) {
+    if (!closed) {
+        const n = points.length;
+        if (n < 2) return '';
+        const at = (i) => points[Math.max(0, Math.min(n - 1, i))];
+        let path = `M${points[0].x.toFixed(1)},${points[0].y.toFixed(1)}`;
+        for (let i = 0; i < n - 1; i++) {
+            const p0 = at(i - 1);
+            const p1 = points[i];
+            const p2 = points[i + 1];
+            const p3 = at(i + 2);
+            const cp1x = p1.x + (p2.x - p0.x) * tension / 3;
+            const cp1y = p1.y + (p2.y - p0.y) * tension / 3;
+            const cp2x = p2.x - (p3.x - p1.x) * tension / 3;
+            const cp2y = p2.y - (p3.y - p1.y) * tension / 3;
+            path += `C${cp1x.toFixed(1)},${cp1y.toFixed(1)},${cp2x.toFixed(1)},${cp2y.toFixed(1)},${p2.x.toFixed(1)},${p2.y.toFixed(1)}`;
+        }
+        return path;
+    }
+
+    // 闭合路径可能以重复的起点结尾
+    const repeated = points.length > 2 &&
         Math.abs(points[0].x - points[points.length - 1].x) < 0.5 &&
         Math.abs(points[0].y - points[points.length - 1].y) < 0.5;
     
-    const pts = closed ? points.slice(0, -1) : points;
+    const pts = repeated ? points.slice(0, -1) : points;
     const n = pts.length;
     if (n < 3) return `M${pts[0].x.toFixed(1)},${pts[0].y.toFixed(1)}L${pts[n - 1].x.toFixed(1)},${pts[n - 1].y.toFixed(1)}Z`;
     
@@ -518,9 +779,9 @@ export function fitBezierCatmullRom(points, tension = 0.3) {
         const cp2x = p2.x - (p3.x - p1.x) * tension / 3;
         const cp2y = p2.y - (p3.y - p1.y) * tension / 3;
         
-        if (i === 0 && !closed) {
+        if (i === 0 && !repeated) {
             path += `L${p2.x.toFixed(1)},${p2.y.toFixed(1)}`;
-        } else if (i < n - 1 || closed) {
+        } else if (i < n - 1 || repeated) {
             path += `C${cp1x.toFixed(1)},${cp1y.toFixed(1)},${cp2x.toFixed(1)},${cp2y.toFixed(1)},${p2.x.toFixed(1)},${p2.y.toFixed(1)}`;
         }
     }
@@ -528,6 +789,198 @@ export function fitBezierCatmullRom(points, tension = 0.3) {
     return path + 'Z';
 }
 
+// ============ 圆弧拟合 ============
+
+// 圆弧至少覆盖的点数和圆心角
+const MIN_ARC_POINTS = 4;
+const MIN_ARC_SWEEP = Math.PI / 6;
+// 单段圆弧的圆心角上限：半圆，略放宽以容纳拟合圆心的偏差
+const MAX_ARC_SWEEP = Math.PI + 0.05;
+// 闭合路径最后一段圆弧越过起点收尾时的圆心角上限
+const MAX_CLOSING_SWEEP = 1.5 * Math.PI;
+
+/**
+ * 圆弧识别 + 贝塞尔拟合
+ * 连续落在同一圆弧上的点输出为 SVG 弧线命令 A（rx = ry，不旋转），其余部分用 Schneider 拟合
+ * 圆弧从某个点起贪心延伸（见 arcThrough），圆心角约不超过 180°，整圆由多段圆弧组成；
+ * 弓高不超过容差的近似直线不算圆弧
+ * 闭合路径的起点落在圆弧中间时，改从圆弧与非圆弧部分的交界处起算；整条路径都是圆弧（整圆）时，
+ * 最后一段圆弧延伸到起点，不留下收尾的弦
+ *
+ * @param {Array} points - 点数组 [{x, y}, ...]，闭合路径不需要重复起点
+ * @param {number} maxError - 曲线拟合误差（与 fitCurve 一致，为距离的平方）
+ * @param {Object} options - 可选配置
+ * @param {boolean} options.closed - 是否闭合（默认 true），闭合时最后一段回到起点并以 Z 结尾
+ * @param {number} options.tolerance - 点到圆弧的最大距离（像素，默认 √maxError）
+ * @param {Object} options.retract - retractHandles 选项，作用于圆弧之间的贝塞尔曲线
+ * @returns {Array} 路径段（见 path-data.js），点数不足时返回空数组
+ */
+export function fitArcSegments(points, maxError = 1, options = {}) {
+    const { closed = true, tolerance = Math.sqrt(maxError), retract = null } = options;
+    const pts = points.map(p => [p.x, p.y]);
+    if (closed && pts.length > 1) {
+        const first = pts[0], last = pts[pts.length - 1];
+        if (Math.abs(first[0] - last[0]) < 1e-6 && Math.abs(first[1] - last[1]) < 1e-6) pts.pop();
+        pts.push(first);
+    }
+    const n = pts.length;
+    if (n < 2) return [];
+
+    let ring = pts;
+    let arcs = findArcs(ring, tolerance);
+    if (closed && arcs.length > 0) {
+        const start = seamBreak(arcs, n);
+        if (start > 0) {
+            // 从交界处起算重新识别
+            ring = pts.slice(start, n - 1).concat(pts.slice(0, start + 1));
+            arcs = findArcs(ring, tolerance);
+        }
+        // 最后一段圆弧之后只剩收尾的几个点时，让它越过起点闭合
+        const last = arcs[arcs.length - 1];
+        if (last && last.end < n - 1) {
+            const closing = arcThrough(ring, last.start, n - 1, tolerance);
+            if (closing && Math.abs(closing.sweep) <= MAX_CLOSING_SWEEP) {
+                arcs[arcs.length - 1] = { ...closing, start: last.start };
+            }
+        }
+    }
+
+    const segments = [['M', ring[0][0], ring[0][1]]];
+    // 圆弧之间的点：接近直线时直接连线，否则贝塞尔拟合
+    const fitBetween = (from, to) => {
+        if (to <= from) return;
+        const piece = ring.slice(from, to + 1);
+        const straight = isLinearSegment(piece.map(p => ({ x: p[0], y: p[1] })), tolerance);
+        let curves = straight ? [] : fitCurve(piece, maxError);
+        if (retract) curves = curves.map(c => retractHandles(c, retract));
+        if (curves.length === 0) {
+            segments.push(['L', ring[to][0], ring[to][1]]);
+            return;
+        }
+        for (const c of curves) {
+            segments.push(['C', c[1][0], c[1][1], c[2][0], c[2][1], c[3][0], c[3][1]]);
+        }
+    };
+
+    let pending = 0;  // 尚未输出的第一个点
+    for (const arc of arcs) {
+        fitBetween(pending, arc.start);
+        // SVG 的 y 轴向下，sweep = 1 为屏幕上的顺时针
+        const largeArc = Math.abs(arc.sweep) > Math.PI ? 1 : 0;
+        segments.push(['A', arc.r, arc.r, 0, largeArc, arc.sweep > 0 ? 1 : 0, ring[arc.end][0], ring[arc.end][1]]);
+        pending = arc.end;
+    }
+    fitBetween(pending, n - 1);
+    if (closed) segments.push(['Z']);
+    return segments;
+}
+
+/**
+ * 沿点序列贪心识别圆弧
+ * @returns {Array} [{ start, end, r, sweep }]，按顺序排列、互不重叠
+ */
+function findArcs(pts, tolerance) {
+    const n = pts.length;
+    const arcs = [];
+    let i = 0;
+    while (i < n - 1) {
+        let arc = growArc(pts, i, tolerance);
+        if (!arc) {
+            i++;
+            continue;
+        }
+        // 从下一个点起的圆弧延伸得更远时推迟起点，避免圆弧带上相邻直线的端点后提前结束
+        // 因圆心角达到上限而停止的圆弧不推迟（整圆从哪里断开都一样）
+        while (!arc.capped && i + 1 < n - 1) {
+            const next = growArc(pts, i + 1, tolerance);
+            if (!next || next.end <= arc.end) break;
+            arc = next;
+            i++;
+        }
+        arcs.push({ start: i, end: arc.end, r: arc.r, sweep: arc.sweep });
+        i = arc.end;
+    }
+    return arcs;
+}
+
+/**
+ * 闭合路径（n 个点，末点与起点重合）的起点落在圆弧上时，找一个圆弧与非圆弧部分的交界点作为新起点
+ * 起点不在圆弧上或找不到交界时返回 0
+ */
+function seamBreak(arcs, n) {
+    const first = arcs[0], last = arcs[arcs.length - 1];
+    if (first.start !== 0 && last.end !== n - 1) return 0;
+    for (let k = 0; k < arcs.length; k++) {
+        const arc = arcs[k];
+        const next = arcs[k + 1];
+        if (arc.end < n - 1 && (!next || next.start !== arc.end)) return arc.end;
+        const prev = arcs[k - 1];
+        if (arc.start > 0 && (!prev || prev.end !== arc.start)) return arc.start;
+    }
+    return 0;
+}
+
+/**
+ * 从 start 起尽量延伸圆弧，足够长且确实弯曲时返回 { end, r, sweep, capped }
+ * capped 表示圆心角达到上限后停止，后面的点留给下一段圆弧
+ */
+function growArc(pts, start, tolerance) {
+    let best = null;
+    for (let end = start + MIN_ARC_POINTS - 1; end < pts.length; end++) {
+        const arc = arcThrough(pts, start, end, tolerance);
+        if (!arc) break;
+        if (Math.abs(arc.sweep) > MAX_ARC_SWEEP) {
+            if (best) best.capped = true;
+            break;
+        }
+        best = arc;
+    }
+    if (!best || Math.abs(best.sweep) < MIN_ARC_SWEEP) return null;
+    // 弓高 r·(1 - cos(θ/2))
+    if (best.r * (1 - Math.cos(best.sweep / 2)) <= tolerance) return null;
+    return best;
+}
+
+/**
+ * 过 pts[start] 和 pts[end] 的圆，中间各点的径向误差都在容差内时返回 { end, r, sweep }
+ * 圆心限定在首尾连线的中垂线上，使弧线端点与原始点重合：c = m + t·n，
+ * |p - c|² - |a - c|² 关于 t 线性，取最小二乘解
+ * 另要求各点绕圆心单调转动，且相邻两点间圆弧的弓高也在容差内（点稀疏的直线不能被圆弧替代）
+ */
+function arcThrough(pts, start, end, tolerance) {
+    const a = pts[start], b = pts[end];
+    const chord = Math.hypot(b[0] - a[0], b[1] - a[1]);
+    if (chord < 1e-6) return null;
+    // 以 a 为原点
+    const mx = (b[0] - a[0]) / 2, my = (b[1] - a[1]) / 2;
+    const nx = -(b[1] - a[1]) / chord, ny = (b[0] - a[0]) / chord;
+
+    let uv = 0, vv = 0;
+    for (let k = start + 1; k < end; k++) {
+        const px = pts[k][0] - a[0], py = pts[k][1] - a[1];
+        const u = px * px + py * py - 2 * (mx * px + my * py);
+        const v = nx * px + ny * py;
+        uv += u * v;
+        vv += v * v;
+    }
+    if (vv === 0) return null;
+    const t = uv / (2 * vv);
+    const cx = a[0] + mx + t * nx, cy = a[1] + my + t * ny;
+    const r = Math.hypot(a[0] - cx, a[1] - cy);
+
+    let sweep = 0, dir = 0;
+    for (let k = start; k < end; k++) {
+        const p = pts[k], q = pts[k + 1];
+        if (Math.abs(Math.hypot(q[0] - cx, q[1] - cy) - r) > tolerance) return null;
+        const ux = p[0] - cx, uy = p[1] - cy, vx = q[0] - cx, vy = q[1] - cy;
+        const step = Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+        if (step * dir < 0 || r * (1 - Math.cos(step / 2)) > tolerance) return null;
+        if (step !== 0) dir = Math.sign(step);
+        sweep += step;
+    }
+    return { end, r, sweep };
+}
+
 /**
  * 反转 SVG 路径方向（用于孔洞）
  */
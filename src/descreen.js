@@ -0,0 +1,175 @@
+/**
+ * Vecburner - 去网纹模块
+ *
+ * 扫描的印刷品（半色调网点）和抖动图像（GIF 等）的颜色由高频点阵混合而成，
+ * 直接量化会得到成千上万个斑点轮廓；像素级的多数投票去噪又会吃掉真实细节
+ * 这里在量化前做一次频率感知的联合双边滤波：
+ *   1. 由高通亮度的自相关估计网点周期（无明显周期时视为误差扩散类的随机抖动）
+ *   2. 以该周期对图像做高斯低通，得到不含网点的引导图
+ *   3. 在一个周期的窗口内对原图加权平均，权重按引导图的颜色差衰减：
+ *      网点在引导图中已被抹平，被平均掉；真实边缘两侧引导图差异大，不会被抹过
+ */
+
+import { gaussianBlur } from './binary-image.js';
+import { createImageDataLike } from './resample.js';
+import { toLogger } from './logger.js';
+
+// 自相关搜索的最大周期（像素）
+const MAX_PERIOD = 12;
+// 自相关峰值至少达到此值才视为周期性网点
+const PEAK_MIN = 0.2;
+// 无明显周期（误差扩散抖动）时使用的周期，也是自动估计时的最小平滑周期
+const DEFAULT_PERIOD = 3;
+// 网纹密度：高通亮度在水平相邻像素间明显正负翻转（两侧绝对值都超过 DITHER_LEVEL）的像素占比
+// 网点 / 抖动在整个色块内反复翻转；干净图像的边缘每次只翻转一次，照片噪声幅度较小
+// 密度低于 MIN_DENSITY 时视为没有网纹
+const DITHER_LEVEL = 8;
+const MIN_DENSITY = 0.06;
+// 引导图颜色差的高斯衰减系数（RGB 欧氏距离）
+const RANGE_SIGMA = 24;
+// 周期估计最多采样的行 / 列数
+const MAX_SAMPLE_LINES = 256;
+
+/**
+ * 去网纹 / 去抖动
+ * @param {Object} imageData - 源图像 { data, width, height }
+ * @param {Object} options - 可选 { period, logger }
+ * @param {number} options.period - 网点周期（像素），省略时自动估计
+ * @returns {Object} { imageData, period }，未检测到网纹时 imageData 为原图、period 为 0
+ */
+export function descreenImage(imageData, options = {}) {
+    const { period: fixedPeriod = null, logger = null } = options;
+    const log = toLogger(logger);
+    const { data, width, height } = imageData;
+    const n = width * height;
+
+    let period = fixedPeriod;
+    if (!period) {
+        const estimate = estimateScreenPeriod(imageData);
+        if (estimate.density < MIN_DENSITY) {
+            log.info('descreen.skipped', `未检测到网纹 (网纹密度 ${(estimate.density * 100).toFixed(1)}%)`, { density: estimate.density });
+            return { imageData, period: 0 };
+        }
+        period = Math.max(estimate.period, DEFAULT_PERIOD);
+        log.info('descreen.detected', estimate.period
+            ? `检测到网点周期 ${estimate.period}px (自相关 ${estimate.peak.toFixed(2)})，平滑周期 ${period}px`
+            : `未检测到周期性网点，按随机抖动处理 (周期 ${period}px)`,
+            { period, periodic: estimate.period > 0, peak: estimate.peak, density: estimate.density });
+    }
+
+    // 引导图：以网点周期做低通
+    const sigma = period / 2;
+    const channels = [0, 1, 2].map(c => {
+        const channel = new Float32Array(n);
+        for (let i = 0; i < n; i++) channel[i] = data[i * 4 + c];
+        return channel;
+    });
+    const guide = channels.map(channel => gaussianBlur(channel, width, height, sigma));
+
+    // 透明像素不参与平均
+    const weight = new Float32Array(n);
+    for (let i = 0; i < n; i++) weight[i] = data[i * 4 + 3] / 255;
+
+    // 可分离近似：先水平、再垂直各做一次联合双边滤波
+    const radius = Math.max(1, Math.round(period));
+    const spatial = new Float32Array(radius * 2 + 1);
+    for (let k = -radius; k <= radius; k++) spatial[k + radius] = Math.exp(-(k * k) / (2 * sigma * sigma));
+    const rangeLut = new Float32Array(256);
+    for (let d = 0; d < 256; d++) rangeLut[d] = Math.exp(-(d * d) / (2 * RANGE_SIGMA * RANGE_SIGMA));
+
+    const pass = (source, stepX, stepY) => {
+        const out = [new Float32Array(n), new Float32Array(n), new Float32Array(n)];
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const i = y * width + x;
+                const g0 = guide[0][i], g1 = guide[1][i], g2 = guide[2][i];
+                let sum0 = 0, sum1 = 0, sum2 = 0, total = 0;
+                for (let k = -radius; k <= radius; k++) {
+                    const sx = x + k * stepX, sy = y + k * stepY;
+                    if (sx < 0 || sx >= width || sy < 0 || sy >= height) continue;
+                    const j = sy * width + sx;
+                    const d0 = guide[0][j] - g0, d1 = guide[1][j] - g1, d2 = guide[2][j] - g2;
+                    const dist = Math.min(255, Math.round(Math.sqrt(d0 * d0 + d1 * d1 + d2 * d2)));
+                    const w = spatial[k + radius] * rangeLut[dist] * weight[j];
+                    sum0 += source[0][j] * w;
+                    sum1 += source[1][j] * w;
+                    sum2 += source[2][j] * w;
+                    total += w;
+                }
+                if (total > 0) {
+                    out[0][i] = sum0 / total;
+                    out[1][i] = sum1 / total;
+                    out[2][i] = sum2 / total;
+                } else {
+                    out[0][i] = source[0][i];
+                    out[1][i] = source[1][i];
+                    out[2][i] = source[2][i];
+                }
+            }
+        }
+        return out;
+    };
+    const filtered = pass(pass(channels, 1, 0), 0, 1);
+
+    const result = new Uint8ClampedArray(data.length);
+    for (let i = 0; i < n; i++) {
+        result[i * 4] = filtered[0][i];
+        result[i * 4 + 1] = filtered[1][i];
+        result[i * 4 + 2] = filtered[2][i];
+        result[i * 4 + 3] = data[i * 4 + 3];
+    }
+    return { imageData: createImageDataLike(result, width, height), period };
+}
+
+/**
+ * 估计网点周期：高通亮度沿水平、垂直方向的归一化自相关，取第一个足够高的局部峰值
+ * @returns {Object} { period, peak, density }，无周期性峰值时 period 为 0
+ *   density: 网纹密度（见 MIN_DENSITY）
+ */
+export function estimateScreenPeriod(imageData) {
+    const { data, width, height } = imageData;
+    const n = width * height;
+    const luma = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+        luma[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+    }
+    // 高通：去掉比最大周期更低频的图像内容
+    const low = gaussianBlur(luma, width, height, MAX_PERIOD / 2);
+    const high = new Float32Array(n);
+    for (let i = 0; i < n; i++) high[i] = luma[i] - low[i];
+    let flips = 0;
+    for (let i = 0; i + 1 < n; i++) {
+        if ((i + 1) % width === 0) continue;
+        if (Math.abs(high[i]) > DITHER_LEVEL && Math.abs(high[i + 1]) > DITHER_LEVEL && (high[i] > 0) !== (high[i + 1] > 0)) flips++;
+    }
+    const density = flips / n;
+
+    const maxLag = MAX_PERIOD + 1;
+    const ac = new Float64Array(maxLag + 1);
+    const rowStep = Math.max(1, Math.floor(height / MAX_SAMPLE_LINES));
+    const colStep = Math.max(1, Math.floor(width / MAX_SAMPLE_LINES));
+    let norm = 0;
+    for (let y = 0; y < height; y += rowStep) {
+        for (let x = 0; x < width; x++) {
+            const v = high[y * width + x];
+            norm += v * v;
+            for (let k = 1; k <= maxLag && x + k < width; k++) ac[k] += v * high[y * width + x + k];
+        }
+    }
+    for (let x = 0; x < width; x += colStep) {
+        for (let y = 0; y < height; y++) {
+            const v = high[y * width + x];
+            norm += v * v;
+            for (let k = 1; k <= maxLag && y + k < height; k++) ac[k] += v * high[(y + k) * width + x];
+        }
+    }
+    if (norm === 0) return { period: 0, peak: 0, density };
+
+    for (let k = 1; k <= maxLag; k++) ac[k] /= norm;
+    for (let k = 2; k <= MAX_PERIOD; k++) {
+        if (ac[k] >= PEAK_MIN && ac[k] > ac[k - 1] && ac[k] >= ac[k + 1]) {
+            return { period: k, peak: ac[k], density };
+        }
+    }
+    return { period: 0, peak: 0, density };
+}
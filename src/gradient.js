@@ -0,0 +1,462 @@
+/**
+ * Vecburner - 渐变检测模块
+ *
+ * K-Means 调色板会把平滑渐变切成多条色带，每条色带一个图层，文件大且有明显色阶
+ * 这里在颜色分配图上找出由多条色带拼成的区域，用原图像素拟合线性 / 径向渐变：
+ *   1. 按调色板索引标记 4-连通区域
+ *   2. 跨边界像素的原图色差很小（软边界，不是真实边缘）的相邻区域合并为候选组
+ *   3. 对每个候选组拟合线性渐变（颜色沿某方向线性变化）与径向渐变（颜色随到中心的距离线性变化）
+ *   4. 误差足够小、两端颜色差异足够大的组整体输出为一个渐变填充区域；
+ *      否则剔除拟合最差的区域后重试（通常是经软边界并入的纯色背景）
+ *
+ * 坐标为工作尺寸（放大后），像素 (x, y) 的中心为 (x + 0.5, y + 0.5)
+ */
+
+import { toLogger } from './logger.js';
+import { colorDistance, colorOpacity } from './utils.js';
+import { formatNumber } from './path-data.js';
+
+// 颜色分配图中的透明标记
+const EMPTY = 255;
+
+// 跨边界相邻像素的平均原图色差（RGB 欧氏距离）不超过此值视为软边界
+const SOFT_EDGE_STEP = 16;
+// 共享边界少于此像素对数的相邻区域不合并（避免单点接触）
+const MIN_SHARED_EDGE = 4;
+// 候选组的最小面积与最小厚度（2 × 面积 / 周长），排除抗锯齿过渡带这类细条
+const MIN_GROUP_AREA = 64;
+const MIN_THICKNESS = 4;
+// 拟合的均方根误差上限，以及两端颜色的最小差异
+const MAX_ERROR = 8;
+const MIN_CONTRAST = 24;
+// 径向拟合的误差需低于线性拟合的这个比例才采用（优先更简单的线性渐变）
+const RADIAL_MARGIN = 0.8;
+// 拟合失败时最多剔除几个区域重试
+const MAX_REFITS = 3;
+// 每组拟合的最大采样像素数
+const MAX_SAMPLES = 20000;
+
+/**
+ * 检测颜色分配图中可用渐变表示的区域
+ *
+ * @param {Uint8Array} pixelColorMap - 每个像素的调色板索引，255 = 透明
+ * @param {Object} imageData - 工作图像 { data, width, height }
+ * @param {Array} palette - 调色板，半透明颜色的区域不参与检测
+ * @param {Object} options - 可选 { maxGradients, logger }
+ * @param {number} options.maxGradients - 最多输出的渐变数（按面积从大到小）
+ * @returns {Array} [{ gradient, color, pixels, error }]
+ *   gradient: { type: 'linear', x1, y1, x2, y2, stops } | { type: 'radial', cx, cy, r, stops }
+ *   stops: [{ offset, color: [r, g, b] }]；color: 区域平均色；pixels: 区域内的像素索引
+ */
+export function detectGradients(pixelColorMap, imageData, palette, options = {}) {
+    const { maxGradients = Infinity, logger = null } = options;
+    const log = toLogger(logger);
+    const { data, width, height } = imageData;
+
+    // 1. 区域标记
+    const { labels, regionArea } = labelRegions(pixelColorMap, width, height, palette);
+    const regionCount = regionArea.length;
+
+    // 2. 统计相邻区域之间的边界长度与跨边界色差，软边界两侧合并
+    const edges = new Map(); // a * regionCount + b (a < b) → [像素对数, 色差之和]
+    const addEdge = (i, j) => {
+        const la = labels[i], lb = labels[j];
+        if (la < 0 || lb < 0 || la === lb) return;
+        const key = la < lb ? la * regionCount + lb : lb * regionCount + la;
+        const dr = data[i * 4] - data[j * 4];
+        const dg = data[i * 4 + 1] - data[j * 4 + 1];
+        const db = data[i * 4 + 2] - data[j * 4 + 2];
+        const step = Math.sqrt(dr * dr + dg * dg + db * db);
+        const edge = edges.get(key);
+        if (edge) {
+            edge[0]++;
+            edge[1] += step;
+        } else {
+            edges.set(key, [1, step]);
+        }
+    };
+    for (let y = 0; y < height; y++) {
+        for (let x = 0; x < width; x++) {
+            const i = y * width + x;
+            if (x + 1 < width) addEdge(i, i + 1);
+            if (y + 1 < height) addEdge(i, i + width);
+        }
+    }
+
+    const parent = new Int32Array(regionCount);
+    for (let r = 0; r < regionCount; r++) parent[r] = r;
+    const find = (r) => {
+        while (parent[r] !== r) {
+            parent[r] = parent[parent[r]];
+            r = parent[r];
+        }
+        return r;
+    };
+    for (const [key, [count, stepSum]] of edges) {
+        if (count < MIN_SHARED_EDGE || stepSum / count > SOFT_EDGE_STEP) continue;
+        const ra = find(Math.floor(key / regionCount)), rb = find(key % regionCount);
+        if (ra !== rb) parent[ra] = rb;
+    }
+
+    // 3. 候选组：至少两个区域拼成
+    const members = new Map(); // 根 → 区域列表
+    for (let r = 0; r < regionCount; r++) {
+        const root = find(r);
+        let list = members.get(root);
+        if (!list) members.set(root, list = []);
+        list.push(r);
+    }
+    const groupOfRegion = new Int32Array(regionCount).fill(-1);
+    const groups = [];
+    for (const list of members.values()) {
+        if (list.length < 2) continue;
+        const area = list.reduce((sum, r) => sum + regionArea[r], 0);
+        if (area < MIN_GROUP_AREA) continue;
+        for (const r of list) groupOfRegion[r] = groups.length;
+        groups.push({ regions: list, area, pixels: new Int32Array(area), size: 0 });
+    }
+    for (let i = 0; i < labels.length; i++) {
+        if (labels[i] < 0) continue;
+        const g = groupOfRegion[labels[i]];
+        if (g >= 0) groups[g].pixels[groups[g].size++] = i;
+    }
+    groups.sort((a, b) => b.area - a.area);
+
+    // 4. 逐组拟合，失败时剔除误差最大的区域重试
+    const results = [];
+    const mark = new Int32Array(width * height).fill(-1);
+    let stamp = 0;
+    for (const group of groups) {
+        if (results.length >= maxGradients) break;
+        const regions = new Set(group.regions);
+        let pixels = group.pixels;
+        for (let attempt = 0; attempt <= MAX_REFITS && regions.size >= 2; attempt++) {
+            if (attempt > 0) pixels = pixels.filter(i => regions.has(labels[i]));
+            if (pixels.length < MIN_GROUP_AREA) break;
+
+            stamp++;
+            for (const i of pixels) mark[i] = stamp;
+            if (2 * pixels.length / countPerimeter(pixels, mark, stamp, width, height) < MIN_THICKNESS) break;
+
+            const fit = fitGradient(pixels, data, width, labels);
+            if (!fit) break;
+            if (fit.error <= MAX_ERROR && fit.contrast >= MIN_CONTRAST) {
+                log.debug('gradient.fit', `${fit.gradient.type} 渐变: ${regions.size} 个区域, ${pixels.length} 像素, 误差 ${fit.error.toFixed(2)}`,
+                    { type: fit.gradient.type, regions: regions.size, area: pixels.length, error: fit.error, contrast: fit.contrast });
+                results.push({ gradient: fit.gradient, color: fit.color, pixels, error: fit.error });
+                break;
+            }
+
+            let worst = -1, worstError = -1;
+            for (const [r, error] of fit.regionError) {
+                if (error > worstError) {
+                    worstError = error;
+                    worst = r;
+                }
+            }
+            regions.delete(worst);
+        }
+    }
+
+    log.info('gradient.detected', `检测到 ${results.length} 个渐变区域（候选 ${groups.length} 组）`,
+        { gradients: results.length, candidates: groups.length });
+    return results;
+}
+
+/**
+ * 按调色板索引标记 4-连通区域，透明与半透明颜色的像素标记为 -1
+ */
+function labelRegions(pixelColorMap, width, height, palette) {
+    const labels = new Int32Array(width * height).fill(-1);
+    const regionArea = [];
+    const stack = new Int32Array(width * height);
+    for (let start = 0; start < labels.length; start++) {
+        const idx = pixelColorMap[start];
+        if (labels[start] >= 0 || idx === EMPTY || colorOpacity(palette[idx]) < 1) continue;
+
+        const label = regionArea.length;
+        let area = 0, top = 0;
+        labels[start] = label;
+        stack[top++] = start;
+        while (top > 0) {
+            const i = stack[--top];
+            area++;
+            const x = i % width;
+            if (x > 0 && labels[i - 1] < 0 && pixelColorMap[i - 1] === idx) { labels[i - 1] = label; stack[top++] = i - 1; }
+            if (x + 1 < width && labels[i + 1] < 0 && pixelColorMap[i + 1] === idx) { labels[i + 1] = label; stack[top++] = i + 1; }
+            if (i >= width && labels[i - width] < 0 && pixelColorMap[i - width] === idx) { labels[i - width] = label; stack[top++] = i - width; }
+            if (i + width < labels.length && labels[i + width] < 0 && pixelColorMap[i + width] === idx) { labels[i + width] = label; stack[top++] = i + width; }
+        }
+        regionArea.push(area);
+    }
+    return { labels, regionArea };
+}
+
+/**
+ * 像素集合的周长（与集合外像素或图像边界相邻的像素边数），集合内像素在 mark 中标为 stamp
+ */
+function countPerimeter(pixels, mark, stamp, width, height) {
+    let perimeter = 0;
+    for (const i of pixels) {
+        const x = i % width, y = (i - x) / width;
+        if (x === 0 || mark[i - 1] !== stamp) perimeter++;
+        if (x === width - 1 || mark[i + 1] !== stamp) perimeter++;
+        if (y === 0 || mark[i - width] !== stamp) perimeter++;
+        if (y === height - 1 || mark[i + width] !== stamp) perimeter++;
+    }
+    return perimeter;
+}
+
+/**
+ * 对一组像素拟合线性与径向渐变，返回误差较小者
+ * @returns {Object|null} { gradient, color, error, contrast, regionError }，像素分布退化时返回 null
+ *   error: 每像素颜色残差（RGB 欧氏距离）的均方根；regionError: 区域 → 该区域的均方残差
+ */
+function fitGradient(pixels, data, width, labels) {
+    const stride = Math.ceil(pixels.length / MAX_SAMPLES);
+    const m = Math.ceil(pixels.length / stride);
+    const xs = new Float64Array(m), ys = new Float64Array(m);
+    const cs = [new Float64Array(m), new Float64Array(m), new Float64Array(m)];
+    const regionOf = new Int32Array(m);
+
+    let mx = 0, my = 0;
+    const mc = [0, 0, 0];
+    for (let s = 0; s < m; s++) {
+        const i = pixels[s * stride];
+        const x = i % width;
+        xs[s] = x + 0.5;
+        ys[s] = (i - x) / width + 0.5;
+        regionOf[s] = labels[i];
+        mx += xs[s];
+        my += ys[s];
+        for (let c = 0; c < 3; c++) {
+            cs[c][s] = data[i * 4 + c];
+            mc[c] += cs[c][s];
+        }
+    }
+    mx /= m;
+    my /= m;
+    for (let c = 0; c < 3; c++) mc[c] /= m;
+
+    // 中心化的二阶矩
+    let sxx = 0, sxy = 0, syy = 0;
+    const sxc = [0, 0, 0], syc = [0, 0, 0];
+    const scc = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    for (let s = 0; s < m; s++) {
+        const dx = xs[s] - mx, dy = ys[s] - my;
+        sxx += dx * dx;
+        sxy += dx * dy;
+        syy += dy * dy;
+        for (let c = 0; c < 3; c++) {
+            const dc = cs[c][s] - mc[c];
+            sxc[c] += dx * dc;
+            syc[c] += dy * dc;
+            for (let k = c; k < 3; k++) scc[c][k] += dc * (cs[k][s] - mc[k]);
+        }
+    }
+    const totalSS = scc[0][0] + scc[1][1] + scc[2][2];
+
+    const linear = fitLinear();
+    const radial = fitRadial();
+    const best = radial && (!linear || radial.ss < linear.ss * RADIAL_MARGIN * RADIAL_MARGIN) ? radial : linear;
+    if (!best) return null;
+
+    // 各区域的均方残差，用于拟合失败时剔除最差的区域
+    const regionSum = new Map(), regionCount = new Map();
+    for (let s = 0; s < m; s++) {
+        let res = 0;
+        for (let c = 0; c < 3; c++) {
+            const d = cs[c][s] - mc[c] - best.slope[c] * best.coord[s];
+            res += d * d;
+        }
+        regionSum.set(regionOf[s], (regionSum.get(regionOf[s]) || 0) + res);
+        regionCount.set(regionOf[s], (regionCount.get(regionOf[s]) || 0) + 1);
+    }
+    const regionError = new Map();
+    for (const [r, sum] of regionSum) regionError.set(r, sum / regionCount.get(r));
+
+    const stops = best.gradient.stops;
+    return {
+        gradient: best.gradient,
+        color: mc.map(v => Math.round(v)),
+        error: Math.sqrt(Math.max(0, best.ss) / m),
+        contrast: colorDistance(stops[0].color, stops[stops.length - 1].color),
+        regionError
+    };
+
+    // 颜色沿坐标 coord 线性变化时，各通道的斜率与残差平方和
+    function fitAlong(coord, scc0) {
+        let stt = 0;
+        const stc = [0, 0, 0];
+        for (let s = 0; s < m; s++) {
+            stt += coord[s] * coord[s];
+            for (let c = 0; c < 3; c++) stc[c] += coord[s] * (cs[c][s] - mc[c]);
+        }
+        if (stt <= 0) return null;
+        const slope = stc.map(v => v / stt);
+        let ss = scc0;
+        for (let c = 0; c < 3; c++) ss -= slope[c] * stc[c];
+        return { slope, ss };
+    }
+
+    function stopColor(slope, t) {
+        return mc.map((v, c) => Math.min(255, Math.max(0, Math.round(v + slope[c] * t))));
+    }
+
+    // 线性渐变：各通道分别拟合平面，取各通道梯度的主方向为渐变方向
+    function fitLinear() {
+        const det = sxx * syy - sxy * sxy;
+        if (det <= 1e-9 * sxx * syy) return null;
+        let a = 0, b = 0, d = 0;
+        for (let c = 0; c < 3; c++) {
+            const gx = (syy * sxc[c] - sxy * syc[c]) / det;
+            const gy = (sxx * syc[c] - sxy * sxc[c]) / det;
+            a += gx * gx;
+            b += gx * gy;
+            d += gy * gy;
+        }
+        if (a + d === 0) return null;
+        const theta = 0.5 * Math.atan2(2 * b, a - d);
+        const ux = Math.cos(theta), uy = Math.sin(theta);
+
+        const coord = new Float64Array(m);
+        let tmin = Infinity, tmax = -Infinity;
+        for (let s = 0; s < m; s++) {
+            const t = (xs[s] - mx) * ux + (ys[s] - my) * uy;
+            coord[s] = t;
+            if (t < tmin) tmin = t;
+            if (t > tmax) tmax = t;
+        }
+        const fit = fitAlong(coord, totalSS);
+        if (!fit) return null;
+        return {
+            ...fit,
+            coord,
+            gradient: {
+                type: 'linear',
+                x1: mx + ux * tmin, y1: my + uy * tmin,
+                x2: mx + ux * tmax, y2: my + uy * tmax,
+                stops: [
+                    { offset: 0, color: stopColor(fit.slope, tmin) },
+                    { offset: 1, color: stopColor(fit.slope, tmax) }
+                ]
+            }
+        };
+    }
+
+    // 径向渐变：沿颜色主轴投影后拟合 L = βx + γy + δ(x² + y²)，由极值点得到中心
+    function fitRadial() {
+        const u = principalAxis(scc);
+        let sxq = 0, syq = 0, sqq = 0, sxl = 0, syl = 0, sql = 0, mq = 0;
+        const qs = new Float64Array(m);
+        for (let s = 0; s < m; s++) {
+            const dx = xs[s] - mx, dy = ys[s] - my;
+            qs[s] = dx * dx + dy * dy;
+            mq += qs[s];
+        }
+        mq /= m;
+        for (let s = 0; s < m; s++) {
+            const dx = xs[s] - mx, dy = ys[s] - my, dq = qs[s] - mq;
+            const l = (cs[0][s] - mc[0]) * u[0] + (cs[1][s] - mc[1]) * u[1] + (cs[2][s] - mc[2]) * u[2];
+            sxq += dx * dq;
+            syq += dy * dq;
+            sqq += dq * dq;
+            sxl += dx * l;
+            syl += dy * l;
+            sql += dq * l;
+        }
+        const sol = solve3([[sxx, sxy, sxq], [sxy, syy, syq], [sxq, syq, sqq]], [sxl, syl, sql]);
+        if (!sol || Math.abs(sol[2]) < 1e-12) return null;
+        const cx = mx - sol[0] / (2 * sol[2]);
+        const cy = my - sol[1] / (2 * sol[2]);
+
+        // 中心远离区域时曲率很小，与线性渐变无异
+        let minX = Infinity, maxX = -Infinity, minY = Infinity, maxY = -Infinity;
+        for (let s = 0; s < m; s++) {
+            if (xs[s] < minX) minX = xs[s];
+            if (xs[s] > maxX) maxX = xs[s];
+            if (ys[s] < minY) minY = ys[s];
+            if (ys[s] > maxY) maxY = ys[s];
+        }
+        const padX = (maxX - minX) / 2, padY = (maxY - minY) / 2;
+        if (cx < minX - padX || cx > maxX + padX || cy < minY - padY || cy > maxY + padY) return null;
+
+        const coord = new Float64Array(m);
+        let mr = 0, rmin = Infinity, rmax = 0;
+        for (let s = 0; s < m; s++) {
+            const r = Math.hypot(xs[s] - cx, ys[s] - cy);
+            coord[s] = r;
+            mr += r;
+            if (r < rmin) rmin = r;
+            if (r > rmax) rmax = r;
+        }
+        mr /= m;
+        if (rmax <= 0) return null;
+        for (let s = 0; s < m; s++) coord[s] -= mr;
+        const fit = fitAlong(coord, totalSS);
+        if (!fit) return null;
+        return {
+            ...fit,
+            coord,
+            gradient: {
+                type: 'radial',
+                cx, cy, r: rmax,
+                stops: [
+                    { offset: rmin / rmax, color: stopColor(fit.slope, rmin - mr) },
+                    { offset: 1, color: stopColor(fit.slope, rmax - mr) }
+                ]
+            }
+        };
+    }
+}
+
+/**
+ * 3×3 对称矩阵（只用上三角）的主特征向量（幂迭代）
+ */
+function principalAxis(s) {
+    const a = [[s[0][0], s[0][1], s[0][2]], [s[0][1], s[1][1], s[1][2]], [s[0][2], s[1][2], s[2][2]]];
+    let v = [1, 1, 1];
+    for (let iter = 0; iter < 32; iter++) {
+        const next = a.map(row => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+        const norm = Math.hypot(next[0], next[1], next[2]);
+        if (norm === 0) break;
+        v = next.map(x => x / norm);
+    }
+    return v;
+}
+
+/**
+ * 3×3 线性方程组（Cramer 法则），奇异时返回 null
+ */
+function solve3(a, b) {
+    const det3 = (m) =>
+        m[0][0] * (m[1][1] * m[2][2] - m[1][2] * m[2][1]) -
+        m[0][1] * (m[1][0] * m[2][2] - m[1][2] * m[2][0]) +
+        m[0][2] * (m[1][0] * m[2][1] - m[1][1] * m[2][0]);
+    const det = det3(a);
+    if (!Number.isFinite(det) || det === 0) return null;
+    return [0, 1, 2].map(k => det3(a.map((row, r) => row.map((v, c) => (c === k ? b[r] : v)))) / det);
+}
+
+/**
+ * 渐变定义 → SVG linearGradient / radialGradient 元素
+ * @param {Object} gradient - 图层的 gradient（见 detectGradients），带 id
+ */
+export function gradientElement(gradient) {
+    const stops = gradient.stops
+        .map(s => `<stop offset="${formatNumber(s.offset, 3)}" stop-color="rgb(${s.color[0]},${s.color[1]},${s.color[2]})"/>`)
+        .join('');
+    if (gradient.type === 'radial') {
+        return `<radialGradient id="${gradient.id}" gradientUnits="userSpaceOnUse" cx="${formatNumber(gradient.cx)}" cy="${formatNumber(gradient.cy)}" r="${formatNumber(gradient.r)}">${stops}</radialGradient>`;
+    }
+    return `<linearGradient id="${gradient.id}" gradientUnits="userSpaceOnUse" x1="${formatNumber(gradient.x1)}" y1="${formatNumber(gradient.y1)}" x2="${formatNumber(gradient.x2)}" y2="${formatNumber(gradient.y2)}">${stops}</linearGradient>`;
+}
+
+/**
+ * 图层中用到的渐变 → SVG defs 元素，无渐变时返回空字符串
+ * @param {Array} layers - 图层数组，渐变图层带 gradient 字段
+ */
+export function gradientDefs(layers) {
+    const defs = layers.filter(layer => layer.gradient).map(layer => gradientElement(layer.gradient));
+    return defs.length ? `<defs>\n${defs.join('\n')}\n</defs>\n` : '';
+}
@@ -0,0 +1,608 @@
+/**
+ * Vecburner - 图像解码模块
+ *
+ * 零依赖的图像解码器，把文件内容转换为 ImageData-like 对象 { data, width, height }
+ * 支持：
+ * - PNG（inflate、5 种行过滤、调色板、tRNS 透明、1-16 位深、Adam7 隔行）
+ * - PPM / PGM / PBM（P1-P6）
+ * - BMP（1/4/8/16/24/32 位，未压缩 / BI_BITFIELDS）
+ */
+
+/**
+ * 自动识别格式并解码
+ * @param {Uint8Array|ArrayBuffer|Buffer} input - 文件内容
+ * @returns {Object} ImageData-like 对象 { data: Uint8ClampedArray, width, height }
+ */
+export function decodeImage(input) {
+    const bytes = toUint8Array(input);
+    const format = detectImageFormat(bytes);
+
+    switch (format) {
+        case 'png': return decodePNG(bytes);
+        case 'pnm': return decodePNM(bytes);
+        case 'bmp': return decodeBMP(bytes);
+        default:
+            throw new Error('[Vecburner] 无法识别的图像格式（支持 PNG / PPM / PGM / BMP）');
+    }
+}
+
+/**
+ * 根据文件头识别图像格式
+ * @returns {string|null} 'png' | 'pnm' | 'bmp' | null
+ */
+export function detectImageFormat(input) {
+    const bytes = toUint8Array(input);
+    if (bytes.length >= 8 &&
+        bytes[0] === 0x89 && bytes[1] === 0x50 && bytes[2] === 0x4e && bytes[3] === 0x47 &&
+        bytes[4] === 0x0d && bytes[5] === 0x0a && bytes[6] === 0x1a && bytes[7] === 0x0a) {
+        return 'png';
+    }
+    if (bytes.length >= 2 && bytes[0] === 0x50 && bytes[1] >= 0x31 && bytes[1] <= 0x36) {
+        return 'pnm';
+    }
+    if (bytes.length >= 2 && bytes[0] === 0x42 && bytes[1] === 0x4d) {
+        return 'bmp';
+    }
+    return null;
+}
+
+function toUint8Array(input) {
+    if (input instanceof Uint8Array) return input;
+    if (input instanceof ArrayBuffer) return new Uint8Array(input);
+    if (ArrayBuffer.isView(input)) return new Uint8Array(input.buffer, input.byteOffset, input.byteLength);
+    throw new TypeError('[Vecburner] 图像数据必须是 Uint8Array / ArrayBuffer / Buffer');
+}
+
+// ============ Inflate (RFC 1950 / 1951) ============
+
+// 长度码与距离码的基础值和额外位数
+const LENGTH_BASE = [3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115, 131, 163, 195, 227, 258];
+const LENGTH_EXTRA = [0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0];
+const DIST_BASE = [1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537, 2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577];
+const DIST_EXTRA = [0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13];
+// 动态 Huffman 码长码的排列顺序
+const CL_ORDER = [16, 17, 18, 0, 8, 7, 9, 6, 10, 5, 11, 4, 12, 3, 13, 2, 14, 1, 15];
+
+/**
+ * 由码长表构建 Huffman 解码表（canonical Huffman）
+ */
+function buildHuffman(lengths) {
+    const counts = new Uint16Array(16);
+    for (let i = 0; i < lengths.length; i++) counts[lengths[i]]++;
+    counts[0] = 0;
+
+    const offsets = new Uint16Array(16);
+    for (let i = 1; i < 16; i++) offsets[i] = offsets[i - 1] + counts[i - 1];
+
+    const symbols = new Uint16Array(lengths.length);
+    for (let i = 0; i < lengths.length; i++) {
+        if (lengths[i]) symbols[offsets[lengths[i]]++] = i;
+    }
+    return { counts, symbols };
+}
+
+/**
+ * 解压 zlib 数据流
+ * @param {Uint8Array} input - zlib 格式数据（含 2 字节头）
+ * @returns {Uint8Array} 解压后的数据
+ */
+export function inflate(input) {
+    if (input.length < 2 || (input[0] & 0x0f) !== 8 || ((input[0] << 8) | input[1]) % 31 !== 0) {
+        throw new Error('[Vecburner] 无效的 zlib 数据');
+    }
+
+    let pos = 2;
+    let bitBuf = 0, bitCnt = 0;
+    let out = new Uint8Array(Math.max(1024, input.length * 4));
+    let outLen = 0;
+
+    const ensure = (n) => {
+        if (outLen + n <= out.length) return;
+        let size = out.length * 2;
+        while (size < outLen + n) size *= 2;
+        const next = new Uint8Array(size);
+        next.set(out.subarray(0, outLen));
+        out = next;
+    };
+
+    const bits = (n) => {
+        while (bitCnt < n) {
+            if (pos >= input.length) throw new Error('[Vecburner] zlib 数据意外结束');
+            bitBuf |= input[pos++] << bitCnt;
+            bitCnt += 8;
+        }
+        const v = bitBuf & ((1 << n) - 1);
+        bitBuf >>>= n;
+        bitCnt -= n;
+        return v;
+    };
+
+    // 逐位解码一个 Huffman 符号
+    const decodeSym = (h) => {
+        let code = 0, first = 0, index = 0;
+        for (let len = 1; len < 16; len++) {
+            code |= bits(1);
+            const count = h.counts[len];
+            if (code - first < count) return h.symbols[index + code - first];
+            index += count;
+            first = (first + count) << 1;
+            code <<= 1;
+        }
+        throw new Error('[Vecburner] 无效的 Huffman 编码');
+    };
+
+    // 固定 Huffman 表
+    let fixedLit = null, fixedDist = null;
+    const getFixed = () => {
+        if (!fixedLit) {
+            const l = new Uint8Array(288);
+            l.fill(8, 0, 144); l.fill(9, 144, 256); l.fill(7, 256, 280); l.fill(8, 280, 288);
+            fixedLit = buildHuffman(l);
+            fixedDist = buildHuffman(new Uint8Array(30).fill(5));
+        }
+        return [fixedLit, fixedDist];
+    };
+
+    let final = 0;
+    do {
+        final = bits(1);
+        const type = bits(2);
+
+        if (type === 0) {
+            // 存储块：丢弃剩余位，读取 LEN / NLEN
+            bitBuf = 0; bitCnt = 0;
+            const len = input[pos] | (input[pos + 1] << 8);
+            const nlen = input[pos + 2] | (input[pos + 3] << 8);
+            if ((len ^ 0xffff) !== nlen) throw new Error('[Vecburner] 存储块长度校验失败');
+            pos += 4;
+            ensure(len);
+            out.set(input.subarray(pos, pos + len), outLen);
+            outLen += len;
+            pos += len;
+            continue;
+        }
+
+        let lit, dist;
+        if (type === 1) {
+            [lit, dist] = getFixed();
+        } else if (type === 2) {
+            const hlit = bits(5) + 257;
+            const hdist = bits(5) + 1;
+            const hclen = bits(4) + 4;
+            const clLens = new Uint8Array(19);
+            for (let i = 0; i < hclen; i++) clLens[CL_ORDER[i]] = bits(3);
+            const clHuff = buildHuffman(clLens);
+
+            const lens = new Uint8Array(hlit + hdist);
+            for (let i = 0; i < hlit + hdist;) {
+                const sym = decodeSym(clHuff);
+                if (sym < 16) {
+                    lens[i++] = sym;
+                } else {
+                    let rep = 0, val = 0;
+                    if (sym === 16) {
+                        if (i === 0) throw new Error('[Vecburner] 无效的码长重复');
+                        val = lens[i - 1];
+                        rep = 3 + bits(2);
+                    } else if (sym === 17) {
+                        rep = 3 + bits(3);
+                    } else {
+                        rep = 11 + bits(7);
+                    }
+                    while (rep-- > 0) lens[i++] = val;
+                }
+            }
+            lit = buildHuffman(lens.subarray(0, hlit));
+            dist = buildHuffman(lens.subarray(hlit));
+        } else {
+            throw new Error('[Vecburner] 无效的 deflate 块类型');
+        }
+
+        for (;;) {
+            const sym = decodeSym(lit);
+            if (sym < 256) {
+                ensure(1);
+                out[outLen++] = sym;
+            } else if (sym === 256) {
+                break;
+            } else {
+                const li = sym - 257;
+                const len = LENGTH_BASE[li] + bits(LENGTH_EXTRA[li]);
+                const di = decodeSym(dist);
+                const d = DIST_BASE[di] + bits(DIST_EXTRA[di]);
+                if (d > outLen) throw new Error('[Vecburner] 无效的回溯距离');
+                ensure(len);
+                // 可能重叠，逐字节复制
+                for (let k = 0; k < len; k++, outLen++) out[outLen] = out[outLen - d];
+            }
+        }
+    } while (!final);
+
+    return out.subarray(0, outLen);
+}
+
+// ============ PNG ============
+
+const ADAM7 = [
+    // [xStart, yStart, xStep, yStep]
+    [0, 0, 8, 8], [4, 0, 8, 8], [0, 4, 4, 8], [2, 0, 4, 4],
+    [0, 2, 2, 4], [1, 0, 2, 2], [0, 1, 1, 2]
+];
+
+/**
+ * 解码 PNG
+ */
+export function decodePNG(input) {
+    const bytes = toUint8Array(input);
+    if (detectImageFormat(bytes) !== 'png') throw new Error('[Vecburner] 不是 PNG 文件');
+
+    const readU32 = (o) => ((bytes[o] << 24) | (bytes[o + 1] << 16) | (bytes[o + 2] << 8) | bytes[o + 3]) >>> 0;
+
+    let width = 0, height = 0, bitDepth = 0, colorType = 0, interlace = 0;
+    let palette = null, trns = null;
+    const idat = [];
+    let idatLen = 0;
+
+    let pos = 8;
+    while (pos + 8 <= bytes.length) {
+        const len = readU32(pos);
+        const type = String.fromCharCode(bytes[pos + 4], bytes[pos + 5], bytes[pos + 6], bytes[pos + 7]);
+        const body = bytes.subarray(pos + 8, pos + 8 + len);
+        pos += 12 + len; // 长度 + 类型 + 数据 + CRC
+
+        if (type === 'IHDR') {
+            width = ((body[0] << 24) | (body[1] << 16) | (body[2] << 8) | body[3]) >>> 0;
+            height = ((body[4] << 24) | (body[5] << 16) | (body[6] << 8) | body[7]) >>> 0;
+            bitDepth = body[8];
+            colorType = body[9];
+            interlace = body[12];
+        } else if (type === 'PLTE') {
+            palette = body;
+        } else if (type === 'tRNS') {
+            trns = body;
+        } else if (type === 'IDAT') {
+            idat.push(body);
+            idatLen += body.length;
+        } else if (type === 'IEND') {
+            break;
+        }
+    }
+
+    if (!width || !height) throw new Error('[Vecburner] PNG 缺少 IHDR');
+    if (colorType === 3 && !palette) throw new Error('[Vecburner] 调色板 PNG 缺少 PLTE');
+
+    const compressed = new Uint8Array(idatLen);
+    let offset = 0;
+    for (const chunk of idat) {
+        compressed.set(chunk, offset);
+        offset += chunk.length;
+    }
+    const raw = inflate(compressed);
+
+    const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[colorType];
+    if (!channels) throw new Error(`[Vecburner] 不支持的 PNG 颜色类型: ${colorType}`);
+    const bitsPerPixel = channels * bitDepth;
+    const bpp = Math.max(1, bitsPerPixel >> 3); // 过滤器使用的字节步长
+
+    const out = new Uint8ClampedArray(width * height * 4);
+
+    // 透明色键（灰度 / RGB 类型的 tRNS）
+    let keyGray = -1, keyR = -1, keyG = -1, keyB = -1;
+    if (trns && colorType === 0 && trns.length >= 2) keyGray = (trns[0] << 8) | trns[1];
+    if (trns && colorType === 2 && trns.length >= 6) {
+        keyR = (trns[0] << 8) | trns[1];
+        keyG = (trns[2] << 8) | trns[3];
+        keyB = (trns[4] << 8) | trns[5];
+    }
+
+    const maxVal = (1 << bitDepth) - 1;
+    const to8 = (v) => bitDepth === 16 ? v >> 8 : Math.round(v * 255 / maxVal);
+
+    // 读取一个采样值（支持 1/2/4/8/16 位）
+    const sample = (line, index) => {
+        if (bitDepth === 8) return line[index];
+        if (bitDepth === 16) return (line[index * 2] << 8) | line[index * 2 + 1];
+        const bitPos = index * bitDepth;
+        return (line[bitPos >> 3] >> (8 - bitDepth - (bitPos & 7))) & maxVal;
+    };
+
+    const writePixel = (line, px, x, y) => {
+        const o = (y * width + x) * 4;
+        const base = px * channels;
+        if (colorType === 0) {
+            const v = sample(line, base);
+            const g = to8(v);
+            out[o] = out[o + 1] = out[o + 2] = g;
+            out[o + 3] = v === keyGray ? 0 : 255;
+        } else if (colorType === 2) {
+            const r = sample(line, base), g = sample(line, base + 1), b = sample(line, base + 2);
+            out[o] = to8(r); out[o + 1] = to8(g); out[o + 2] = to8(b);
+            out[o + 3] = (r === keyR && g === keyG && b === keyB) ? 0 : 255;
+        } else if (colorType === 3) {
+            const idx = sample(line, base);
+            out[o] = palette[idx * 3];
+            out[o + 1] = palette[idx * 3 + 1];
+            out[o + 2] = palette[idx * 3 + 2];
+            out[o + 3] = trns && idx < trns.length ? trns[idx] : 255;
+        } else if (colorType === 4) {
+            const g = to8(sample(line, base));
+            out[o] = out[o + 1] = out[o + 2] = g;
+            out[o + 3] = to8(sample(line, base + 1));
+        } else {
+            out[o] = to8(sample(line, base));
+            out[o + 1] = to8(sample(line, base + 1));
+            out[o + 2] = to8(sample(line, base + 2));
+            out[o + 3] = to8(sample(line, base + 3));
+        }
+    };
+
+    // 反过滤并输出一个（子）图像
+    let rawPos = 0;
+    const decodePass = (passW, passH, mapX, mapY) => {
+        if (passW === 0 || passH === 0) return;
+        const stride = Math.ceil(passW * bitsPerPixel / 8);
+        let prev = new Uint8Array(stride);
+        let line = new Uint8Array(stride);
+
+        for (let y = 0; y < passH; y++) {
+            const filter = raw[rawPos++];
+            line.set(raw.subarray(rawPos, rawPos + stride));
+            rawPos += stride;
+            unfilterLine(filter, line, prev, bpp);
+            for (let x = 0; x < passW; x++) writePixel(line, x, mapX(x), mapY(y));
+            const tmp = prev; prev = line; line = tmp;
+        }
+    };
+
+    if (interlace === 1) {
+        for (const [x0, y0, dx, dy] of ADAM7) {
+            const passW = Math.ceil((width - x0) / dx);
+            const passH = Math.ceil((height - y0) / dy);
+            decodePass(passW, passH, x => x0 + x * dx, y => y0 + y * dy);
+        }
+    } else {
+        decodePass(width, height, x => x, y => y);
+    }
+
+    return { data: out, width, height };
+}
+
+/**
+ * PNG 行反过滤（原地修改 line）
+ */
+function unfilterLine(filter, line, prev, bpp) {
+    const n = line.length;
+    switch (filter) {
+        case 0:
+            break;
+        case 1: // Sub
+            for (let i = bpp; i < n; i++) line[i] = (line[i] + line[i - bpp]) & 0xff;
+            break;
+        case 2: // Up
+            for (let i = 0; i < n; i++) line[i] = (line[i] + prev[i]) & 0xff;
+            break;
+        case 3: // Average
+            for (let i = 0; i < n; i++) {
+                const left = i >= bpp ? line[i - bpp] : 0;
+                line[i] = (line[i] + ((left + prev[i]) >> 1)) & 0xff;
+            }
+            break;
+        case 4: // Paeth
+            for (let i = 0; i < n; i++) {
+                const a = i >= bpp ? line[i - bpp] : 0;
+                const b = prev[i];
+                const c = i >= bpp ? prev[i - bpp] : 0;
+                const p = a + b - c;
+                const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c);
+                const pred = (pa <= pb && pa <= pc) ? a : (pb <= pc ? b : c);
+                line[i] = (line[i] + pred) & 0xff;
+            }
+            break;
+        default:
+            throw new Error(`[Vecburner] 无效的 PNG 过滤类型: ${filter}`);
+    }
+}
+
+// ============ PNM (PBM / PGM / PPM) ============
+
+/**
+ * 解码 PNM（P1-P6，二进制与 ASCII 均支持）
+ */
+export function decodePNM(input) {
+    const bytes = toUint8Array(input);
+    if (detectImageFormat(bytes) !== 'pnm') throw new Error('[Vecburner] 不是 PNM 文件');
+
+    const magic = bytes[1] - 0x30; // 1-6
+    let pos = 2;
+
+    // 读取一个 ASCII 整数（跳过空白和 # 注释）
+    const readInt = () => {
+        for (;;) {
+            const c = bytes[pos];
+            if (c === 0x23) {
+                while (pos < bytes.length && bytes[pos] !== 0x0a && bytes[pos] !== 0x0d) pos++;
+            } else if (c === 0x20 || c === 0x09 || c === 0x0a || c === 0x0d) {
+                pos++;
+            } else {
+                break;
+            }
+        }
+        let v = 0, digits = 0;
+        while (pos < bytes.length && bytes[pos] >= 0x30 && bytes[pos] <= 0x39) {
+            v = v * 10 + (bytes[pos++] - 0x30);
+            digits++;
+        }
+        if (!digits) throw new Error('[Vecburner] PNM 头部格式错误');
+        return v;
+    };
+
+    const width = readInt();
+    const height = readInt();
+    const isBitmap = magic === 1 || magic === 4;
+    const maxVal = isBitmap ? 1 : readInt();
+    const channels = (magic === 3 || magic === 6) ? 3 : 1;
+    const binary = magic >= 4;
+
+    // 二进制格式：头部后紧跟一个空白字符
+    if (binary) pos++;
+
+    const out = new Uint8ClampedArray(width * height * 4);
+    const wide = maxVal > 255;
+    const to8 = (v) => Math.round(v * 255 / maxVal);
+
+    if (magic === 4) {
+        // P4：每行按位打包，1 = 黑
+        const rowBytes = Math.ceil(width / 8);
+        for (let y = 0; y < height; y++) {
+            for (let x = 0; x < width; x++) {
+                const bit = (bytes[pos + y * rowBytes + (x >> 3)] >> (7 - (x & 7))) & 1;
+                const o = (y * width + x) * 4;
+                out[o] = out[o + 1] = out[o + 2] = bit ? 0 : 255;
+                out[o + 3] = 255;
+            }
+        }
+        return { data: out, width, height };
+    }
+
+    const readSample = binary
+        ? (wide
+            ? () => { const v = (bytes[pos] << 8) | bytes[pos + 1]; pos += 2; return v; }
+            : () => bytes[pos++])
+        : readInt;
+
+    for (let i = 0; i < width * height; i++) {
+        const o = i * 4;
+        if (isBitmap) {
+            // P1：1 = 黑
+            const v = readSample();
+            out[o] = out[o + 1] = out[o + 2] = v ? 0 : 255;
+        } else if (channels === 1) {
+            out[o] = out[o + 1] = out[o + 2] = to8(readSample());
+        } else {
+            out[o] = to8(readSample());
+            out[o + 1] = to8(readSample());
+            out[o + 2] = to8(readSample());
+        }
+        out[o + 3] = 255;
+    }
+
+    return { data: out, width, height };
+}
+
+// ============ BMP ============
+
+/**
+ * 解码 BMP（未压缩 BI_RGB 与 BI_BITFIELDS）
+ */
+export function decodeBMP(input) {
+    const bytes = toUint8Array(input);
+    if (detectImageFormat(bytes) !== 'bmp') throw new Error('[Vecburner] 不是 BMP 文件');
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const dataOffset = view.getUint32(10, true);
+    const headerSize = view.getUint32(14, true);
+
+    let width, height, bpp, compression = 0, colorsUsed = 0;
+    if (headerSize === 12) {
+        // OS/2 BITMAPCOREHEADER
+        width = view.getUint16(18, true);
+        height = view.getInt16(20, true);
+        bpp = view.getUint16(24, true);
+    } else {
+        width = view.getInt32(18, true);
+        height = view.getInt32(22, true);
+        bpp = view.getUint16(28, true);
+        compression = view.getUint32(30, true);
+        colorsUsed = view.getUint32(46, true);
+    }
+
+    if (compression !== 0 && compression !== 3) {
+        throw new Error(`[Vecburner] 不支持压缩的 BMP (compression=${compression})`);
+    }
+
+    const topDown = height < 0;
+    height = Math.abs(height);
+
+    // 位域掩码（BI_BITFIELDS 或 16/32 位默认值）
+    let masks = null;
+    if (bpp === 16 || bpp === 32) {
+        if (compression === 3) {
+            const maskOffset = headerSize >= 52 ? 54 : 14 + headerSize;
+            masks = [
+                view.getUint32(maskOffset, true),
+                view.getUint32(maskOffset + 4, true),
+                view.getUint32(maskOffset + 8, true),
+                headerSize >= 56 ? view.getUint32(maskOffset + 12, true) : 0
+            ];
+        } else if (bpp === 16) {
+            masks = [0x7c00, 0x03e0, 0x001f, 0];
+        } else {
+            masks = [0x00ff0000, 0x0000ff00, 0x000000ff, 0xff000000];
+        }
+    }
+
+    // 调色板（<= 8 位）
+    let palette = null;
+    if (bpp <= 8) {
+        const entrySize = headerSize === 12 ? 3 : 4;
+        const count = colorsUsed || (1 << bpp);
+        const palOffset = 14 + headerSize;
+        palette = [];
+        for (let i = 0; i < count; i++) {
+            const o = palOffset + i * entrySize;
+            palette.push([bytes[o + 2], bytes[o + 1], bytes[o]]);
+        }
+    }
+
+    const maskShift = (m) => { let s = 0; while (m && !(m & 1)) { m >>>= 1; s++; } return s; };
+    const maskMax = (m) => { m >>>= maskShift(m); return m; };
+    const channel = (v, m) => {
+        if (!m) return 255;
+        const max = maskMax(m);
+        return Math.round(((v & m) >>> maskShift(m)) * 255 / max);
+    };
+
+    const rowSize = Math.ceil(width * bpp / 32) * 4;
+    const out = new Uint8ClampedArray(width * height * 4);
+    let hasAlpha = false;
+
+    for (let row = 0; row < height; row++) {
+        const y = topDown ? row : height - 1 - row;
+        const rowStart = dataOffset + row * rowSize;
+
+        for (let x = 0; x < width; x++) {
+            const o = (y * width + x) * 4;
+            if (bpp <= 8) {
+                const bitPos = x * bpp;
+                const idx = (bytes[rowStart + (bitPos >> 3)] >> (8 - bpp - (bitPos & 7))) & ((1 << bpp) - 1);
+                const c = palette[idx] || [0, 0, 0];
+                out[o] = c[0]; out[o + 1] = c[1]; out[o + 2] = c[2]; out[o + 3] = 255;
+            } else if (bpp === 24) {
+                const p = rowStart + x * 3;
+                out[o] = bytes[p + 2]; out[o + 1] = bytes[p + 1]; out[o + 2] = bytes[p]; out[o + 3] = 255;
+            } else if (bpp === 16) {
+                const v = view.getUint16(rowStart + x * 2, true);
+                out[o] = channel(v, masks[0]);
+                out[o + 1] = channel(v, masks[1]);
+                out[o + 2] = channel(v, masks[2]);
+                out[o + 3] = 255;
+            } else if (bpp === 32) {
+                const v = view.getUint32(rowStart + x * 4, true);
+                out[o] = channel(v, masks[0]);
+                out[o + 1] = channel(v, masks[1]);
+                out[o + 2] = channel(v, masks[2]);
+                out[o + 3] = masks[3] ? channel(v, masks[3]) : 255;
+                if (out[o + 3] !== 0) hasAlpha = true;
+            } else {
+                throw new Error(`[Vecburner] 不支持的 BMP 位深: ${bpp}`);
+            }
+        }
+    }
+
+    // 32 位 BMP 的 alpha 通道常被写成全 0，此时视为不透明
+    if (bpp === 32 && masks[3] && !hasAlpha) {
+        for (let i = 3; i < out.length; i += 4) out[i] = 255;
+    }
+
+    return { data: out, width, height };
+}
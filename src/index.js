@@ -29,7 +29,7 @@
  * fit-curve
  *   https://github.com/soswow/fit-curve
  *   License: MIT
- *   用于贝塞尔曲线拟合
+ *   参考其 Schneider 贝塞尔拟合实现（已内置，不再从 CDN 加载）
  *
  * ============================================================================
  * 原创部分
@@ -45,9 +45,27 @@
  */
 
 // 导入所有模块
-import { loadCdnLibs, colorDistSq, denoisePixelMap } from './utils.js';
-import { kMeansQuantize, medianCutQuantize } from './color-quantize.js';
+import {
+    colorDistSq,
+    denoisePixelMap,
+    throwIfAborted,
+    createCheckpoint,
+    hasTransparency,
+    resolveBackground,
+    normalizeColorList,
+    colorOpacity
+} from './utils.js';
+import { backgroundRect, pathElement } from './svg-writer.js';
+import {
+    kMeansQuantize,
+    medianCutQuantize,
+    wuQuantize,
+    octreeQuantize,
+    comparePaletteOrder,
+    selectColorCount
+} from './color-quantize.js';
 import { analyzeImageColors } from './color-analysis.js';
+import { getColorSpace } from './color-space.js';
 import { 
     computeOtsuThreshold, 
     createBinaryBitmap, 
@@ -58,7 +76,7 @@ import { labelConnectedComponents } from './connected-components.js';
 import { marchingSquaresContour } from './contour-tracer.js';
 import { traceContoursVTracer, traceContoursHybrid } from './path-walker.js';
 import { simplifyPath, removeStaircase, limitPenalties } from './path-simplify.js';
-import { chaikinSmooth, chaikinSmoothPreserveCorners, simplifyRDPClosed as simplifyPathRDP, reduceVTracer } from './path-smooth.js';
+import { chaikinSmooth, chaikinSmoothPreserveCorners, reduceVTracer } from './path-smooth.js';
 import { 
     processContourVTracer, 
     detectCornersVTracer 
@@ -69,30 +87,91 @@ import {
     fitBezierSmooth,
     fitBezierCatmullRom,
     generatePolygonPath,
-    retractHandles
+    retractHandles,
+    fitArcSegments
 } from './curve-fitter.js';
 import { PRESETS } from './presets.js';
 import { simplifyPathD, simplifyVectorResult, getSimplifyPreview } from './path-simplifier.js';
+import { resampleImageData } from './resample.js';
+import { createLogger } from './logger.js';
+import { traceLayer } from './layer-tracer.js';
+import { traceSharedLayers } from './planar-map.js';
+import { traceCenterlineLayer, thinBitmap, distanceTransform } from './centerline.js';
+import { fitPointPath } from './path-pipeline.js';
+import { createWorkerPool } from './worker-pool.js';
+import { decodeImage } from './image-decode.js';
+import { detectGradients, gradientDefs } from './gradient.js';
+import { descreenImage, estimateScreenPeriod } from './descreen.js';
+import { recognizePrimitives, fitPrimitive } from './primitives.js';
 
 /**
  * 主矢量化函数
  */
 export async function vectorize(imageData, options = {}) {
-    await loadCdnLibs();
-
     const {
-        numColors = 16,
+        numColors = 16,             // 颜色数，'auto' 时按误差曲线的拐点自动选择
         colorTolerance = 25,
         pathTolerance = 1.0,
         smoothness = 2.5,
         minPathLength = 16,
-        mode = 'spline',
+        mode = 'spline',            // 'spline' | 'polygon' | 'centerline'（二值化后沿骨架输出单笔描边，见 centerline.js）
         binaryMode = false,  // lineart 使用二值模式
         blurSigma = 0.5,     // 高斯模糊 - 极小，最大程度保护角点
         morphology = true,   // 形态学预处理（只做闭运算）
-        contourMethod = 'marching'  // 轮廓追踪方法: 'marching' | 'vtracer' | 'hybrid'
+        contourMethod = 'marching', // 轮廓追踪方法: 'marching' | 'vtracer' | 'hybrid'
+        upscaleMethod = 'auto',     // 小图放大插值: 'auto' | 'nearest' | 'bilinear' | 'bicubic'
+        topology = 'layered',       // 'layered': 各颜色图层独立追踪 | 'shared': 相邻颜色共享边界，无缝无描边
+        hierarchy = 'cutout',       // 'cutout': 各图层互不重叠 | 'stacked': 下层填满孔洞并延伸到上层之下（仅 layered）
+        background = 'auto',        // 背景矩形: 'auto' | 'none' | CSS 颜色（auto：图像含透明像素时不加）
+        alpha = 'threshold',        // 半透明像素: 'threshold': alpha > 128 视为不透明，其余丢弃 | 'quantize': alpha 参与量化，输出 fill-opacity
+        colorSpace = 'rgb',         // 颜色距离所用的颜色空间: 'rgb' | 'lab' | 'oklab'（量化、颜色分配、调色板合并、亚像素边界）
+        palette: fixedPalette = null, // 固定调色板 [[r, g, b], ...] 或 '#rrggbb'：跳过聚类，像素直接映射到这些颜色
+        lockColors = null,          // 必须保留的颜色：作为 K-Means 的固定中心，其余颜色自由聚类
+        seed = 1,                   // 随机种子（K-Means++ 初始化），相同输入和选项得到逐字节相同的 SVG
+        quantizer = 'kmeans',       // 调色板提取算法: 'kmeans' | 'median-cut' | 'wu' | 'octree'
+        descreen = false,           // 去网纹：true 自动估计网点周期，数字为指定周期（像素）；扫描印刷品 / 抖动图像在量化前平滑
+        gradients = false,          // 检测平滑渐变：由多条色带拼成、符合线性 / 径向渐变的区域输出为一个渐变填充路径
+        variableWidth = false,      // 中心线模式：沿笔画采样距离变换，输出粗细变化的填充轮廓（书法 / 毛笔线稿）
+        primitives = false,         // 几何图元识别：符合圆 / 椭圆 / 矩形 / 线段的形状输出原生元素；true 或容差（工作尺寸像素）
+        arcs = false,               // 圆弧识别：轮廓中落在圆弧上的部分输出为弧线命令 A（技术图纸 / 图标字体）
+        signal = null,              // AbortSignal，用于取消
+        onProgress = null,          // 进度回调 ({ stage, layerIndex, layerCount, contourIndex, contourCount }) => void
+        logger = null,              // 日志输出：函数 | 对象 | 'console'，默认静默
+        logLevel,                   // 最低日志级别: 'debug' | 'info' | 'warn' | 'error' | 'silent'
+        pool = null                 // Worker 池（见 createPool），并行处理各颜色图层
     } = options;
 
+    throwIfAborted(signal);
+    const log = createLogger({ logger, logLevel });
+    const space = getColorSpace(colorSpace);
+    const userPalette = fixedPalette ? normalizeColorList(fixedPalette, 'palette') : null;
+    const lockedColors = lockColors ? normalizeColorList(lockColors, 'lockColors') : [];
+    // 颜色分配图中 255 表示透明，调色板最多 254 种颜色
+    if (userPalette && (userPalette.length === 0 || userPalette.length > 254)) {
+        throw new RangeError(`[Vecburner] palette 需要 1~254 种颜色，实际 ${userPalette.length}`);
+    }
+    if (typeof descreen === 'number' && descreen !== 0 && !(descreen >= 2)) {
+        throw new RangeError(`[Vecburner] descreen 周期至少为 2 像素，实际 ${descreen}`);
+    }
+    if (typeof primitives === 'number' && !(primitives > 0)) {
+        throw new RangeError(`[Vecburner] primitives 容差必须大于 0，实际 ${primitives}`);
+    }
+
+    // 进度检查点：检查取消信号、回调进度，并定期让出事件循环
+    const checkpoint = createCheckpoint({ signal, onProgress });
+    let layerCount = 0;
+    const progress = (stage, layerIndex = 0, contourIndex = 0, contourCount = 0) =>
+        ({ stage, layerIndex, layerCount, contourIndex, contourCount });
+
+    // 去网纹在原始尺寸上进行（放大会把网点一起放大）
+    if (descreen) {
+        imageData = descreenImage(imageData, {
+            period: typeof descreen === 'number' ? descreen : null,
+            logger: log
+        }).imageData;
+        await checkpoint();
+    }
+
     const originalWidth = imageData.width;
     const originalHeight = imageData.height;
     let { width, height } = imageData;
@@ -110,65 +189,97 @@ export async function vectorize(imageData, options = {}) {
         scale = Math.ceil(MIN_SIZE / maxDim);
         const newWidth = width * scale;
         const newHeight = height * scale;
-        
-        // 使用 OffscreenCanvas 或临时 Canvas 放大
-        const canvas = typeof OffscreenCanvas !== 'undefined' 
-            ? new OffscreenCanvas(newWidth, newHeight)
-            : document.createElement('canvas');
-        canvas.width = newWidth;
-        canvas.height = newHeight;
-        const ctx = canvas.getContext('2d');
-        
-        // 智能选择插值算法
-        // 像素画：关闭平滑，保持锐利边缘
-        // 照片、插画、Logo、线稿：开启平滑，避免引入阶梯锯齿
-        const isPixelArtPreset = (options && options.preset === 'pixel');
-        const isBinary = binaryMode || (options && options.preset === 'lineart');
-        
+
         // 仅在明确是像素画预设时才视为像素画模式
         // 注意：Logo (低颜色) 和 Lineart (二值) 需要曲线拟合，不能视为像素画
-        const isPixelArt = isPixelArtPreset;
-        
-        // 放大时的平滑策略：
-        // 像素画：必须关闭平滑
-        // 二值图/Logo/照片：开启平滑，利用插值获得更平滑的边缘
-        ctx.imageSmoothingEnabled = !isPixelArt;
-        
+        const isPixelArt = (options && options.preset === 'pixel');
+
+        // 智能选择插值算法（纯 JS 实现，不依赖 Canvas，Node/Deno/Worker 均可用）
+        // 像素画：最近邻，保持锐利边缘
+        // 二值图/Logo/照片：双线性/双三次，利用插值获得更平滑的边缘
+        const method = upscaleMethod === 'auto'
+            ? (isPixelArt ? 'nearest' : 'bilinear')
+            : upscaleMethod;
+
         // 如果是像素画，强制禁用高斯模糊，保留锐利边缘
         effectiveBlurSigma = isPixelArt ? 0 : blurSigma;
-        
-        // 先把 imageData 画到临时 canvas(width, height)
-        const tempCanvas = typeof OffscreenCanvas !== 'undefined'
-            ? new OffscreenCanvas(width, height)
-            : document.createElement('canvas');
-        tempCanvas.width = width;
-        tempCanvas.height = height;
-        tempCanvas.getContext('2d').putImageData(imageData, 0, 0);
-        
-        // 放大绘制
-        ctx.drawImage(tempCanvas, 0, 0, newWidth, newHeight);
-        workingData = ctx.getImageData(0, 0, newWidth, newHeight);
-        
-        console.log(`[Vecburner] 小图放大: ${width}x${height} → ${newWidth}x${newHeight} (${scale}x), 平滑: ${!isPixelArt}`);
+
+        workingData = resampleImageData(imageData, newWidth, newHeight, method);
+
+        log.info('upscale', `小图放大: ${width}x${height} → ${newWidth}x${newHeight} (${scale}x), 插值: ${method}`,
+            { width, height, newWidth, newHeight, scale, method });
         width = newWidth;
         height = newHeight;
     }
 
-    console.log(`[Vecburner] 矢量化: ${numColors}色, tol=${pathTolerance}, smooth=${smoothness}, binary=${binaryMode}, blur=${blurSigma}`);
+    await checkpoint(progress('quantize'));
+
+    log.info('vectorize.start', `矢量化: ${numColors}色, tol=${pathTolerance}, smooth=${smoothness}, binary=${binaryMode}, blur=${blurSigma}`,
+        { numColors, pathTolerance, smoothness, binaryMode, blurSigma, width, height });
 
     // 1. 颜色量化 (lineart 使用亮度二值化)
     let palette;
     let otsuThreshold = null;
+    let autoColors = null;
+    // 固定调色板时总是按最近颜色分配，不走亮度二值化；中心线模式总是二值化
+    const centerline = mode === 'centerline';
+    const useLuminance = centerline || (!userPalette && (binaryMode || numColors <= 2));
+    if (variableWidth && !centerline) {
+        log.warn('variableWidth.ignored', `variableWidth 只用于 mode: 'centerline'，当前 mode: '${mode}'`, { mode });
+    }
+    if (centerline && userPalette) {
+        log.warn('palette.ignored', `mode: 'centerline' 使用亮度二值化，忽略 palette`, { mode });
+    }
 
-    if (binaryMode || numColors <= 2) {
+    if (useLuminance) {
         // 二值模式：计算 Otsu 阈值，只提取前景色
         otsuThreshold = computeOtsuThreshold(workingData);
-        console.log(`[Vecburner] Otsu 阈值: ${otsuThreshold}`);
+        log.info('otsu.threshold', `Otsu 阈值: ${otsuThreshold}`, { threshold: otsuThreshold });
         // 只生成前景（暗色）层，背景不需要矢量化
         palette = [[0, 0, 0]];
+    } else if (userPalette) {
+        // 固定调色板：不聚类、不合并，也不把最亮的颜色修正为纯白
+        palette = userPalette.sort(comparePaletteOrder);
+        log.info('palette.fixed', `使用固定调色板: ${palette.length} 色`, { colors: palette.map(c => c.slice()) });
     } else {
-        // 使用 K-Means++ 聚类生成调色板（比 Median Cut 更准确）
-        palette = kMeansQuantize(workingData, numColors);
+        // 默认使用 K-Means++ 聚类生成调色板（比 Median Cut 更准确）
+        // 只有 K-Means 支持 alpha 量化和锁定色，其余算法遇到时回退
+        // Wu 和八叉树按 RGB 直方图 / 位划分聚类，非 RGB 色彩空间同样回退
+        let method = quantizer;
+        if (method !== 'kmeans' && (alpha === 'quantize' || lockedColors.length > 0)) {
+            log.warn('quantizer.fallback', `quantizer: '${quantizer}' 不支持 alpha 量化和 lockColors，改用 K-Means`, { quantizer });
+            method = 'kmeans';
+        } else if ((method === 'wu' || method === 'octree') && colorSpace !== 'rgb') {
+            log.warn('quantizer.fallback', `quantizer: '${quantizer}' 只在 RGB 中聚类，colorSpace: '${colorSpace}' 改用 K-Means`, { quantizer, colorSpace });
+            method = 'kmeans';
+        }
+        const quantize = (k) => {
+            switch (method) {
+                case 'kmeans':
+                    return kMeansQuantize(workingData, k, 10, log, { alpha: alpha === 'quantize', colorSpace, lockedColors, seed });
+                case 'median-cut':
+                    return medianCutQuantize(workingData, k, { colorSpace });
+                case 'wu':
+                    return wuQuantize(workingData, k);
+                case 'octree':
+                    return octreeQuantize(workingData, k);
+                default:
+                    throw new Error(`[Vecburner] 未知量化算法: ${quantizer}`);
+            }
+        };
+
+        if (numColors === 'auto') {
+            // 自动颜色数：在多个 k 上量化，取误差曲线的拐点
+            const selection = await selectColorCount(workingData, quantize, { alpha: alpha === 'quantize', colorSpace, logger: log, checkpoint });
+            palette = selection.palette;
+            autoColors = { numColors: selection.numColors, curve: selection.curve };
+        } else {
+            palette = quantize(numColors);
+        }
+        await checkpoint();
+        // 锁定色在合并中保持原值：吸收相近的颜色，彼此之间不合并
+        const lockedKeys = new Set(palette.filter(c => lockedColors.some(l => l.every((v, k) => v === c[k]))).map(c => c.join(',')));
+        const isLocked = (c) => lockedKeys.has(c.join(','));
         
         // 智能合并相近颜色 (Post-Quantization Merge)
         // 对于 Logo/插画模式，合并距离过近的颜色，减少无意义的过渡层
@@ -203,14 +314,15 @@ export async function vectorize(imageData, options = {}) {
                 // 解决“提取背景比原始深”的问题
                 const lastIdx = currentPalette.length - 1;
                 const brightest = currentPalette[lastIdx];
-                if (brightest[0] > 230 && brightest[1] > 230 && brightest[2] > 230) {
-                    currentPalette[lastIdx] = [255, 255, 255];
+                if (!isLocked(brightest) && brightest[0] > 230 && brightest[1] > 230 && brightest[2] > 230) {
+                    currentPalette[lastIdx] = [255, 255, 255, ...brightest.slice(3)];
                 }
                 
                 for (let i = 0; i < currentPalette.length; i++) {
                     if (merged.has(i)) continue;
                     
                     let baseColor = currentPalette[i];
+                    let baseLocked = isLocked(baseColor);
                     let count = 1;
                     
                     // 判断基准色是否为中性色（R,G,B 差异小）
@@ -222,15 +334,18 @@ export async function vectorize(imageData, options = {}) {
                     // 修改策略：一次遍历合并所有近邻
                     for (let j = i + 1; j < currentPalette.length; j++) {
                         if (merged.has(j)) continue;
+                        const targetLocked = isLocked(currentPalette[j]);
+                        if (baseLocked && targetLocked) continue;
                         
                         const targetLum = (currentPalette[j][0] + currentPalette[j][1] + currentPalette[j][2]) / 3;
                         
                         // 特殊规则：极亮颜色强力合并 (去除背景杂色/边缘光晕)
                         // 如果两个颜色都很亮 (>210)，且差异较小，强制合并
                         if (baseLum > 210 && targetLum > 210) {
-                             if (colorDistSq(baseColor, currentPalette[j]) < 2500) { // 50^2
-                                // 合并到更亮的一方（通常是背景）
-                                baseColor = targetLum > baseLum ? currentPalette[j] : baseColor;
+                             if (space.distSq(baseColor, currentPalette[j]) < 2500) { // 50^2
+                                // 合并到更亮的一方（通常是背景），有锁定色时合并到锁定色
+                                if (targetLocked || (!baseLocked && targetLum > baseLum)) baseColor = currentPalette[j];
+                                baseLocked = baseLocked || targetLocked;
                                 count++; // 这里不再平均，直接吞噬
                                 merged.add(j);
                                 changed = true;
@@ -246,12 +361,17 @@ export async function vectorize(imageData, options = {}) {
                             ? mergeThreshold * neutralThresholdMult 
                             : mergeThreshold;
                         
-                        if (colorDistSq(baseColor, currentPalette[j]) < currentThreshold) {
-                            baseColor = [
-                                (baseColor[0] * count + currentPalette[j][0]) / (count + 1),
-                                (baseColor[1] * count + currentPalette[j][1]) / (count + 1),
-                                (baseColor[2] * count + currentPalette[j][2]) / (count + 1)
-                            ];
+                        if (space.distSq(baseColor, currentPalette[j]) < currentThreshold) {
+                            // 按分量平均；alpha 取较大值，软边缘的 alpha 过渡并入主体时不降低主体的不透明度
+                            // 有锁定色时直接取锁定色
+                            if (targetLocked) {
+                                baseColor = currentPalette[j];
+                                baseLocked = true;
+                            } else if (!baseLocked) {
+                                baseColor = baseColor.map((v, k) => k === 3
+                                    ? Math.max(v, currentPalette[j][k])
+                                    : (v * count + currentPalette[j][k]) / (count + 1));
+                            }
                             count++;
                             merged.add(j);
                             changed = true;
@@ -263,30 +383,58 @@ export async function vectorize(imageData, options = {}) {
             }
             
             if (currentPalette.length < palette.length) {
-                console.log(`[Vecburner] 智能合并颜色 (${options.preset}): ${palette.length} → ${currentPalette.length}`);
-                palette = currentPalette;
+                log.info('palette.merge', `智能合并颜色 (${options.preset}): ${palette.length} → ${currentPalette.length}`,
+                    { preset: options.preset, before: palette.length, after: currentPalette.length });
+                // 合并时只按亮度排序，恢复半透明色排在最后的顺序
+                palette = currentPalette.sort(comparePaletteOrder);
             }
         }
     }
-    console.log(`[Vecburner] 提取 ${palette.length} 种主色`);
+    log.info('palette.extracted', `提取 ${palette.length} 种主色`, { colors: palette.map(c => c.slice()) });
+    layerCount = palette.length;
+    // 图层追踪使用的颜色数（'auto' 时为选中的 k）
+    const resolvedNumColors = numColors !== 'auto' ? numColors
+        : autoColors ? autoColors.numColors
+        : useLuminance ? 2 : palette.length;
+
+    await checkpoint();
 
     // 2. 为每个像素分配最近的调色板颜色
     const pixelColorMap = new Uint8Array(width * height);
     const data = workingData.data;
-    const useLuminance = binaryMode || numColors <= 2;
     
     // 这里的 isPixelArt 需要重新定义，因为上面是在 if 块里的
     const isPixelArt = (options && options.preset === 'pixel');
 
     if (!useLuminance) {
+        // quantize：任何 alpha > 0 的像素都参与分配，透明作为一个虚拟的调色板颜色（只比较 alpha）
+        const quantizeAlpha = alpha === 'quantize';
+        // 非 RGB 空间：调色板预先转换，像素颜色按值缓存转换结果
+        const paletteInSpace = palette.map(space.fromRgb);
+        const spaceCache = space.name === 'rgb' ? null : new Map();
         for (let i = 0; i < width * height; i++) {
+            // 大图逐块让出事件循环
+            if (i % (width * 64) === 0) await checkpoint();
             const idx = i * 4;
-            if (data[idx + 3] > 128) {
-                const pixelColor = [data[idx], data[idx + 1], data[idx + 2]];
-                let minDist = Infinity;
-                let nearestIdx = 0;
+            const a = data[idx + 3];
+            if (quantizeAlpha ? a > 0 : a > 128) {
+                let pixelColor = quantizeAlpha
+                    ? [data[idx], data[idx + 1], data[idx + 2], a]
+                    : [data[idx], data[idx + 1], data[idx + 2]];
+                if (spaceCache) {
+                    const key = (quantizeAlpha ? a * 0x1000000 : 0) + ((data[idx] << 16) | (data[idx + 1] << 8) | data[idx + 2]);
+                    let converted = spaceCache.get(key);
+                    if (!converted) {
+                        converted = space.fromRgb(pixelColor);
+                        if (spaceCache.size >= 1 << 18) spaceCache.clear(); // 照片颜色极多时限制缓存大小
+                        spaceCache.set(key, converted);
+                    }
+                    pixelColor = converted;
+                }
+                let minDist = quantizeAlpha ? a * a : Infinity;
+                let nearestIdx = quantizeAlpha ? 255 : 0;
                 for (let j = 0; j < palette.length; j++) {
-                    const dist = colorDistSq(pixelColor, palette[j]);
+                    const dist = colorDistSq(pixelColor, paletteInSpace[j]);
                     if (dist < minDist) {
                         minDist = dist;
                         nearestIdx = j;
@@ -297,351 +445,151 @@ export async function vectorize(imageData, options = {}) {
                 pixelColorMap[i] = 255; // 透明像素标记
             }
         }
+        await checkpoint();
         
         // 去噪：消除孤立像素，防止产生微小空洞
         // 像素画模式下禁用去噪，因为单个像素可能是重要细节（如眼睛）
         if (!isPixelArt) {
             // 迭代 2 次以获得更好的平滑效果
             denoisePixelMap(pixelColorMap, width, height, 2);
+            await checkpoint();
         }
     }
 
+    // 渐变检测：每个渐变区域追加一个调色板颜色（区域平均色），区域内像素改为该索引，
+    // 追踪时作为普通图层，填充替换为渐变（见 gradient.js）
+    const flatColorCount = palette.length;
+    let gradientFills = null;
+    if (gradients && !useLuminance) {
+        const found = detectGradients(pixelColorMap, workingData, palette, {
+            maxGradients: 254 - palette.length,
+            logger: log
+        });
+        if (found.length > 0) {
+            gradientFills = palette.map(() => null);
+            found.forEach((region, i) => {
+                const colorIdx = palette.length;
+                palette.push(region.color);
+                gradientFills.push({ id: `vb-gradient-${i}`, ...region.gradient });
+                for (const p of region.pixels) pixelColorMap[p] = colorIdx;
+            });
+            layerCount = palette.length;
+        }
+        await checkpoint();
+    }
+
     const layers = [];
 
     // 找出背景色（最亮的颜色）的索引，背景色不需要膨胀
-    const backgroundColorIdx = palette.length - 1; // palette 按亮度排序，最后一个最亮
-
-    // 3. 每种颜色生成一个图层（简单高效）
-    for (let colorIdx = 0; colorIdx < palette.length; colorIdx++) {
-        const color = palette[colorIdx];
-
-        // 轻度膨胀确保层重叠
-        // 膨胀量：改为 0，完全不膨胀，避免内容变粗
-        // 缝隙问题由 Marching Squares 亚像素追踪解决
-        const dilatePixels = 0;
-
-        // 使用最近颜色分配（非二值模式）或容差匹配（二值模式）
-        // **VM(基于公开资料) 风格**：传入原始图像和调色板，利用混色信息做亚像素定位
-        const bitmap = useLuminance
-            ? createBinaryBitmap(workingData, color, colorTolerance, useLuminance, otsuThreshold, effectiveBlurSigma, morphology)
-            : createBinaryBitmapFromMap(pixelColorMap, colorIdx, width, height, effectiveBlurSigma, dilatePixels, workingData, palette);
-        
-        // 二值模式（lineart）：强制使用黑色作为前景色
-        // 不再根据反转状态计算实际颜色，始终输出标准的白底黑线
-        let actualColor = color;
-        if (useLuminance) {
-            // 强制黑色前景，无论原图是什么颜色
-            actualColor = [0, 0, 0];
-        }
+    const backgroundColorIdx = flatColorCount - 1; // palette 按亮度排序，最后一个最亮（渐变颜色追加在其后）
+
+    // 3. 每种颜色生成一个图层（简单高效，见 layer-tracer.js）
+    // 图层上下文：各图层共享的只读数据，可结构化克隆后发给 Worker
+    const layerContext = {
+        imageData: workingData,
+        pixelColorMap,
+        palette,
+        useLuminance,
+        otsuThreshold,
+        blurSigma: effectiveBlurSigma,
+        morphology,
+        colorTolerance,
+        minPathLength,
+        contourMethod,
+        isPixelArt,
+        numColors: resolvedNumColors,
+        preset: options.preset,
+        smoothness,
+        pathTolerance,
+        hierarchy,
+        gradients: gradientFills,
+        variableWidth,
+        arcs,
+        colorSpace: space.name
+    };
 
-        const colorStr = `rgb(${actualColor[0]},${actualColor[1]},${actualColor[2]})`;
-        
-        // 统计前景像素
-        let fgCount = 0;
-        for (let i = 0; i < bitmap.data.length; i++) {
-            if (bitmap.data[i] === 1) fgCount++;
+    if (centerline) {
+        // 中心线：骨架描边，不按颜色图层追踪
+        const layer = await traceCenterlineLayer(layerContext, { checkpoint, logger: log });
+        if (layer) layers.push(layer);
+    } else if (topology === 'shared') {
+        // 共享边界：整张颜色分配图一次追踪，不按图层拆分，也不使用 Worker 池
+        // 各区域本身就是无缝拼接的，不存在层叠关系
+        if (arcs) {
+            log.warn('arcs.ignored', `topology: 'shared' 的边界按段拟合，忽略 arcs`, { topology });
         }
-        
-        // 像素画允许更小的路径
-        if (fgCount < (isPixelArt ? 1 : minPathLength)) continue;
-
-        // 追踪轮廓 - 支持不同算法
-        let contours;
-        if (contourMethod === 'vtracer') {
-            // VTracer 风格：4方向追踪，输出点少，无锯齿
-            contours = traceContoursVTracer(bitmap.data, width, height);
-        } else if (contourMethod === 'hybrid') {
-            // 混合模式：VTracer + 亚像素精细化
-            contours = traceContoursHybrid(bitmap.data, width, height, bitmap.grayscale);
-        } else {
-            // 默认：Marching Squares，亚像素精度高
-            contours = marchingSquaresContour(bitmap, null, null, bitmap.grayscale);
+        if (hierarchy === 'stacked') {
+            log.warn('hierarchy.ignored', `topology: 'shared' 总是输出互不重叠的区域，忽略 hierarchy: 'stacked'`, { topology, hierarchy });
         }
-        
-        // 检测碎片图层（边缘抗锯齿色）：很多小轮廓，没有大轮廓
-        // 对于高颜色数（photo模式），禁用碎片过滤，因为颜色分布分散是正常的
-        const imageArea = width * height;
-        
-        // Logo 模式也启用碎片过滤，防止出现全是噪点的图层
-        const shouldCheckFragmented = (!isPixelArt && numColors <= 8) || (options && options.preset === 'logo');
-        
-        if (shouldCheckFragmented) {
-            // 只在极低颜色数模式下启用碎片过滤（logo/lineart）
-            const contourAreas = contours.map(c => Math.abs(c.area));
-            const maxContourArea = Math.max(...contourAreas, 0);
-            const totalContourArea = contourAreas.reduce((a, b) => a + b, 0);
-            
-            // 碎片图层检测：总面积占图像 < 0.5% 且没有大轮廓（最大 < 300）且轮廓数量 > 10
-            // 更严格的条件，避免误删有意义的小图形
-            const isFragmented = 
-                totalContourArea < imageArea * 0.005 && 
-                maxContourArea < 300 && 
-                contours.length > 10;
-            
-            if (isFragmented) {
-                console.log(`[Vecburner] 跳过碎片图层: ${contours.length} 个轮廓, 最大 ${maxContourArea.toFixed(0)}, 总 ${totalContourArea.toFixed(0)}`);
-                continue;
-            }
-        }
-        
-        const pathParts = [];
-
-        // 动态面积阈值：基于图像尺寸，过滤孤立小噪点
-        // 最小噪点面积 = 图像面积的 0.01%，但至少 4 像素，最多 50 像素
-        const totalArea = width * height;
-        
-        let minNoiseArea;
-        if (isPixelArt) {
-            minNoiseArea = 1;
-        } else if (options && options.preset === 'logo') {
-            // Logo 模式：更激进地过滤噪点 (0.1% 或至少 25px)，去除“奇怪的点”
-            minNoiseArea = Math.max(25, Math.min(200, totalArea * 0.001));
-        } else {
-            minNoiseArea = Math.max(4, Math.min(50, totalArea * 0.0001));
+        layers.push(...await traceSharedLayers(layerContext, { checkpoint, logger: log }));
+    } else if (pool) {
+        // Worker 池并行处理，结果按调色板顺序合并
+        const results = await pool.traceLayers(layerContext, { signal, onProgress, logger: log });
+        for (const layer of results) {
+            if (layer) layers.push(layer);
         }
-        
-        // 中等轮廓阈值（用于决定是否曲线拟合）
-        const mediumContourArea = Math.max(30, minNoiseArea * 3);
-
-        for (const contour of contours) {
-            if (contour.points.length < 3) continue;
-            
-            const contourArea = Math.abs(contour.area);
-            const isHole = contour.type === 'inner' || contour.area < 0;
-            
-            // 过滤噪点逻辑优化：
-            if (isPixelArt) {
-                // 像素画：保留几乎所有细节，只过滤 0 面积
-                if (contourArea < 0.5) continue;
-            } else {
-                // 非像素画（Logo, Lineart, Photo）：
-                // 1. 过滤微小的外轮廓噪点 (杂点)
-                if (!isHole && contourArea < minNoiseArea) continue;
-                
-                // 2. 过滤极微小的孔洞 (内部噪点)，但要比外轮廓更保守以防堵死字母
-                // 阈值设为 minNoiseArea 的一半，且至少 2 像素
-                const minHoleArea = Math.max(2, minNoiseArea * 0.5);
-                if (isHole && contourArea < minHoleArea) continue;
-            }
-            
-            // 像素画特殊处理：保持像素边缘，不做平滑和曲线拟合
-            if (isPixelArt) {
-                // 使用 RDP 算法简化路径
-                // 阈值 0.75: 能有效抹平 1px 的微小抖动/锯齿，将其拉直为斜线或直线
-                // 既保留了像素画的硬朗风格，又消除了过多的细碎阶梯（抖动）
-                const simplifiedPts = simplifyPathRDP(contour.points, 0.75);
-                const pathD = generatePolygonPath(simplifiedPts);
-                if (pathD) pathParts.push(pathD);
-                continue;
-            }
-            
-            // 中等轮廓直接用多边形（不值得曲线拟合）
-            if (contourArea < mediumContourArea || contour.points.length < 12) {
-                const pathD = generatePolygonPath(contour.points);
-                if (pathD) pathParts.push(pathD);
-                continue;
-            }
-
-            // 动态处理策略
-            let pts = contour.points;
-            const perimeter = pts.length;
-            const area = Math.abs(contour.area);
-            
-            // 小轮廓：先放大坐标处理，再缩回（提高精度）
-            const isSmall = area < 500 || perimeter < 40;
-            const upscale = isSmall ? 3 : 1;
-            
-            if (upscale > 1) {
-                pts = pts.map(p => ({ x: p.x * upscale, y: p.y * upscale }));
-            }
-            
-            // RDP 容差
-            const dynamicEpsilon = (perimeter < 50 ? 0.4 : 
-                                    perimeter < 100 ? 0.5 : 0.6) * upscale;
-            
-            // 1. VTracer 风格简化（径向预处理 + RDP）
-            pts = reduceVTracer(pts, dynamicEpsilon);
-            
-            // 2. 检测角点
-            const cornerIndices = new Set();
-            for (let i = 0; i < pts.length; i++) {
-                const prev = pts[(i - 1 + pts.length) % pts.length];
-                const curr = pts[i];
-                const next = pts[(i + 1) % pts.length];
-                
-                const v1x = prev.x - curr.x, v1y = prev.y - curr.y;
-                const v2x = next.x - curr.x, v2y = next.y - curr.y;
-                const dot = v1x * v2x + v1y * v2y;
-                const len1 = Math.sqrt(v1x * v1x + v1y * v1y);
-                const len2 = Math.sqrt(v2x * v2x + v2y * v2y);
-                
-                if (len1 > 0 && len2 > 0) {
-                    const cos = dot / (len1 * len2);
-                    const angle = Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
-                    // 放宽角点阈值 (120 -> 140)，更积极地保留角点，防止直角/钝角被平滑掉
-                    if (angle < 140) cornerIndices.add(i);
-                }
-            }
-            
-            // 3. Chaikin 平滑
-            // 使用预设的 smoothness 控制迭代次数 (0-3)
-            // 像素画模式下 smoothness 通常为 0，即不平滑
-            const smoothIter = Math.max(0, Math.round(smoothness));
-            if (smoothIter > 0) {
-                pts = chaikinSmoothPreserveCorners(pts, smoothIter, cornerIndices);
-            }
-            
-            // 缩回原始尺寸
-            if (upscale > 1) {
-                pts = pts.map(p => ({ x: p.x / upscale, y: p.y / upscale }));
-            }
-            
-            if (pts.length < 3) continue;
-
-            // 4. 曲线拟合 - 优先使用 fit-curve（节点更少更优化）
-            let pathD;
-            const ptsArray = pts.map(p => [p.x, p.y]);
-            
-            // 检查 fitCurve 是否可用（支持主线程 window 和 Worker self）
-            const globalObj = typeof window !== 'undefined' ? window : (typeof self !== 'undefined' ? self : null);
-            const fitCurveFn = globalObj && typeof globalObj.fitCurve === 'function' ? globalObj.fitCurve : null;
-            
-            if (fitCurveFn) {
-                try {
-                    // fit-curve - 智能容差
-                    // 容差越大 = 曲线越平滑（抹平锯齿）
-                    // 容差越小 = 越贴合原始点（保留锯齿）
-                    const baseError = Math.max(0.8, pathTolerance);
-                    const sizeBonus = perimeter > 100 ? Math.min(0.5, (perimeter - 100) / 500) : 0;
-                    const fitError = baseError + sizeBonus;  // 范围约 0.8 ~ 1.5
-                    
-                    let curves = fitCurveFn(ptsArray, fitError);
-                    
-                    if (curves && curves.length > 0) {
-                        // 应用 retractHandles 防止过冲
-                        // 注意：孔洞（内轮廓）不回缩，避免孔洞缩小
-                        if (!isHole) {
-                            curves = curves.map(c => retractHandles(c, {
-                                maxRatio: 0.6,   // 略高于半圆理论值 0.552，获得更平滑的弧线
-                                minRatio: 0.7,   // 小曲线更宽松
-                                smallThreshold: 25
-                            }));
-                        }
-                        
-                        pathD = `M${curves[0][0][0].toFixed(2)},${curves[0][0][1].toFixed(2)}`;
-                        for (const c of curves) {
-                            pathD += `C${c[1][0].toFixed(2)},${c[1][1].toFixed(2)},${c[2][0].toFixed(2)},${c[2][1].toFixed(2)},${c[3][0].toFixed(2)},${c[3][1].toFixed(2)}`;
-                        }
-                        pathD += 'Z';
-                    }
-                } catch (e) {
-                    console.warn('[Vecburner] fit-curve 失败，回退到 Catmull-Rom');
-                }
-            }
-            
-            // 回退：Catmull-Rom
-            if (!pathD) {
-                pathD = fitBezierCatmullRom(pts, 0.2);
-            }
-
-            if (pathD) pathParts.push(pathD);
-        }
-        // 5. 缝隙修补 (Gap Fixing)
-        // 平滑算法(Chaikin/CurveFit)会使路径略微向内收缩，导致色块间出现细微缝隙(Conflation Artifacts)
-        // 解决方案：添加同色描边，利用描边向外扩张填补缝隙
-        // 像素画(Pixel Art)：通常不对齐会导致形状改变，且网格本身是严丝合缝的，故不加粗
-        // 其他模式(Photo/Logo)：添加 1px 描边，使用 round join 获得平滑连接
-        const useStroke = !isPixelArt;
-        const strokeColor = useStroke ? colorStr : 'none';
-        // 放大比例较大时，描边宽度相对变小，这里固定为 1px (工作空间坐标系)
-        // 如果是在小图上处理，1px 可能会太粗，但由于我们在开头做了放大处理 (scale)，这里的 1px 是相对安全的
-        const strokeWidth = useStroke ? 1 : 0;
-        const strokeLineJoin = useStroke ? 'round' : 'miter';
-
-        if (pathParts.length > 0) {
-            const fillRule = useLuminance ? 'evenodd' : 'nonzero';
-            layers.push({
-                color: colorStr,
-                colorRgb: actualColor,
-                paths: [{
-                    d: pathParts.join(' '),
-                    fill: colorStr,
-                    fillRule,
-                    stroke: strokeColor,
-                    strokeWidth: strokeWidth,
-                    strokeLineJoin: strokeLineJoin
-                }]
-            });
+    } else {
+        for (let colorIdx = 0; colorIdx < palette.length; colorIdx++) {
+            const layer = await traceLayer(layerContext, colorIdx, { checkpoint, logger: log });
+            if (layer) layers.push(layer);
         }
     }
     
-    // 全局后处理：基于所有图层中最大轮廓面积过滤小碎片图层
-    // 找到全局最大轮廓面积
+    await checkpoint(progress('svg', layerCount));
+
+    // 全局后处理：基于所有图层中最大形状面积过滤小碎片图层
+    // 面积为多边形真实面积（外轮廓减孔洞），不再用边界框近似
     let globalMaxArea = 0;
     for (const layer of layers) {
-        for (const path of layer.paths) {
-            // 从 path.d 估算面积（用边界框近似）
-            const matches = path.d.match(/[-+]?\d*\.?\d+/g);
-            if (matches && matches.length >= 4) {
-                const nums = matches.map(Number);
-                let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-                for (let i = 0; i < nums.length - 1; i += 2) {
-                    minX = Math.min(minX, nums[i]);
-                    maxX = Math.max(maxX, nums[i]);
-                    minY = Math.min(minY, nums[i + 1]);
-                    maxY = Math.max(maxY, nums[i + 1]);
-                }
-                const area = (maxX - minX) * (maxY - minY);
-                if (area > globalMaxArea) globalMaxArea = area;
-            }
+        for (const shape of layer.shapes) {
+            if (shape.area > globalMaxArea) globalMaxArea = shape.area;
         }
     }
     
     // 过滤掉面积远小于全局最大（1:500 比例）的图层，更宽松避免误删
     // 增加上限：最大阈值不超过 100 像素，防止大图中误删有效的小图层
     // 像素画模式下完全禁用过滤，保留所有像素
-    const minLayerArea = isPixelArt ? 0 : Math.max(4, Math.min(100, globalMaxArea / 500));
-    const filteredLayers = layers.filter(layer => {
-        // 计算该图层的总面积
-        let layerArea = 0;
-        for (const path of layer.paths) {
-            const matches = path.d.match(/[-+]?\d*\.?\d+/g);
-            if (matches && matches.length >= 4) {
-                const nums = matches.map(Number);
-                let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-                for (let i = 0; i < nums.length - 1; i += 2) {
-                    minX = Math.min(minX, nums[i]);
-                    maxX = Math.max(maxX, nums[i]);
-                    minY = Math.min(minY, nums[i + 1]);
-                    maxY = Math.max(maxY, nums[i + 1]);
-                }
-                layerArea += (maxX - minX) * (maxY - minY);
-            }
-        }
-        return layerArea >= minLayerArea;
-    });
-    
-    console.log(`[Vecburner] 生成 ${layers.length} 个颜色图层，过滤后 ${filteredLayers.length} 个`);
+    // 共享边界模式下小区域已并入相邻颜色，删除图层会留下空洞，同样不过滤
+    const minLayerArea = (isPixelArt || topology === 'shared') ? 0 : Math.max(4, Math.min(100, globalMaxArea / 500));
+    const filteredLayers = layers.filter(layer => layer.area >= minLayerArea);
+    
+    log.info('layers.filtered', `生成 ${layers.length} 个颜色图层，过滤后 ${filteredLayers.length} 个`,
+        { before: layers.length, after: filteredLayers.length, minLayerArea });
+
+    // 几何图元识别：共享边界的区域彼此拼接，单独换成图元会在相邻区域间留下缝隙
+    if (primitives && topology === 'shared' && !centerline) {
+        log.warn('primitives.ignored', `topology: 'shared' 的区域共享边界，忽略 primitives`, { topology });
+    } else if (primitives) {
+        recognizePrimitives(filteredLayers, {
+            tolerance: typeof primitives === 'number' ? primitives : Math.max(1.5, pathTolerance),
+            logger: log
+        });
+    }
 
     // 4. 生成 SVG（反转顺序：亮色在底，暗色在上）
     // layers 按亮度从暗到亮排序，SVG 需要先绘制亮色（底层），后绘制暗色（顶层）
     const reversedLayers = filteredLayers.slice().reverse();
     const allPaths = reversedLayers.flatMap(l => l.paths);
     
-    // 添加背景矩形填充孔洞（用最亮的颜色）
-    const bgColor = palette.length > 0 
-        ? `rgb(${palette[palette.length - 1][0]},${palette[palette.length - 1][1]},${palette[palette.length - 1][2]})`
-        : '#ffffff';
-    const bgRect = `<rect x="0" y="0" width="${width}" height="${height}" fill="${bgColor}"/>`;
+    // 背景矩形（填充图层间的缝隙）
+    // auto：含透明像素时不加背景，保留透明度（最亮的颜色已作为普通图层输出）；
+    // 二值模式只追踪前景，背景为白色；其余用最亮的颜色
+    let autoBackground = null;
+    if (!hasTransparency(workingData)) {
+        const brightest = palette[flatColorCount - 1];
+        autoBackground = useLuminance || !brightest
+            ? '#ffffff'
+            : `rgb(${brightest[0]},${brightest[1]},${brightest[2]})`;
+    }
+    const bgColor = resolveBackground(background, autoBackground);
     
-    const svgContent = allPaths.map(p => {
-        const fillRule = p.fillRule ? ` fill-rule="${p.fillRule}"` : '';
-        return `<path d="${p.d}" fill="${p.fill}"${fillRule} stroke="${p.stroke}" stroke-width="${p.strokeWidth}"/>`;
-    }).join('\n');
+    const svgContent = allPaths.map(pathElement).join('\n');
     
     // SVG 使用原始尺寸，viewBox 使用工作尺寸（放大后），浏览器会自动缩放
-    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${originalWidth}" height="${originalHeight}" viewBox="0 0 ${width} ${height}">\n${bgRect}\n${svgContent}\n</svg>`;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${originalWidth}" height="${originalHeight}" viewBox="0 0 ${width} ${height}">\n${gradientDefs(filteredLayers)}${backgroundRect(bgColor, width, height)}${svgContent}\n</svg>`;
     
+    if (onProgress) onProgress(progress('done', layerCount));
+
     return {
         svg,
         width: originalWidth,
@@ -651,35 +599,73 @@ export async function vectorize(imageData, options = {}) {
         viewBoxHeight: height,
         layers: filteredLayers,
         paths: allPaths,
-        colors: palette.map(c => `rgb(${c[0]},${c[1]},${c[2]})`),
+        colors: palette.map(c => colorOpacity(c) < 1
+            ? `rgba(${c[0]},${c[1]},${c[2]},${colorOpacity(c)})`
+            : `rgb(${c[0]},${c[1]},${c[2]})`),
+        background: bgColor,
+        // numColors: 'auto' 时为 { numColors, curve }，供调参界面展示误差曲线
+        autoColors,
         engine: 'vecburner'
     };
 }
 
 /**
  * 使用预设进行矢量化
+ * @param {ImageData} imageData - 输入图像
+ * @param {string} presetName - 预设名称
+ * @param {Object} options - 额外选项（如 signal、onProgress），覆盖预设
  */
-export async function vectorizeWithPreset(imageData, presetName = 'auto') {
+export async function vectorizeWithPreset(imageData, presetName = 'auto', options = {}) {
+    const log = createLogger(options);
+
     // smart/blocks 模式 - 手动选择（实验性功能）
     if (presetName === 'smart') {
-        console.log(`[Vecburner] 智能分块模式 (实验性)`);
-        return vectorizeSmart(imageData);
+        log.info('preset.selected', `智能分块模式 (实验性)`, { preset: presetName });
+        return vectorizeSmart(imageData, options);
     }
     if (presetName === 'blocks') {
-        console.log(`[Vecburner] 强制分块模式 (实验性)`);
-        return vectorizeByBlocks(imageData);
+        log.info('preset.selected', `强制分块模式 (实验性)`, { preset: presetName });
+        return vectorizeByBlocks(imageData, options);
     }
     
     // 自动模式：分析颜色选择最佳预设（全图处理）
     if (presetName === 'auto') {
-        const analysis = analyzeImageColors(imageData);
+        const analysis = analyzeImageColors(imageData, 25, log, { colorSpace: options.colorSpace });
         const basePreset = PRESETS[analysis.recommendedPreset] || PRESETS.logo;
-        console.log(`[Vecburner] 自动模式: ${analysis.recommendedPreset}, ${basePreset.numColors}色`);
-        return vectorize(imageData, basePreset);
+        log.info('preset.selected', `自动模式: ${analysis.recommendedPreset}, ${basePreset.numColors}色`,
+            { preset: analysis.recommendedPreset, numColors: basePreset.numColors, auto: true });
+        return vectorize(imageData, { ...basePreset, ...options });
     }
     
     const preset = PRESETS[presetName] || PRESETS.logo;
-    return vectorize(imageData, preset);
+    return vectorize(imageData, { ...preset, ...options });
+}
+
+/**
+ * 创建 Worker 池，并行处理颜色图层
+ * 浏览器使用 Web Worker，Node.js 使用 worker_threads
+ * @param {Object} options - { workers, workerUrl }
+ * @returns {Object} 池对象 { size, ready, vectorize, vectorizeWithPreset, traceLayers, terminate }
+ */
+export function createPool(options = {}) {
+    const pool = createWorkerPool(options);
+    pool.vectorize = (imageData, opts = {}) => vectorize(imageData, { ...opts, pool });
+    pool.vectorizeWithPreset = (imageData, presetName, opts = {}) => vectorizeWithPreset(imageData, presetName, { ...opts, pool });
+    return pool;
+}
+
+/**
+ * 矢量化图像文件（PNG / PPM / PGM / BMP）
+ * 使用内置解码器，Node.js 中无需 canvas 或 sharp
+ * @param {Uint8Array|ArrayBuffer|Buffer} buffer - 文件内容
+ * @param {Object|string} options - 配置选项，或预设名称
+ */
+export async function vectorizeFile(buffer, options = {}) {
+    const imageData = decodeImage(buffer);
+    if (typeof options === 'string') {
+        return vectorizeWithPreset(imageData, options);
+    }
+    return vectorize(imageData, options);
 }
 
 // ============ 导出 ============
@@ -738,11 +724,18 @@ const advanced = {
     // 颜色量化
     quantize: kMeansQuantize,
     quantizeMedianCut: medianCutQuantize,
+    quantizeWu: wuQuantize,
+    quantizeOctree: octreeQuantize,
     
     // 图像分析
     analyzeColors: analyzeImageColors,
+    estimateScreenPeriod,
+    descreen: descreenImage,
     computeOtsuThreshold,
     
+    // 图像缩放
+    resample: resampleImageData,
+    
     // 二值化与形态学
     createBinaryBitmap,
     createBinaryBitmapFromMap,
@@ -751,6 +744,10 @@ const advanced = {
     // 连通区域
     labelConnectedComponents,
     
+    // 骨架（中心线模式）
+    skeletonize: thinBitmap,
+    distanceTransform,
+    
     // 轮廓追踪
     traceContours: marchingSquaresContour,
     traceContoursVTracer,
@@ -775,7 +772,15 @@ const advanced = {
     fitBezierSmooth,
     fitBezierCatmullRom,
     generatePolygonPath,
-    retractHandles
+    retractHandles,
+    
+    // 完整拟合流水线（任意点序列，支持开放路径）
+    fitPath: fitPointPath,
+    // 圆弧识别 + 贝塞尔拟合
+    fitArcs: fitArcSegments,
+
+    // 几何图元识别
+    fitPrimitive
 };
 
 // ============ 主 API ============
@@ -804,11 +809,26 @@ export const Vecburner = {
     /**
      * 使用预设矢量化
      * @param {ImageData} imageData - 图像数据
-     * @param {string} preset - 预设名称: 'auto'|'logo'|'lineart'|'illustration'|'photo'|'pixel'|'simple'
+     * @param {string} preset - 预设名称: 'auto'|'logo'|'lineart'|'illustration'|'photo'|'pixel'|'scan'|'calligraphy'|'simple'
      * @returns {Promise<Object>} 矢量化结果
      */
     vectorizeWithPreset,
     
+    /**
+     * 矢量化图像文件（内置 PNG / PPM / PGM / BMP 解码）
+     * @param {Uint8Array|ArrayBuffer|Buffer} buffer - 文件内容
+     * @param {Object|string} options - 配置选项或预设名称
+     * @returns {Promise<Object>} 矢量化结果
+     */
+    vectorizeFile,
+    
+    /**
+     * 解码图像文件为 ImageData-like 对象
+     * @param {Uint8Array|ArrayBuffer|Buffer} buffer - 文件内容
+     * @returns {Object} { data, width, height }
+     */
+    decodeImage,
+    
     /**
      * 简化 SVG 路径
      * @param {string} pathD - SVG path d 属性
@@ -824,6 +844,20 @@ export const Vecburner = {
      */
     analyzeImage: analyzeImageColors,
     
+    /**
+     * 创建 logger，可通过 options.logger 传入 vectorize
+     * @param {Object} options - { logger, logLevel }
+     * @returns {Object} logger
+     */
+    createLogger,
+    
+    /**
+     * 创建 Worker 池，把各颜色图层分发到 Web Worker / worker_threads 并行处理
+     * @param {Object} options - { workers, workerUrl }
+     * @returns {Object} 池对象，用完后调用 pool.terminate()
+     */
+    createPool,
+    
     // -------- 预设配置 --------
     presets: PRESETS,
     
@@ -892,14 +926,26 @@ export default Vecburner;
 // import { kMeansQuantize } from 'vecburner/color-quantize';
 
 export * from './utils.js';
+export * from './svg-writer.js';
 export * from './color-quantize.js';
 export * from './color-analysis.js';
+export * from './color-space.js';
 export * from './binary-image.js';
 export * from './connected-components.js';
 export * from './contour-tracer.js';
+export * from './contour-hierarchy.js';
 export * from './path-simplify.js';
 export * from './path-smooth.js';
 export * from './corner-detect.js';
 export * from './curve-fitter.js';
+export * from './path-data.js';
+export * from './path-pipeline.js';
+export * from './primitives.js';
 export * from './path-simplifier.js';
+export * from './resample.js';
+export * from './image-decode.js';
+export * from './logger.js';
+export * from './layer-tracer.js';
+export * from './planar-map.js';
+export * from './worker-pool.js';
 export { PRESETS } from './presets.js';
@@ -0,0 +1,309 @@
+/**
+ * Vecburner - 单图层追踪模块
+ *
+ * 把一个调色板颜色转换为一个 SVG 图层：二值位图 → 轮廓追踪 → 简化/平滑 → 曲线拟合
+ * 不依赖 vectorize() 的闭包状态，主线程和 Worker（见 layer-worker.js）共用同一实现
+ */
+
+import { createBinaryBitmap, createBinaryBitmapFromMap, fillCoveredHoles } from './binary-image.js';
+import { marchingSquaresContour } from './contour-tracer.js';
+import { traceContoursVTracer, traceContoursHybrid } from './path-walker.js';
+import { simplifyRDPClosed as simplifyPathRDP } from './path-smooth.js';
+import { fitPointPath } from './path-pipeline.js';
+import { serializePathData, polygonToSegments } from './path-data.js';
+import { buildContourHierarchy, filterContourHierarchy, buildShapes } from './contour-hierarchy.js';
+import { toLogger } from './logger.js';
+import { colorOpacity } from './utils.js';
+
+const noopCheckpoint = async () => {};
+
+// 孔洞面积阈值不超过父轮廓面积的这个比例
+const HOLE_PARENT_RATIO = 0.02;
+
+/**
+ * 噪点面积阈值：基于图像尺寸，小于此面积的孤立外轮廓视为噪点
+ * 最小噪点面积 = 图像面积的 0.01%，但至少 4 像素，最多 50 像素
+ * @param {number} width - 工作宽度
+ * @param {number} height - 工作高度
+ * @param {boolean} isPixelArt - 像素画模式
+ * @param {string} preset - 预设名称
+ */
+export function computeMinNoiseArea(width, height, isPixelArt, preset) {
+    const totalArea = width * height;
+    if (isPixelArt) return 1;
+    // Logo 模式：更激进地过滤噪点 (0.1% 或至少 25px)，去除“奇怪的点”
+    if (preset === 'logo') return Math.max(25, Math.min(200, totalArea * 0.001));
+    return Math.max(4, Math.min(50, totalArea * 0.0001));
+}
+
+/**
+ * 追踪单个颜色图层
+ *
+ * @param {Object} ctx - 图层上下文（所有图层共享，可结构化克隆）
+ * @param {Object} ctx.imageData - 工作图像 { data, width, height }（放大后）
+ * @param {Uint8Array} ctx.pixelColorMap - 每个像素的调色板索引，255 = 透明
+ * @param {Array} ctx.palette - 调色板 [[r, g, b], ...]，按亮度排序
+ * @param {boolean} ctx.useLuminance - 二值（亮度）模式
+ * @param {number} ctx.otsuThreshold - 二值模式的 Otsu 阈值
+ * @param {number} ctx.blurSigma - 实际使用的高斯模糊 sigma
+ * @param {boolean} ctx.morphology - 二值模式是否做闭运算
+ * @param {number} ctx.colorTolerance - 颜色容差
+ * @param {number} ctx.minPathLength - 最小前景像素数
+ * @param {string} ctx.contourMethod - 'marching' | 'vtracer' | 'hybrid'
+ * @param {boolean} ctx.isPixelArt - 像素画模式
+ * @param {number} ctx.numColors - 请求的颜色数
+ * @param {string} ctx.preset - 预设名称
+ * @param {number} ctx.smoothness - 平滑迭代次数
+ * @param {number} ctx.pathTolerance - 曲线拟合容差
+ * @param {string} ctx.hierarchy - 'cutout' | 'stacked'（见 vectorize 的 hierarchy 选项）
+ * @param {Array} ctx.gradients - 可选，与调色板对齐的渐变填充（见 gradient.js），纯色为 null
+ * @param {boolean} ctx.arcs - 曲线拟合时识别圆弧，输出弧线命令 A（见 fitArcSegments）
+ * @param {string} ctx.colorSpace - 亚像素混色比例所用的颜色空间，与颜色分配一致（默认 'rgb'）
+ * @param {number} colorIdx - 调色板索引
+ * @param {Object} hooks - 可选 { checkpoint, logger }
+ * @param {Function} hooks.checkpoint - 进度检查点（见 utils.createCheckpoint），在位图、追踪和每个轮廓前调用
+ * @param {Object} hooks.logger - logger（见 logger.js）
+ * @returns {Promise<Object|null>} 图层 { color, colorRgb, opacity, paths, shapes, area }，无有效路径时返回 null
+ *   渐变图层另有 gradient 字段，填充与描边为 url(#id)，color 为区域平均色
+ *   shapes 中每个形状为 { outer, holes, area, bbox, contourMethod, d }（见 buildShapes），坐标为工作尺寸
+ */
+export async function traceLayer(ctx, colorIdx, hooks = {}) {
+    const {
+        imageData: workingData,
+        pixelColorMap,
+        palette,
+        useLuminance,
+        otsuThreshold,
+        blurSigma: effectiveBlurSigma,
+        morphology,
+        colorTolerance,
+        minPathLength,
+        contourMethod,
+        isPixelArt,
+        numColors,
+        preset,
+        smoothness,
+        pathTolerance,
+        hierarchy = 'cutout',
+        gradients = null,
+        arcs = false,
+        colorSpace = 'rgb'
+    } = ctx;
+    const { width, height } = workingData;
+    const { checkpoint = noopCheckpoint, logger = null } = hooks;
+    const log = toLogger(logger);
+
+    const layerCount = palette.length;
+    const progress = (stage, layerIndex, contourIndex = 0, contourCount = 0) =>
+        ({ stage, layerIndex, layerCount, contourIndex, contourCount });
+
+    const color = palette[colorIdx];
+    const gradient = gradients ? gradients[colorIdx] : null;
+
+    await checkpoint(progress('bitmap', colorIdx));
+
+    // 轻度膨胀确保层重叠
+    // 膨胀量：改为 0，完全不膨胀，避免内容变粗
+    // 缝隙问题由 Marching Squares 亚像素追踪解决
+    const dilatePixels = 0;
+
+    // 使用最近颜色分配（非二值模式）或容差匹配（二值模式）
+    // **VM(基于公开资料) 风格**：传入原始图像和调色板，利用混色信息做亚像素定位
+    // 渐变区域内像素颜色各不相同，与平均色的距离不反映混色比例，只用颜色分配
+    const bitmap = useLuminance
+        ? createBinaryBitmap(workingData, color, colorTolerance, useLuminance, otsuThreshold, effectiveBlurSigma, morphology, log)
+        : createBinaryBitmapFromMap(pixelColorMap, colorIdx, width, height, effectiveBlurSigma, dilatePixels,
+            gradient ? null : workingData, gradient ? null : palette, colorSpace);
+
+    // 层叠模式：填满被上层覆盖的孔洞（调色板按亮度排序，索引更小的暗色绘制在上面）
+    if (hierarchy === 'stacked' && !useLuminance) {
+        // 半透明的上层遮不住下层，不算覆盖
+        const added = fillCoveredHoles(bitmap, pixelColorMap,
+            (idx) => idx !== 255 && idx < colorIdx && colorOpacity(palette[idx]) === 1);
+        log.debug('layer.stacked', `图层 ${colorIdx} 填充被覆盖的孔洞: +${added} 像素`, { layerIndex: colorIdx, added });
+    }
+    
+    // 二值模式（lineart）：强制使用黑色作为前景色
+    // 不再根据反转状态计算实际颜色，始终输出标准的白底黑线
+    let actualColor = color;
+    if (useLuminance) {
+        // 强制黑色前景，无论原图是什么颜色
+        actualColor = [0, 0, 0];
+    }
+
+    const colorStr = `rgb(${actualColor[0]},${actualColor[1]},${actualColor[2]})`;
+    
+    // 统计前景像素
+    let fgCount = 0;
+    for (let i = 0; i < bitmap.data.length; i++) {
+        if (bitmap.data[i] === 1) fgCount++;
+    }
+    
+    // 像素画允许更小的路径
+    if (fgCount < (isPixelArt ? 1 : minPathLength)) return null;
+
+    await checkpoint(progress('trace', colorIdx));
+
+    // 追踪轮廓 - 支持不同算法
+    let contours;
+    if (contourMethod === 'vtracer') {
+        // VTracer 风格：4方向追踪，输出点少，无锯齿
+        contours = traceContoursVTracer(bitmap.data, width, height);
+    } else if (contourMethod === 'hybrid') {
+        // 混合模式：VTracer + 亚像素精细化
+        contours = traceContoursHybrid(bitmap.data, width, height, bitmap.grayscale);
+    } else {
+        // 默认：Marching Squares，亚像素精度高
+        contours = marchingSquaresContour(bitmap, null, null, bitmap.grayscale);
+    }
+    
+    // 检测碎片图层（边缘抗锯齿色）：很多小轮廓，没有大轮廓
+    // 对于高颜色数（photo模式），禁用碎片过滤，因为颜色分布分散是正常的
+    const imageArea = width * height;
+    
+    // Logo 模式也启用碎片过滤，防止出现全是噪点的图层
+    const shouldCheckFragmented = (!isPixelArt && numColors <= 8) || preset === 'logo';
+    
+    if (shouldCheckFragmented) {
+        // 只在极低颜色数模式下启用碎片过滤（logo/lineart）
+        const contourAreas = contours.map(c => Math.abs(c.area));
+        const maxContourArea = Math.max(...contourAreas, 0);
+        const totalContourArea = contourAreas.reduce((a, b) => a + b, 0);
+        
+        // 碎片图层检测：总面积占图像 < 0.5% 且没有大轮廓（最大 < 300）且轮廓数量 > 10
+        // 更严格的条件，避免误删有意义的小图形
+        const isFragmented = 
+            totalContourArea < imageArea * 0.005 && 
+            maxContourArea < 300 && 
+            contours.length > 10;
+        
+        if (isFragmented) {
+            log.info('layer.fragmented', `跳过碎片图层: ${contours.length} 个轮廓, 最大 ${maxContourArea.toFixed(0)}, 总 ${totalContourArea.toFixed(0)}`,
+                { layerIndex: colorIdx, color: colorStr, contourCount: contours.length, maxContourArea, totalContourArea });
+            return null;
+        }
+    }
+    
+    // 保留下来的轮廓（外轮廓和孔洞），按追踪顺序
+    const rings = [];
+
+    // 动态面积阈值：基于图像尺寸，过滤孤立小噪点
+    const minNoiseArea = computeMinNoiseArea(width, height, isPixelArt, preset);
+    
+    // 中等轮廓阈值（用于决定是否曲线拟合）
+    const mediumContourArea = Math.max(30, minNoiseArea * 3);
+
+    // 过滤噪点：按包含树自上而下过滤，外轮廓被去掉时它的孔洞和孔洞中的岛一起去掉
+    const contourTree = buildContourHierarchy(contours);
+    // 孔洞比外轮廓更保守以防堵死字母：minNoiseArea 的一半，且至少 2 像素
+    const minHoleArea = Math.max(2, minNoiseArea * 0.5);
+    const kept = filterContourHierarchy(contourTree, (node, parent) => {
+        if (node.contour.points.length < 3) return false;
+        // 像素画：保留几乎所有细节，只过滤 0 面积
+        if (isPixelArt) return node.area >= 0.5;
+        // 非像素画（Logo, Lineart, Photo）：过滤微小的外轮廓噪点 (杂点)
+        if (!node.isHole) return node.area >= minNoiseArea;
+        // 孔洞阈值相对父轮廓放宽：小图形（小字号字母）里的孔洞本身就小
+        const holeThreshold = parent ? Math.min(minHoleArea, parent.area * HOLE_PARENT_RATIO) : minHoleArea;
+        return node.area >= Math.max(1, holeThreshold);
+    });
+
+    for (let contourIdx = 0; contourIdx < contours.length; contourIdx++) {
+        const contour = contours[contourIdx];
+        await checkpoint(progress('fit', colorIdx, contourIdx, contours.length));
+
+        if (!kept[contourIdx]) continue;
+        
+        const contourArea = Math.abs(contour.area);
+        const isHole = contourTree.nodes[contourIdx].isHole;
+        
+        // 像素画特殊处理：保持像素边缘，不做平滑和曲线拟合
+        if (isPixelArt) {
+            // 使用 RDP 算法简化路径
+            // 阈值 0.75: 能有效抹平 1px 的微小抖动/锯齿，将其拉直为斜线或直线
+            // 既保留了像素画的硬朗风格，又消除了过多的细碎阶梯（抖动）
+            const simplifiedPts = simplifyPathRDP(contour.points, 0.75);
+            const segments = polygonToSegments(simplifiedPts);
+            if (segments.length > 0) rings.push({ segments, area: contourArea, isHole, index: contourIdx });
+            continue;
+        }
+        
+        // 中等轮廓直接用多边形（不值得曲线拟合）
+        if (contourArea < mediumContourArea || contour.points.length < 12) {
+            const segments = polygonToSegments(contour.points);
+            if (segments.length > 0) rings.push({ segments, area: contourArea, isHole, index: contourIdx });
+            continue;
+        }
+
+        // 动态处理策略
+        const perimeter = contour.points.length;
+        
+        // 智能容差
+        // 容差越大 = 曲线越平滑（抹平锯齿）
+        // 容差越小 = 越贴合原始点（保留锯齿）
+        const baseError = Math.max(0.8, pathTolerance);
+        const sizeBonus = perimeter > 100 ? Math.min(0.5, (perimeter - 100) / 500) : 0;
+        
+        // VTracer 风格简化 → 角点检测 → Chaikin 平滑 → Schneider 拟合（见 path-pipeline.js）
+        const segments = fitPointPath(contour.points, {
+            // 小轮廓：先放大坐标处理，再缩回（提高精度）
+            scale: contourArea < 500 || perimeter < 40 ? 3 : 1,
+            // RDP 容差
+            tolerance: perimeter < 50 ? 0.4 : perimeter < 100 ? 0.5 : 0.6,
+            // 放宽角点阈值 (120 -> 140)，更积极地保留角点，防止直角/钝角被平滑掉
+            cornerAngle: 140,
+            // 使用预设的 smoothness 控制迭代次数 (0-3)
+            // 像素画模式下 smoothness 通常为 0，即不平滑
+            smoothness,
+            fitError: baseError + sizeBonus,  // 范围约 0.8 ~ 1.5
+            // 应用 retractHandles 防止过冲
+            // 注意：孔洞（内轮廓）不回缩，避免孔洞缩小
+            retract: isHole ? null : {
+                maxRatio: 0.6,   // 略高于半圆理论值 0.552，获得更平滑的弧线
+                minRatio: 0.7,   // 小曲线更宽松
+                smallThreshold: 25
+            },
+            arcs
+        });
+
+        if (segments.length > 0) rings.push({ segments, area: contourArea, isHole, index: contourIdx });
+    }
+    // 5. 缝隙修补 (Gap Fixing)
+    // 平滑算法(Chaikin/CurveFit)会使路径略微向内收缩，导致色块间出现细微缝隙(Conflation Artifacts)
+    // 解决方案：添加同色描边，利用描边向外扩张填补缝隙
+    // 像素画(Pixel Art)：通常不对齐会导致形状改变，且网格本身是严丝合缝的，故不加粗
+    // 其他模式(Photo/Logo)：添加 1px 描边，使用 round join 获得平滑连接
+    // 半透明图层也不加描边：描边与填充重叠的部分会叠加出更深的边框
+    const fillOpacity = colorOpacity(actualColor);
+    const useStroke = !isPixelArt && fillOpacity === 1;
+    const fill = gradient ? `url(#${gradient.id})` : colorStr;
+    const strokeColor = useStroke ? fill : 'none';
+    // 放大比例较大时，描边宽度相对变小，这里固定为 1px (工作空间坐标系)
+    // 如果是在小图上处理，1px 可能会太粗，但由于我们在开头做了放大处理 (scale)，这里的 1px 是相对安全的
+    const strokeWidth = useStroke ? 1 : 0;
+    const strokeLineJoin = useStroke ? 'round' : 'miter';
+
+    if (rings.length === 0) return null;
+
+    const shapes = buildShapes(rings, contourTree, contourMethod);
+    const fillRule = useLuminance ? 'evenodd' : 'nonzero';
+    const layer = {
+        color: colorStr,
+        colorRgb: actualColor.slice(0, 3),
+        opacity: fillOpacity,
+        shapes,
+        area: shapes.reduce((sum, shape) => sum + shape.area, 0),
+        paths: [{
+            // 所有轮廓按追踪顺序拼接，与逐个输出 shape.d 的渲染结果一致
+            d: rings.map(ring => serializePathData(ring.segments)).join(' '),
+            fill,
+            fillOpacity,
+            fillRule,
+            stroke: strokeColor,
+            strokeWidth: strokeWidth,
+            strokeLineJoin: strokeLineJoin
+        }]
+    };
+    if (gradient) layer.gradient = gradient;
+    return layer;
+}
@@ -0,0 +1,65 @@
+/**
+ * Vecburner - 图层 Worker 入口
+ *
+ * 浏览器（Web Worker, type: 'module'）和 Node.js（worker_threads）通用
+ * 由 worker-pool.js 创建，逐个接收颜色图层任务并调用 traceLayer
+ *
+ * 消息协议：
+ *   主线程 → Worker: { type: 'run', runId, context } | { type: 'layer', runId, colorIdx, logLevel } | { type: 'end', runId }
+ *   Worker → 主线程: { type: 'ready' }（加载完成）| { type: 'layer', runId, colorIdx, layer, logs }
+ *                  | { type: 'error', runId, colorIdx, message, stack, logs }
+ */
+
+import { traceLayer } from './layer-tracer.js';
+import { createLogger } from './logger.js';
+
+let runId = null;
+let context = null;
+
+async function handleMessage(msg, post) {
+    switch (msg.type) {
+        case 'run':
+            runId = msg.runId;
+            context = msg.context;
+            return;
+
+        case 'end':
+            if (msg.runId === runId) {
+                runId = null;
+                context = null;
+            }
+            return;
+
+        case 'layer': {
+            // 过期任务（已取消的运行）直接丢弃
+            if (msg.runId !== runId) return;
+
+            // 日志先缓存，随结果发回主线程，由主线程的 logger 输出
+            const logs = [];
+            const logger = createLogger({
+                logger: (record) => logs.push(record),
+                logLevel: msg.logLevel
+            });
+
+            try {
+                const layer = await traceLayer(context, msg.colorIdx, { logger });
+                post({ type: 'layer', runId: msg.runId, colorIdx: msg.colorIdx, layer, logs });
+            } catch (e) {
+                post({ type: 'error', runId: msg.runId, colorIdx: msg.colorIdx, message: e.message, stack: e.stack, logs });
+            }
+            return;
+        }
+    }
+}
+
+if (typeof self !== 'undefined' && typeof self.postMessage === 'function') {
+    // 浏览器 / Deno Web Worker
+    self.onmessage = (e) => handleMessage(e.data, (m) => self.postMessage(m));
+    self.postMessage({ type: 'ready' });
+} else {
+    // Node.js worker_threads（变量说明符，避免打包工具在浏览器构建中解析 node: 模块）
+    const specifier = 'node:worker_threads';
+    const { parentPort } = await import(/* @vite-ignore */ /* webpackIgnore: true */ specifier);
+    parentPort.on('message', (m) => handleMessage(m, (r) => parentPort.postMessage(r)));
+    parentPort.postMessage({ type: 'ready' });
+}
@@ -0,0 +1,106 @@
+/**
+ * Vecburner - 日志模块
+ *
+ * 可插拔日志：默认静默，不向 stdout 输出任何内容
+ * 每条日志都是结构化事件 { level, event, message, data }，便于接入业务方的遥测系统
+ *
+ * @example
+ * // 输出到控制台
+ * vectorize(imageData, { logger: 'console', logLevel: 'debug' });
+ *
+ * // 接收结构化事件
+ * vectorize(imageData, { logger: (record) => telemetry.track(record.event, record.data) });
+ *
+ * // 兼容 console / winston 风格的对象：logger[level](message, { event, ...data })
+ * vectorize(imageData, { logger: myLogger, logLevel: 'warn' });
+ */
+
+export const LOG_LEVELS = {
+    debug: 10,
+    info: 20,
+    warn: 30,
+    error: 40,
+    silent: Infinity
+};
+
+const LEVEL_NAMES = ['debug', 'info', 'warn', 'error'];
+
+// 标记已规范化的 logger，避免重复包装
+const IS_LOGGER = Symbol('vecburner.logger');
+
+/**
+ * 控制台输出（logger: 'console'）
+ * 只打印消息文本，结构化数据不展开
+ */
+function consoleSink(record) {
+    const method = record.level === 'debug' ? 'log' : record.level;
+    const fn = typeof console !== 'undefined' && console[method];
+    if (fn) fn.call(console, `[Vecburner] ${record.message}`);
+}
+
+/**
+ * 创建 logger
+ * @param {Object} options
+ * @param {Function|Object|string} options.logger - 输出目标：
+ *   - 函数：接收 { level, event, message, data }
+ *   - 对象：提供 debug/info/warn/error 方法，调用方式为 logger[level](message, { event, ...data })
+ *   - 'console'：输出到控制台
+ *   - 省略：静默
+ * @param {string} options.logLevel - 最低级别 'debug' | 'info' | 'warn' | 'error' | 'silent'，
+ *   提供 logger 时默认 'info'，否则为 'silent'
+ * @returns {Object} { debug, info, warn, error, isEnabled, level }，每个方法签名为 (event, message, data)
+ */
+export function createLogger({ logger = null, logLevel } = {}) {
+    if (logger && logger[IS_LOGGER]) {
+        return logLevel ? createLogger({ logger: logger.sink, logLevel }) : logger;
+    }
+
+    let sink = null;
+    if (typeof logger === 'function') {
+        sink = logger;
+    } else if (logger === 'console') {
+        sink = consoleSink;
+    } else if (logger && typeof logger === 'object') {
+        sink = (record) => {
+            const fn = logger[record.level] || logger.log;
+            if (typeof fn === 'function') fn.call(logger, record.message, { event: record.event, ...record.data });
+        };
+    } else if (logger !== null && logger !== undefined) {
+        throw new TypeError(`[Vecburner] 无效的 logger: ${logger}`);
+    }
+
+    const level = sink ? (logLevel || 'info') : 'silent';
+    if (!(level in LOG_LEVELS)) {
+        throw new TypeError(`[Vecburner] 未知日志级别: ${level}`);
+    }
+    const threshold = LOG_LEVELS[level];
+
+    const result = {
+        [IS_LOGGER]: true,
+        sink,
+        level,
+        isEnabled: (name) => LOG_LEVELS[name] >= threshold
+    };
+
+    for (const name of LEVEL_NAMES) {
+        result[name] = LOG_LEVELS[name] >= threshold
+            ? (event, message, data = {}) => sink({ level: name, event, message, data })
+            : () => {};
+    }
+
+    return result;
+}
+
+/**
+ * 规范化 logger 参数：已是 logger 时原样返回，否则按 createLogger 创建
+ * 供各模块的可选 logger 参数使用
+ */
+export function toLogger(logger) {
+    if (logger && logger[IS_LOGGER]) return logger;
+    return createLogger({ logger });
+}
+
+/**
+ * 静默 logger
+ */
+export const silentLogger = createLogger();
@@ -0,0 +1,404 @@
+/**
+ * Vecburner - 路径数据模块
+ *
+ * 路径段的数值表示，避免在 SVG 字符串和几何数据之间反复用正则解析
+ *
+ * 路径段格式（绝对坐标）：
+ *   ['M', x, y]
+ *   ['L', x, y]
+ *   ['C', x1, y1, x2, y2, x, y]
+ *   ['Q', x1, y1, x, y]
+ *   ['A', rx, ry, rotation, largeArc, sweep, x, y]   椭圆弧，参数与 SVG 的 A 命令一致（旋转角为度，两个标志为 0 / 1）
+ *   ['Z']
+ */
+
+/**
+ * 数字格式化：保留 precision 位小数并去掉末尾的 0
+ */
+export function formatNumber(value, precision = 2) {
+    return String(+value.toFixed(precision));
+}
+
+/**
+ * 路径段 → SVG path d 字符串
+ * @param {Array} segments - 路径段数组
+ * @param {number} precision - 小数位数
+ * @returns {string}
+ */
+export function serializePathData(segments, precision = 2) {
+    let d = '';
+    for (const seg of segments) {
+        d += seg[0];
+        for (let i = 1; i < seg.length; i++) {
+            if (i > 1) d += ',';
+            d += formatNumber(seg[i], precision);
+        }
+    }
+    return d;
+}
+
+// 每个命令的参数个数
+const ARG_COUNTS = { M: 2, L: 2, H: 1, V: 1, C: 6, S: 4, Q: 4, T: 2, A: 7, Z: 0 };
+
+/**
+ * 解析 SVG path d 字符串为绝对坐标路径段
+ * 支持 M L H V C S Q T A Z（含相对坐标），H/V 转为 L，S/T 展开为 C/Q
+ * @param {string} d - SVG path d 属性
+ * @returns {Array} 路径段数组
+ */
+export function parsePathData(d) {
+    const segments = [];
+    const tokens = d.match(/[a-zA-Z]|[-+]?(?:\d+\.?\d*|\.\d+)(?:[eE][-+]?\d+)?/g) || [];
+
+    let i = 0;
+    let cmd = null;
+    let x = 0, y = 0;           // 当前点
+    let startX = 0, startY = 0; // 子路径起点
+    let prevCtrl = null;        // 上一个 C/S 的第二控制点或 Q/T 的控制点（用于 S/T 反射）
+    let prevCmd = null;
+
+    const num = () => {
+        const v = parseFloat(tokens[i++]);
+        if (Number.isNaN(v)) throw new Error(`[Vecburner] 无效的路径数据: ${d.slice(0, 50)}`);
+        return v;
+    };
+    // 弧线标志只有一位，可以与后面的数字连写（如 A10 10 0 0110 20）
+    const flag = () => {
+        const token = tokens[i];
+        if (token === undefined || !/^[01]/.test(token)) {
+            throw new Error(`[Vecburner] 无效的弧线标志: ${d.slice(0, 50)}`);
+        }
+        if (token.length > 1) tokens[i] = token.slice(1);
+        else i++;
+        return +token[0];
+    };
+
+    while (i < tokens.length) {
+        if (/[a-zA-Z]/.test(tokens[i])) {
+            cmd = tokens[i++];
+            if (!(cmd.toUpperCase() in ARG_COUNTS)) {
+                throw new Error(`[Vecburner] 不支持的路径命令: ${cmd}`);
+            }
+        } else if (cmd === null) {
+            throw new Error(`[Vecburner] 路径数据必须以命令开头: ${d.slice(0, 50)}`);
+        }
+
+        const upper = cmd.toUpperCase();
+        const rel = cmd !== upper;
+        const dx = rel ? x : 0;
+        const dy = rel ? y : 0;
+
+        switch (upper) {
+            case 'M': {
+                x = num() + dx; y = num() + dy;
+                startX = x; startY = y;
+                segments.push(['M', x, y]);
+                // M 之后的隐式坐标对视为 L
+                cmd = rel ? 'l' : 'L';
+                prevCtrl = null;
+                break;
+            }
+            case 'L':
+                x = num() + dx; y = num() + dy;
+                segments.push(['L', x, y]);
+                prevCtrl = null;
+                break;
+            case 'H':
+                x = num() + dx;
+                segments.push(['L', x, y]);
+                prevCtrl = null;
+                break;
+            case 'V':
+                y = num() + dy;
+                segments.push(['L', x, y]);
+                prevCtrl = null;
+                break;
+            case 'C': {
+                const x1 = num() + dx, y1 = num() + dy;
+                const x2 = num() + dx, y2 = num() + dy;
+                x = num() + dx; y = num() + dy;
+                segments.push(['C', x1, y1, x2, y2, x, y]);
+                prevCtrl = [x2, y2];
+                break;
+            }
+            case 'S': {
+                const reflect = prevCtrl && (prevCmd === 'C' || prevCmd === 'S');
+                const x1 = reflect ? 2 * x - prevCtrl[0] : x;
+                const y1 = reflect ? 2 * y - prevCtrl[1] : y;
+                const x2 = num() + dx, y2 = num() + dy;
+                x = num() + dx; y = num() + dy;
+                segments.push(['C', x1, y1, x2, y2, x, y]);
+                prevCtrl = [x2, y2];
+                break;
+            }
+            case 'Q': {
+                const x1 = num() + dx, y1 = num() + dy;
+                x = num() + dx; y = num() + dy;
+                segments.push(['Q', x1, y1, x, y]);
+                prevCtrl = [x1, y1];
+                break;
+            }
+            case 'T': {
+                const reflect = prevCtrl && (prevCmd === 'Q' || prevCmd === 'T');
+                const x1 = reflect ? 2 * x - prevCtrl[0] : x;
+                const y1 = reflect ? 2 * y - prevCtrl[1] : y;
+                x = num() + dx; y = num() + dy;
+                segments.push(['Q', x1, y1, x, y]);
+                prevCtrl = [x1, y1];
+                break;
+            }
+            case 'A': {
+                const rx = num(), ry = num(), rotation = num();
+                const largeArc = flag(), sweep = flag();
+                x = num() + dx; y = num() + dy;
+                segments.push(['A', rx, ry, rotation, largeArc, sweep, x, y]);
+                prevCtrl = null;
+                break;
+            }
+            case 'Z':
+                segments.push(['Z']);
+                x = startX; y = startY;
+                prevCtrl = null;
+                break;
+        }
+        prevCmd = upper;
+    }
+
+    return segments;
+}
+
+/**
+ * 闭合多边形 → 路径段
+ * @param {Array} points - 点数组 [{x, y}, ...]
+ */
+export function polygonToSegments(points) {
+    if (points.length < 2) return [];
+    const segments = [['M', points[0].x, points[0].y]];
+    for (let i = 1; i < points.length; i++) {
+        segments.push(['L', points[i].x, points[i].y]);
+    }
+    segments.push(['Z']);
+    return segments;
+}
+
+/**
+ * fitCurve 输出的曲线数组 → 路径段（不含 Z）
+ * @param {Array} curves - [[p0, cp1, cp2, p3], ...]
+ */
+export function curvesToSegments(curves) {
+    if (!curves || curves.length === 0) return [];
+    const segments = [['M', curves[0][0][0], curves[0][0][1]]];
+    for (const c of curves) {
+        segments.push(['C', c[1][0], c[1][1], c[2][0], c[2][1], c[3][0], c[3][1]]);
+    }
+    return segments;
+}
+
+/**
+ * 对路径段的所有坐标做缩放和平移
+ * 椭圆弧见 transformArc，旋转的椭圆弧遇到非等比缩放时转为三次曲线
+ */
+export function transformSegments(segments, scaleX = 1, scaleY = 1, offsetX = 0, offsetY = 0) {
+    const result = [];
+    let x = 0, y = 0, startX = 0, startY = 0;
+    for (const seg of segments) {
+        if (seg[0] === 'A') {
+            result.push(...transformArc(x, y, seg, scaleX, scaleY, offsetX, offsetY));
+        } else {
+            const out = [seg[0]];
+            for (let i = 1; i < seg.length; i += 2) {
+                out.push(seg[i] * scaleX + offsetX, seg[i + 1] * scaleY + offsetY);
+            }
+            result.push(out);
+        }
+
+        if (seg[0] === 'M') {
+            startX = seg[1]; startY = seg[2];
+        }
+        if (seg[0] === 'Z') {
+            x = startX; y = startY;
+        } else {
+            x = seg[seg.length - 2]; y = seg[seg.length - 1];
+        }
+    }
+    return result;
+}
+
+/**
+ * 椭圆弧的缩放和平移
+ * 等比缩放或轴对齐的椭圆仍是椭圆弧，镜像时旋转角取反、sweep 翻转
+ */
+function transformArc(x0, y0, seg, scaleX, scaleY, offsetX, offsetY) {
+    const [, rx, ry, rotation, largeArc, sweep, x, y] = seg;
+    const ax = Math.abs(scaleX), ay = Math.abs(scaleY);
+    const quarter = ((rotation % 180) + 180) % 180;
+    if (ax !== ay && quarter !== 0 && quarter !== 90) {
+        return transformSegments([['M', x0, y0], ...arcToCubics(x0, y0, seg)], scaleX, scaleY, offsetX, offsetY).slice(1);
+    }
+    // 旋转 90° 时 rx 沿 y 轴
+    const swap = quarter === 90;
+    const mirror = scaleX * scaleY < 0;
+    return [[
+        'A',
+        rx * (swap ? ay : ax),
+        ry * (swap ? ax : ay),
+        mirror ? -rotation : rotation,
+        largeArc,
+        mirror ? 1 - sweep : sweep,
+        x * scaleX + offsetX,
+        y * scaleY + offsetY
+    ]];
+}
+
+/**
+ * 椭圆弧 → 三次贝塞尔路径段（每段不超过 90°）
+ * 端点参数化转为中心参数化（SVG 规范 F.6.5），半径不足以连接两端点时按比例放大（F.6.6）
+ * @param {number} x0 - 起点 x
+ * @param {number} y0 - 起点 y
+ * @param {Array} seg - ['A', rx, ry, rotation, largeArc, sweep, x, y]
+ * @returns {Array} ['C', ...] 路径段，起点与终点重合时为空数组
+ */
+export function arcToCubics(x0, y0, seg) {
+    let [, rx, ry, rotation, largeArc, sweep, x, y] = seg;
+    if (x0 === x && y0 === y) return [];
+    rx = Math.abs(rx);
+    ry = Math.abs(ry);
+    // 半径为 0 时按直线处理
+    if (rx === 0 || ry === 0) return [['C', x0, y0, x, y, x, y]];
+
+    const phi = rotation * Math.PI / 180;
+    const cos = Math.cos(phi), sin = Math.sin(phi);
+    const hx = (x0 - x) / 2, hy = (y0 - y) / 2;
+    const x1 = cos * hx + sin * hy, y1 = -sin * hx + cos * hy;
+    const lambda = (x1 * x1) / (rx * rx) + (y1 * y1) / (ry * ry);
+    if (lambda > 1) {
+        rx *= Math.sqrt(lambda);
+        ry *= Math.sqrt(lambda);
+    }
+
+    const num = rx * rx * ry * ry - rx * rx * y1 * y1 - ry * ry * x1 * x1;
+    const den = rx * rx * y1 * y1 + ry * ry * x1 * x1;
+    const coef = (largeArc === sweep ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+    const cx1 = coef * rx * y1 / ry, cy1 = -coef * ry * x1 / rx;
+    const cx = cos * cx1 - sin * cy1 + (x0 + x) / 2;
+    const cy = sin * cx1 + cos * cy1 + (y0 + y) / 2;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const theta = angle(1, 0, (x1 - cx1) / rx, (y1 - cy1) / ry);
+    let delta = angle((x1 - cx1) / rx, (y1 - cy1) / ry, (-x1 - cx1) / rx, (-y1 - cy1) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    else if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    // 每段的控制柄长度 4/3·tan(θ/4)
+    const count = Math.max(1, Math.ceil(Math.abs(delta) / (Math.PI / 2) - 1e-9));
+    const step = delta / count;
+    const k = 4 / 3 * Math.tan(step / 4);
+    const point = (t) => [
+        cx + rx * cos * Math.cos(t) - ry * sin * Math.sin(t),
+        cy + rx * sin * Math.cos(t) + ry * cos * Math.sin(t)
+    ];
+    const tangent = (t) => [
+        -rx * cos * Math.sin(t) - ry * sin * Math.cos(t),
+        -rx * sin * Math.sin(t) + ry * cos * Math.cos(t)
+    ];
+
+    const out = [];
+    let px = x0, py = y0;
+    for (let i = 0; i < count; i++) {
+        const t1 = theta + step * i, t2 = t1 + step;
+        const [ex, ey] = i === count - 1 ? [x, y] : point(t2);
+        const d1 = tangent(t1), d2 = tangent(t2);
+        out.push(['C', px + k * d1[0], py + k * d1[1], ex - k * d2[0], ey - k * d2[1], ex, ey]);
+        px = ex;
+        py = ey;
+    }
+    return out;
+}
+
+/**
+ * 一维三次贝塞尔在 [0, 1] 内的极值参数
+ */
+function cubicExtrema(p0, p1, p2, p3) {
+    // 导数: 3[(p1-p0)(1-t)^2 + 2(p2-p1)(1-t)t + (p3-p2)t^2]
+    const a = -p0 + 3 * p1 - 3 * p2 + p3;
+    const b = 2 * (p0 - 2 * p1 + p2);
+    const c = p1 - p0;
+    const ts = [];
+    if (Math.abs(a) < 1e-12) {
+        if (Math.abs(b) > 1e-12) ts.push(-c / b);
+    } else {
+        const disc = b * b - 4 * a * c;
+        if (disc >= 0) {
+            const sq = Math.sqrt(disc);
+            ts.push((-b + sq) / (2 * a), (-b - sq) / (2 * a));
+        }
+    }
+    return ts.filter(t => t > 0 && t < 1);
+}
+
+/**
+ * 三次贝塞尔各分量的取值范围并入边界
+ */
+function extendCubic(box, x0, y0, x1, y1, x2, y2, x3, y3) {
+    const at = (p0, p1, p2, p3, t) => {
+        const mt = 1 - t;
+        return mt * mt * mt * p0 + 3 * mt * mt * t * p1 + 3 * mt * t * t * p2 + t * t * t * p3;
+    };
+    for (const t of cubicExtrema(x0, x1, x2, x3)) box.addX(at(x0, x1, x2, x3, t));
+    for (const t of cubicExtrema(y0, y1, y2, y3)) box.addY(at(y0, y1, y2, y3, t));
+}
+
+/**
+ * 计算路径段的精确边界框（包含曲线极值点，不含控制点）
+ * @returns {Object|null} { x, y, width, height }
+ */
+export function segmentsBBox(segments) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const box = {
+        addX(v) { if (v < minX) minX = v; if (v > maxX) maxX = v; },
+        addY(v) { if (v < minY) minY = v; if (v > maxY) maxY = v; }
+    };
+
+    let x = 0, y = 0, startX = 0, startY = 0;
+    for (const seg of segments) {
+        switch (seg[0]) {
+            case 'M':
+                x = startX = seg[1]; y = startY = seg[2];
+                break;
+            case 'L':
+                x = seg[1]; y = seg[2];
+                break;
+            case 'C':
+                extendCubic(box, x, y, seg[1], seg[2], seg[3], seg[4], seg[5], seg[6]);
+                x = seg[5]; y = seg[6];
+                break;
+            case 'Q': {
+                // 二次曲线升阶为三次后复用极值计算
+                const [, qx, qy, x3, y3] = seg;
+                extendCubic(box, x, y,
+                    x + 2 / 3 * (qx - x), y + 2 / 3 * (qy - y),
+                    x3 + 2 / 3 * (qx - x3), y3 + 2 / 3 * (qy - y3),
+                    x3, y3);
+                x = x3; y = y3;
+                break;
+            }
+            case 'A':
+                for (const c of arcToCubics(x, y, seg)) {
+                    extendCubic(box, x, y, c[1], c[2], c[3], c[4], c[5], c[6]);
+                    x = c[5]; y = c[6];
+                    box.addX(x);
+                    box.addY(y);
+                }
+                x = seg[6]; y = seg[7];
+                break;
+            case 'Z':
+                x = startX; y = startY;
+                break;
+        }
+        box.addX(x);
+        box.addY(y);
+    }
+
+    if (minX === Infinity) return null;
+    return { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+}
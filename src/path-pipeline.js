@@ -0,0 +1,142 @@
+/**
+ * Vecburner - 路径拟合流水线
+ *
+ * 任意点序列 → 简化 → 角点检测 → Chaikin 平滑 → 曲线拟合（可选圆弧识别）→ 路径段
+ * 闭合轮廓（layer-tracer.js）和开放折线（centerline.js 的中心线、外部导入的折线）共用同一实现：
+ * closed 为 false 时各阶段都不跨越首尾，首尾点保持不动，结果不以 Z 结尾
+ */
+
+import { reduceVTracer, chaikinSmoothPreserveCorners } from './path-smooth.js';
+import { fitCurve, retractHandles, fitBezierCatmullRom, fitArcSegments } from './curve-fitter.js';
+import { parsePathData, curvesToSegments } from './path-data.js';
+
+/**
+ * 点序列拟合为路径段
+ *
+ * @param {Array} points - 点数组 [{x, y}, ...] 或 [[x, y], ...]，闭合路径不需要重复起点
+ * @param {Object} options - 可选配置
+ * @param {boolean} options.closed - 是否闭合（默认 true）
+ * @param {number} options.tolerance - 简化容差（像素，默认 0.6），0 表示不简化
+ * @param {number} options.cornerAngle - 转角小于此角度（度）的点视为角点（默认 140）
+ * @param {number} options.smoothness - Chaikin 平滑迭代次数（默认 0），角点保持锐利
+ * @param {boolean} options.splitCorners - 在角点处断开分别拟合（默认 false：只在平滑时保护角点，整体拟合）
+ * @param {number} options.fitError - 曲线拟合误差（与 fitCurve 一致，为距离的平方，默认 1）
+ * @param {Object} options.retract - retractHandles 选项，省略时不回缩控制柄
+ * @param {boolean} options.arcs - 落在圆弧上的连续点输出为弧线命令 A（默认 false，见 fitArcSegments）
+ * @param {number} options.scale - 在放大 scale 倍的坐标上简化和平滑（默认 1），小路径用来提高角点判定精度
+ * @returns {Array} 路径段（见 path-data.js），闭合时以 Z 结尾；点数不足时返回空数组
+ */
+export function fitPointPath(points, options = {}) {
+    const {
+        closed = true,
+        tolerance = 0.6,
+        cornerAngle = 140,
+        smoothness = 0,
+        splitCorners = false,
+        fitError = 1,
+        retract = null,
+        scale = 1,
+        arcs = false
+    } = options;
+
+    let pts = points.map(p => Array.isArray(p) ? { x: p[0], y: p[1] } : { x: p.x, y: p.y });
+    if (scale !== 1) pts = pts.map(p => ({ x: p.x * scale, y: p.y * scale }));
+
+    // 1. VTracer 风格简化（径向预处理 + RDP），首尾点始终保留
+    pts = reduceVTracer(pts, tolerance * scale);
+
+    // 2. 角点
+    let corners = findCorners(pts, closed, cornerAngle);
+
+    // 3. Chaikin 平滑，角点保持原位
+    const smoothIter = Math.max(0, Math.round(smoothness));
+    if (smoothIter > 0) {
+        const cornerPoints = corners.map(i => pts[i]);
+        pts = chaikinSmoothPreserveCorners(pts, smoothIter, new Set(corners), closed);
+        if (splitCorners) {
+            corners = [];
+            for (let i = 0; i < pts.length; i++) {
+                if (cornerPoints.some(c => c.x === pts[i].x && c.y === pts[i].y)) corners.push(i);
+            }
+        }
+    }
+
+    // 缩回原始尺寸
+    if (scale !== 1) pts = pts.map(p => ({ x: p.x / scale, y: p.y / scale }));
+
+    if (pts.length < (closed ? 3 : 2)) return [];
+
+    // 4. 曲线拟合 - 内置 Schneider 拟合
+    const fit = (piece) => {
+        const curves = fitCurve(piece.map(p => [p.x, p.y]), fitError);
+        return retract ? curves.map(c => retractHandles(c, retract)) : curves;
+    };
+
+    if (!splitCorners && arcs) return fitArcSegments(pts, fitError, { closed, retract });
+    if (!splitCorners) {
+        const segments = curvesToSegments(fit(pts));
+        if (segments.length === 0) {
+            // 回退：Catmull-Rom（所有点重合时）
+            return parsePathData(fitBezierCatmullRom(pts, 0.2, closed));
+        }
+        if (closed) segments.push(['Z']);
+        return segments;
+    }
+
+    // 闭合路径从第一个角点起算，绕一圈回到它，跨越首尾的一段也在角点处断开
+    let ring = pts;
+    if (closed && corners.length > 0) {
+        const first = corners[0];
+        ring = pts.slice(first).concat(pts.slice(0, first + 1));
+        corners = corners.map(i => i - first);
+    }
+
+    const last = ring.length - 1;
+    const bounds = [0, ...corners.filter(i => i > 0 && i < last), last];
+    const segments = [['M', ring[0].x, ring[0].y]];
+    for (let k = 1; k < bounds.length; k++) {
+        const piece = ring.slice(bounds[k - 1], bounds[k] + 1);
+        if (arcs) {
+            segments.push(...fitArcSegments(piece, fitError, { closed: false, retract }).slice(1));
+            continue;
+        }
+        const end = piece[piece.length - 1];
+        const curves = piece.length < 3 ? [] : fit(piece);
+        if (curves.length === 0) {
+            segments.push(['L', end.x, end.y]);
+            continue;
+        }
+        for (const c of curves) {
+            segments.push(['C', c[1][0], c[1][1], c[2][0], c[2][1], c[3][0], c[3][1]]);
+        }
+    }
+    if (closed) segments.push(['Z']);
+    return segments;
+}
+
+/**
+ * 转角小于 cornerAngle（度）的点的索引
+ * 闭合路径跨越首尾计算；开放路径的首尾点不是角点
+ */
+function findCorners(pts, closed, cornerAngle) {
+    const n = pts.length;
+    const corners = [];
+    for (let i = closed ? 0 : 1; i < (closed ? n : n - 1); i++) {
+        const prev = pts[(i - 1 + n) % n];
+        const curr = pts[i];
+        const next = pts[(i + 1) % n];
+
+        const v1x = prev.x - curr.x, v1y = prev.y - curr.y;
+        const v2x = next.x - curr.x, v2y = next.y - curr.y;
+        const dot = v1x * v2x + v1y * v2y;
+        const len1 = Math.sqrt(v1x * v1x + v1y * v1y);
+        const len2 = Math.sqrt(v2x * v2x + v2y * v2y);
+
+        if (len1 > 0 && len2 > 0) {
+            const cos = dot / (len1 * len2);
+            const angle = Math.acos(Math.max(-1, Math.min(1, cos))) * 180 / Math.PI;
+            if (angle < cornerAngle) corners.push(i);
+        }
+    }
+    return corners;
+}
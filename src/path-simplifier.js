@@ -5,9 +5,14 @@
  * 对已生成的 SVG 路径进行二次简化/平滑
  */
 
+import { fitCurve, curvesToPath, fitArcSegments } from './curve-fitter.js';
+import { parsePathData, serializePathData, arcToCubics } from './path-data.js';
+import { backgroundRect, pathElement } from './svg-writer.js';
+import { gradientDefs } from './gradient.js';
+
 /**
  * 解析 SVG path 字符串，提取所有子路径的点
- * 每个 M 命令开始一个新的子路径
+ * 每个 M 命令开始一个新的子路径；曲线按参数等分采样，弧线先转为三次曲线（每段不超过 90°）再采样
  * @param {string} pathD - SVG path d 属性
  * @returns {Array<Array<{x: number, y: number}>>} 子路径数组，每个子路径是点数组
  */
@@ -15,73 +20,58 @@ export function parsePathToSubpaths(pathD) {
     const subpaths = [];
     let currentSubpath = [];
     
-    // 匹配所有命令和坐标
-    const commands = pathD.match(/[MLCQAZ][^MLCQAZ]*/gi) || [];
-    
     let currentX = 0, currentY = 0;
     let startX = 0, startY = 0; // 子路径起点，用于 Z 命令
     
-    for (const cmd of commands) {
-        const type = cmd[0].toUpperCase();
-        const nums = cmd.slice(1).match(/-?\d+\.?\d*/g)?.map(Number) || [];
-        
-        switch (type) {
+    // 三次贝塞尔曲线：在曲线上采样 4 个点
+    const sampleCubic = (seg) => {
+        const [, cp1x, cp1y, cp2x, cp2y, endX, endY] = seg;
+        for (let t = 0.25; t <= 1; t += 0.25) {
+            const pt = sampleCubicBezier(currentX, currentY, cp1x, cp1y, cp2x, cp2y, endX, endY, t);
+            currentSubpath.push(pt);
+        }
+        currentX = endX;
+        currentY = endY;
+    };
+    
+    for (const seg of parsePathData(pathD)) {
+        switch (seg[0]) {
             case 'M':
                 // M 命令开始新的子路径
                 if (currentSubpath.length > 0) {
                     subpaths.push(currentSubpath);
                 }
                 currentSubpath = [];
-                
-                for (let i = 0; i < nums.length; i += 2) {
-                    currentX = nums[i];
-                    currentY = nums[i + 1];
-                    if (i === 0) {
-                        startX = currentX;
-                        startY = currentY;
-                    }
-                    currentSubpath.push({ x: currentX, y: currentY });
-                }
+                currentX = startX = seg[1];
+                currentY = startY = seg[2];
+                currentSubpath.push({ x: currentX, y: currentY });
                 break;
                 
             case 'L':
-                for (let i = 0; i < nums.length; i += 2) {
-                    currentX = nums[i];
-                    currentY = nums[i + 1];
-                    currentSubpath.push({ x: currentX, y: currentY });
-                }
+                currentX = seg[1];
+                currentY = seg[2];
+                currentSubpath.push({ x: currentX, y: currentY });
                 break;
                 
             case 'C': // 三次贝塞尔曲线
-                for (let i = 0; i < nums.length; i += 6) {
-                    const cp1x = nums[i], cp1y = nums[i + 1];
-                    const cp2x = nums[i + 2], cp2y = nums[i + 3];
-                    const endX = nums[i + 4], endY = nums[i + 5];
-                    
-                    // 在曲线上采样 4 个点
-                    for (let t = 0.25; t <= 1; t += 0.25) {
-                        const pt = sampleCubicBezier(currentX, currentY, cp1x, cp1y, cp2x, cp2y, endX, endY, t);
-                        currentSubpath.push(pt);
-                    }
-                    
-                    currentX = endX;
-                    currentY = endY;
-                }
+                sampleCubic(seg);
                 break;
                 
-            case 'Q': // 二次贝塞尔曲线
-                for (let i = 0; i < nums.length; i += 4) {
-                    const cpx = nums[i], cpy = nums[i + 1];
-                    const endX = nums[i + 2], endY = nums[i + 3];
-                    
-                    for (let t = 0.33; t <= 1; t += 0.33) {
-                        const pt = sampleQuadBezier(currentX, currentY, cpx, cpy, endX, endY, t);
-                        currentSubpath.push(pt);
-                    }
-                    
-                    currentX = endX;
-                    currentY = endY;
+            case 'Q': { // 二次贝塞尔曲线
+                const [, cpx, cpy, endX, endY] = seg;
+                for (let t = 0.33; t <= 1; t += 0.33) {
+                    const pt = sampleQuadBezier(currentX, currentY, cpx, cpy, endX, endY, t);
+                    currentSubpath.push(pt);
                 }
+                currentX = endX;
+                currentY = endY;
+                break;
+            }
+            
+            case 'A': // 椭圆弧
+                for (const c of arcToCubics(currentX, currentY, seg)) sampleCubic(c);
+                currentX = seg[6];
+                currentY = seg[7];
                 break;
                 
             case 'Z':
@@ -190,31 +180,26 @@ function perpendicularDistance(point, lineStart, lineEnd) {
 
 /**
  * 从点数组生成平滑的 SVG 路径
- * 使用 fit-curve 或 Catmull-Rom 样条
+ * 使用 Schneider 贝塞尔拟合（fitCurve），失败时回退到 Catmull-Rom 样条
+ * arcs 为 true 时先识别圆弧（见 fitArcSegments），圆弧输出为 A 命令
  */
-function pointsToSmoothPath(points, fitError = 2.0) {
+function pointsToSmoothPath(points, fitError = 2.0, arcs = false) {
     if (points.length < 3) {
         if (points.length === 0) return '';
         if (points.length === 1) return `M${points[0].x.toFixed(2)},${points[0].y.toFixed(2)}Z`;
         return `M${points[0].x.toFixed(2)},${points[0].y.toFixed(2)}L${points[1].x.toFixed(2)},${points[1].y.toFixed(2)}Z`;
     }
     
+    if (arcs) {
+        return serializePathData(fitArcSegments(points, fitError));
+    }
+    
     const ptsArray = points.map(p => [p.x, p.y]);
     
-    // 尝试使用 fit-curve
-    if (typeof window !== 'undefined' && typeof window.fitCurve === 'function') {
-        try {
-            const curves = window.fitCurve(ptsArray, fitError);
-            if (curves && curves.length > 0) {
-                let path = `M${curves[0][0][0].toFixed(2)},${curves[0][0][1].toFixed(2)}`;
-                for (const c of curves) {
-                    path += `C${c[1][0].toFixed(2)},${c[1][1].toFixed(2)},${c[2][0].toFixed(2)},${c[2][1].toFixed(2)},${c[3][0].toFixed(2)},${c[3][1].toFixed(2)}`;
-                }
-                return path + 'Z';
-            }
-        } catch (e) {
-            console.warn('[simplifyPath] fit-curve 失败，回退到 Catmull-Rom');
-        }
+    // Schneider 贝塞尔拟合
+    const curves = fitCurve(ptsArray, fitError);
+    if (curves.length > 0) {
+        return curvesToPath(curves, 2) + 'Z';
     }
     
     // 回退：Catmull-Rom 样条
@@ -259,12 +244,13 @@ function catmullRomPath(points, tension = 0.3) {
  * @param {number} level - 简化级别 (0-100)，值越大越平滑/简化
  * @param {Object} options - 可选参数
  * @param {boolean} options.preserveStroke - 保持笔画宽度模式（适合文字/Logo）
+ * @param {boolean} options.arcs - 重新拟合时识别圆弧并输出 A 命令（默认：原路径含弧线命令时开启，弧线经简化后仍为弧线）
  * @returns {string} 简化后的 path d
  */
 export function simplifyPathD(pathD, level = 50, options = {}) {
     if (!pathD || level <= 0) return pathD;
     
-    const { preserveStroke = false } = options;
+    const { preserveStroke = false, arcs = /a/i.test(pathD) } = options;
     
     // 文字/Logo 模式：更保守的参数，防止笔画变形
     // 普通模式：标准参数
@@ -303,7 +289,8 @@ export function simplifyPathD(pathD, level = 50, options = {}) {
         }
         
         // 只在高 level 时轻微简化，去除微小抖动
-        if (rdpEpsilon > 0 && points.length > 10) {
+        // 识别圆弧时不删点：弧线上的采样点没有抖动，删点后圆弧可能凑不够点数
+        if (rdpEpsilon > 0 && points.length > 10 && !arcs) {
             const simplified = simplifyRDP(points, rdpEpsilon);
             // 只有当简化后点数仍然足够时才使用
             if (simplified.length >= Math.max(4, points.length * 0.3)) {
@@ -313,7 +300,7 @@ export function simplifyPathD(pathD, level = 50, options = {}) {
         
         // 用 fit-curve 重新拟合为平滑曲线
         // fitError 越大 → 曲线段越少 → 越平滑简洁
-        simplifiedPaths.push(pointsToSmoothPath(points, fitError));
+        simplifiedPaths.push(pointsToSmoothPath(points, fitError, arcs));
     }
     
     // 合并所有子路径
@@ -340,16 +327,15 @@ export function simplifyVectorResult(vectorResult, level = 50) {
     
     // 重新生成 SVG
     const allPaths = newLayers.flatMap(l => l.paths);
-    const svgContent = allPaths.map(p => {
-        const fillRule = p.fillRule ? ` fill-rule="${p.fillRule}"` : '';
-        return `<path d="${p.d}" fill="${p.fill}"${fillRule} stroke="${p.stroke || 'none'}" stroke-width="${p.strokeWidth || 0}"/>`;
-    }).join('\n');
+    const svgContent = allPaths.map(pathElement).join('\n');
     
     const { width, height, viewBoxWidth, viewBoxHeight } = vectorResult;
-    const bgColor = vectorResult.colors?.[vectorResult.colors.length - 1] || '#ffffff';
-    const bgRect = `<rect x="0" y="0" width="${viewBoxWidth}" height="${viewBoxHeight}" fill="${bgColor}"/>`;
+    // 沿用原结果的背景（旧版结果没有 background 字段时用最亮的颜色）
+    const bgColor = 'background' in vectorResult
+        ? vectorResult.background
+        : vectorResult.colors?.[vectorResult.colors.length - 1] || '#ffffff';
     
-    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${viewBoxWidth} ${viewBoxHeight}">\n${bgRect}\n${svgContent}\n</svg>`;
+    const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${viewBoxWidth} ${viewBoxHeight}">\n${gradientDefs(newLayers)}${backgroundRect(bgColor, viewBoxWidth, viewBoxHeight)}${svgContent}\n</svg>`;
     
     return {
         ...vectorResult,
@@ -39,7 +39,7 @@ export function removeStaircase(points, clockwise = true) {
         
         let keep = true;
         
-        // 首尾点始终保留（闭合路径时）
+        // 首尾点始终保留（开放路径的端点同样不动）
         if (i === 0 || i === len - 1) {
             keep = true;
         }
@@ -109,9 +109,10 @@ export function limitPenalties(points, tolerance = 1.0) {
 /**
  * Visvalingam-Whyatt 算法 - 保持拓扑的简化
  * 比 Douglas-Peucker 效果更好
+ * @param {boolean} closed - 是否闭合路径；开放路径首尾点不参与移除，也不互为邻点
  */
-export function visvalingamWhyatt(points, threshold = 1.0) {
-    if (points.length <= 3) return points;
+export function visvalingamWhyatt(points, threshold = 1.0, closed = true) {
+    if (points.length <= (closed ? 3 : 2)) return points;
     
     // 计算三角形面积
     const triangleArea = (a, b, c) => {
@@ -130,11 +131,16 @@ export function visvalingamWhyatt(points, threshold = 1.0) {
     // 处理首尾
     nodes[0].prev = points.length - 1;
     nodes[nodes.length - 1].next = 0;
+    const isEndpoint = (i) => !closed && (i === 0 || i === nodes.length - 1);
     
-    // 计算初始面积
+    // 计算初始面积（开放路径端点面积为无穷大，永不移除）
     const updateArea = (i) => {
         const node = nodes[i];
         if (node.removed) return;
+        if (isEndpoint(i)) {
+            node.area = Infinity;
+            return;
+        }
         const prev = nodes[node.prev];
         const next = nodes[node.next];
         node.area = triangleArea(prev.point, node.point, next.point);
@@ -148,7 +154,7 @@ export function visvalingamWhyatt(points, threshold = 1.0) {
     let remaining = nodes.length;
     const minArea = threshold * threshold;
     
-    while (remaining > 3) {
+    while (remaining > (closed ? 3 : 2)) {
         // 找最小面积
         let minIdx = -1;
         let minVal = Infinity;
@@ -212,11 +218,21 @@ export function simplifyPath(points, options = {}) {
     const { tolerance = 1.0, highQuality = true } = typeof options === 'number' ? { tolerance: options } : options;
     if (points.length < 3) return points;
     
-    // 优先使用 simplify-js CDN
-    if (typeof window !== 'undefined' && typeof window.simplify === 'function') {
-        return window.simplify(points, tolerance, highQuality);
+    // 与 simplify-js 一致：低质量模式先做径向距离预筛选，再 Douglas-Peucker
+    let pts = points;
+    if (!highQuality) {
+        const sqTolerance = tolerance * tolerance;
+        pts = [points[0]];
+        let prev = points[0];
+        for (let i = 1; i < points.length; i++) {
+            const dx = points[i].x - prev.x, dy = points[i].y - prev.y;
+            if (dx * dx + dy * dy > sqTolerance) {
+                pts.push(points[i]);
+                prev = points[i];
+            }
+        }
+        if (prev !== points[points.length - 1]) pts.push(points[points.length - 1]);
     }
     
-    // 回退到 Visvalingam-Whyatt
-    return visvalingamWhyatt(points, tolerance);
+    return douglasPeucker(pts, tolerance);
 }
@@ -16,8 +16,10 @@
  * 公式: new = (-p0 + 9*p1 + 9*p2 - p3) / 16
  * 
  * 参考: visioncortex/src/path/smooth.rs
+ *
+ * @param {boolean} closed - 是否闭合路径；开放路径首尾点不动，端点处的邻点取端点本身
  */
-export function subdivide4Point(points, iterations = 2) {
+export function subdivide4Point(points, iterations = 2, closed = true) {
     if (points.length < 4) return points;
     
     let result = points.slice();
@@ -25,12 +27,13 @@ export function subdivide4Point(points, iterations = 2) {
     for (let iter = 0; iter < iterations; iter++) {
         const n = result.length;
         const newPoints = [];
+        const at = closed ? (i => result[(i + n) % n]) : (i => result[Math.max(0, Math.min(n - 1, i))]);
         
-        for (let i = 0; i < n; i++) {
-            const p0 = result[(i - 1 + n) % n];
+        for (let i = 0; i < (closed ? n : n - 1); i++) {
+            const p0 = at(i - 1);
             const p1 = result[i];
-            const p2 = result[(i + 1) % n];
-            const p3 = result[(i + 2) % n];
+            const p2 = at(i + 1);
+            const p3 = at(i + 2);
             
             // 保留原点
             newPoints.push({ x: p1.x, y: p1.y });
@@ -42,6 +45,7 @@ export function subdivide4Point(points, iterations = 2) {
                 y: (-p0.y + 9 * p1.y + 9 * p2.y - p3.y) / 16
             });
         }
+        if (!closed) newPoints.push({ x: result[n - 1].x, y: result[n - 1].y });
         
         result = newPoints;
     }
@@ -56,6 +60,8 @@ export function subdivide4Point(points, iterations = 2) {
  * 关键：检测交替的水平-垂直-水平模式（锯齿的本质）
  * 
  * 参考: visioncortex/src/path/staircase.rs
+ *
+ * 首尾点始终保留，开放路径可直接使用
  */
 export function removeStaircaseSimple(points) {
     if (points.length < 4) return points;
@@ -217,6 +223,7 @@ function perpendicularDistance(point, lineStart, lineEnd) {
 
 /**
  * 闭合路径的 RDP 简化
+ * 开放路径首尾本身就是固定点，直接使用 simplifyRDP
  */
 export function simplifyRDPClosed(points, epsilon = 1.0) {
     if (points.length < 4) return points;
@@ -251,13 +258,16 @@ export function simplifyRDPClosed(points, epsilon = 1.0) {
 /**
  * VTracer 完整平滑流程（修正版）
  * 重点：多次移动平均 + 细分 = 真正平滑
+ *
+ * options.closed 为 false 时按开放路径处理：首尾点固定，各步骤都不跨越首尾
  */
 export function smoothPathVTracer(points, options = {}) {
     const {
         staircaseRemoval = true,
         simplifyEpsilon = 0.8,
         subdivisionIterations = 2,
-        smoothIterations = 3
+        smoothIterations = 3,
+        closed = true
     } = options;
     
     if (points.length < 4) return points;
@@ -271,21 +281,21 @@ export function smoothPathVTracer(points, options = {}) {
     
     // 2. RDP 简化
     if (simplifyEpsilon > 0 && result.length > 30) {
-        result = simplifyRDPClosed(result, simplifyEpsilon);
+        result = closed ? simplifyRDPClosed(result, simplifyEpsilon) : simplifyRDP(result, simplifyEpsilon);
     }
     
     // 3. 多次移动平均平滑（关键！）
     for (let i = 0; i < smoothIterations; i++) {
-        result = movingAverageSmooth(result, 5);  // 窗口 5
+        result = movingAverageSmooth(result, 5, closed);  // 窗口 5
     }
     
     // 4. 4点细分
     if (subdivisionIterations > 0 && result.length >= 4) {
-        result = subdivide4Point(result, subdivisionIterations);
+        result = subdivide4Point(result, subdivisionIterations, closed);
     }
     
     // 5. 最终平滑
-    result = movingAverageSmooth(result, 3);
+    result = movingAverageSmooth(result, 3, closed);
     
     return result;
 }
@@ -293,16 +303,18 @@ export function smoothPathVTracer(points, options = {}) {
 /**
  * Chaikin 角切割平滑算法
  * 每次迭代将角切掉，使曲线更平滑
+ * @param {boolean} closed - 是否闭合路径；开放路径保留首尾点，不切割首尾之间的连线
  */
-export function chaikinSmooth(points, iterations = 2) {
+export function chaikinSmooth(points, iterations = 2, closed = true) {
     if (points.length < 3) return points;
 
     let result = points;
     for (let iter = 0; iter < iterations; iter++) {
         const smoothed = [];
         const n = result.length;
+        if (!closed) smoothed.push({ x: result[0].x, y: result[0].y });
 
-        for (let i = 0; i < n; i++) {
+        for (let i = 0; i < (closed ? n : n - 1); i++) {
             const p0 = result[i];
             const p1 = result[(i + 1) % n];
 
@@ -316,6 +328,7 @@ export function chaikinSmooth(points, iterations = 2) {
                 y: p0.y * 0.25 + p1.y * 0.75
             });
         }
+        if (!closed) smoothed.push({ x: result[n - 1].x, y: result[n - 1].y });
 
         result = smoothed;
     }
@@ -326,10 +339,11 @@ export function chaikinSmooth(points, iterations = 2) {
 /**
  * Chaikin 平滑 - 保护角点版本
  * 角点保持锐利，只平滑曲线部分
+ * @param {boolean} closed - 是否闭合路径；开放路径的首尾点按角点处理
  */
-export function chaikinSmoothPreserveCorners(points, iterations = 2, cornerIndices = new Set()) {
+export function chaikinSmoothPreserveCorners(points, iterations = 2, cornerIndices = new Set(), closed = true) {
     if (points.length < 3) return points;
-    if (cornerIndices.size === 0) return chaikinSmooth(points, iterations);
+    if (cornerIndices.size === 0) return chaikinSmooth(points, iterations, closed);
 
     // 记录角点位置
     const corners = [];
@@ -346,12 +360,12 @@ export function chaikinSmoothPreserveCorners(points, iterations = 2, cornerIndic
         // 每次迭代后角点索引会变化，需要追踪
         const newCornerPositions = new Map();
 
-        for (let i = 0; i < n; i++) {
+        for (let i = 0; i < (closed ? n : n - 1); i++) {
             const p0 = result[i];
             const p1 = result[(i + 1) % n];
             
             // 检查当前点是否接近某个角点
-            const isCorner = corners.some(c => 
+            const isCorner = (!closed && i === 0) || corners.some(c => 
                 Math.abs(p0.x - c.x) < 0.5 && Math.abs(p0.y - c.y) < 0.5
             );
             
@@ -374,6 +388,7 @@ export function chaikinSmoothPreserveCorners(points, iterations = 2, cornerIndic
                 });
             }
         }
+        if (!closed) smoothed.push({ x: result[n - 1].x, y: result[n - 1].y });
 
         result = smoothed;
     }
@@ -381,19 +396,27 @@ export function chaikinSmoothPreserveCorners(points, iterations = 2, cornerIndic
     return result;
 }
 
+/**
+ * 开放路径上第 i 个点的对称平滑半径：窗口不越过首尾，首尾点半径为 0（保持不动）
+ */
+function openHalfWindow(i, n, half) {
+    return Math.min(half, i, n - 1 - i);
+}
+
 /**
  * 移动平均平滑
  * @param {Array} points - 点数组
  * @param {number} windowSize - 窗口大小（奇数）
+ * @param {boolean} closed - 是否闭合路径；开放路径在首尾附近收缩窗口，首尾点不动
  */
-export function movingAverageSmooth(points, windowSize = 3) {
+export function movingAverageSmooth(points, windowSize = 3, closed = true) {
     if (points.length < 3) return points;
 
-    const half = Math.floor(windowSize / 2);
     const n = points.length;
     const result = [];
 
     for (let i = 0; i < n; i++) {
+        const half = closed ? Math.floor(windowSize / 2) : openHalfWindow(i, n, Math.floor(windowSize / 2));
         let sumX = 0, sumY = 0, count = 0;
 
         for (let j = -half; j <= half; j++) {
@@ -415,8 +438,9 @@ export function movingAverageSmooth(points, windowSize = 3) {
 /**
  * Chaikin 平滑（最大锐利度版本）
  * 角点和近角点都完全保持原位
+ * @param {boolean} closed - 是否闭合路径；开放路径的首尾点按角点处理
  */
-export function chaikinSmoothTaggedSharp(points) {
+export function chaikinSmoothTaggedSharp(points, closed = true) {
     if (points.length < 3) return points;
 
     const n = points.length;
@@ -426,10 +450,13 @@ export function chaikinSmoothTaggedSharp(points) {
         const p0 = points[i];
         const p1 = points[(i + 1) % n];
 
-        if (p0.isCorner || p0.nearCorner) {
+        if (!closed && (i === 0 || i === n - 1)) {
+            // 开放路径端点：保持原样；末端点之后没有边
+            result.push({ ...p0 });
+        } else if (p0.isCorner || p0.nearCorner) {
             // 角点或近角点：完全保持原样
             result.push({ ...p0 });
-        } else if (p1.isCorner || p1.nearCorner) {
+        } else if (p1.isCorner || p1.nearCorner || (!closed && i === n - 2)) {
             // 下一个是角点/近角点：保持当前点，不添加中间点
             result.push({ ...p0 });
         } else {
@@ -457,16 +484,17 @@ export function chaikinSmoothTaggedSharp(points) {
 /**
  * 移动平均平滑（最大锐利度版本）
  * 角点和近角点都完全保持原位
+ * @param {boolean} closed - 是否闭合路径；开放路径的首尾点不动，窗口不越过首尾
  */
-export function movingAverageSmoothTaggedSharp(points, windowSize = 3) {
+export function movingAverageSmoothTaggedSharp(points, windowSize = 3, closed = true) {
     if (points.length < 3) return points;
 
-    const half = Math.floor(windowSize / 2);
     const n = points.length;
     const result = [];
 
     for (let i = 0; i < n; i++) {
-        if (points[i].isCorner || points[i].nearCorner) {
+        const half = closed ? Math.floor(windowSize / 2) : openHalfWindow(i, n, Math.floor(windowSize / 2));
+        if (points[i].isCorner || points[i].nearCorner || (!closed && half === 0)) {
             // 角点或近角点：完全保持原样
             result.push({ ...points[i] });
         } else {
@@ -501,8 +529,9 @@ export function movingAverageSmoothTaggedSharp(points, windowSize = 3) {
 
 /**
  * Chaikin 平滑（带标记版本）
+ * @param {boolean} closed - 是否闭合路径；开放路径的首尾点按角点处理
  */
-export function chaikinSmoothTagged(points) {
+export function chaikinSmoothTagged(points, closed = true) {
     if (points.length < 3) return points;
 
     const n = points.length;
@@ -512,10 +541,10 @@ export function chaikinSmoothTagged(points) {
         const p0 = points[i];
         const p1 = points[(i + 1) % n];
 
-        if (p0.isCorner) {
+        if (p0.isCorner || (!closed && (i === 0 || i === n - 1))) {
             // 角点：保持原样
             result.push({ x: p0.x, y: p0.y, isCorner: true });
-        } else if (p1.isCorner) {
+        } else if (p1.isCorner || (!closed && i === n - 2)) {
             // 下一个是角点：只添加 3/4 位置点
             result.push({
                 x: p0.x * 0.25 + p1.x * 0.75,
@@ -542,16 +571,17 @@ export function chaikinSmoothTagged(points) {
 
 /**
  * 移动平均平滑（带标记版本）
+ * @param {boolean} closed - 是否闭合路径；开放路径的首尾点不动，窗口不越过首尾
  */
-export function movingAverageSmoothTagged(points, windowSize = 5) {
+export function movingAverageSmoothTagged(points, windowSize = 5, closed = true) {
     if (points.length < 3) return points;
 
-    const half = Math.floor(windowSize / 2);
     const n = points.length;
     const result = [];
 
     for (let i = 0; i < n; i++) {
-        if (points[i].isCorner) {
+        const half = closed ? Math.floor(windowSize / 2) : openHalfWindow(i, n, Math.floor(windowSize / 2));
+        if (points[i].isCorner || (!closed && half === 0)) {
             // 角点：保持原样
             result.push({ ...points[i] });
         } else {
@@ -577,26 +607,28 @@ export function movingAverageSmoothTagged(points, windowSize = 5) {
 /**
  * VTracer 风格：只平滑非角点区域
  * 保护角点，只平滑曲线部分
+ * @param {boolean} closed - 是否闭合路径；开放路径的首尾点不动，窗口不越过首尾
  */
-export function smoothPathPreservingCorners(points, corners, windowSize = 3) {
+export function smoothPathPreservingCorners(points, corners, windowSize = 3, closed = true) {
     if (points.length < 3 || corners.length === 0) {
-        return movingAverageSmooth(points, windowSize);
+        return movingAverageSmooth(points, windowSize, closed);
     }
 
     const n = points.length;
-    const half = Math.floor(windowSize / 2);
     const result = [];
 
     // 创建角点集合（包括角点附近的点也要保护）
     const protectedIndices = new Set();
     for (const c of corners) {
         for (let d = -2; d <= 2; d++) {
-            protectedIndices.add((c + d + n) % n);
+            if (closed) protectedIndices.add((c + d + n) % n);
+            else if (c + d >= 0 && c + d < n) protectedIndices.add(c + d);
         }
     }
 
     for (let i = 0; i < n; i++) {
-        if (protectedIndices.has(i)) {
+        const half = closed ? Math.floor(windowSize / 2) : openHalfWindow(i, n, Math.floor(windowSize / 2));
+        if (protectedIndices.has(i) || (!closed && half === 0)) {
             // 角点及附近：保持原样
             result.push({ ...points[i] });
         } else {
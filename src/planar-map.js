@@ -0,0 +1,576 @@
+/**
+ * Vecburner - 共享边界（平面图）追踪模块
+ *
+ * topology: 'shared' 时使用。分层模式下每个颜色图层单独追踪，
+ * 相邻图层之间的缝隙只能靠 1px 同色描边遮盖；这里把颜色分配图看作平面图：
+ *   1. 相邻两种颜色之间的边界只追踪一次，在交汇点（3 种及以上颜色相遇处）断开为弧
+ *   2. 每条弧只平滑、拟合一次
+ *   3. 两侧区域共用同一条弧（一侧正向、一侧反向），填充精确相接，无重叠也无描边
+ *
+ * 坐标系：顶点位于像素角点，(x, y) 为第 x 列、第 y 行像素的左上角
+ */
+
+import { simplifyRDP, simplifyRDPClosed, reduceVTracer } from './path-smooth.js';
+import { fitCurve } from './curve-fitter.js';
+import { serializePathData } from './path-data.js';
+import { buildContourHierarchy, buildShapes } from './contour-hierarchy.js';
+import { computeMinNoiseArea } from './layer-tracer.js';
+import { toLogger } from './logger.js';
+import { colorOpacity } from './utils.js';
+
+// 透明像素 / 图像外部的标记，不生成填充
+const EMPTY = 255;
+
+const noopCheckpoint = async () => {};
+
+// 厚度低于此值的区域，两侧弧的平滑 / 拟合容差按比例收紧（最低 MIN_DETAIL 倍）
+const THIN_REGION = 4;
+const MIN_DETAIL = 0.25;
+
+/**
+ * 合并小区域：面积小于 minArea 的连通区域（4 连通）并入与它接触最多的相邻颜色
+ * 平面图中不能像分层模式那样直接丢弃噪点，否则会留下空洞
+ *
+ * @param {Uint8Array} labels - 每个像素的调色板索引，255 = 透明（原地修改）
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @param {number} minArea - 最小区域面积（像素）
+ * @param {number} maxPasses - 最多迭代次数（小区域可能先并入另一个随后被合并的小区域）
+ * @returns {number} 合并的区域数
+ */
+export function mergeSmallRegions(labels, width, height, minArea, maxPasses = 4) {
+    if (minArea <= 1) return 0;
+
+    let total = 0;
+    for (let pass = 0; pass < maxPasses; pass++) {
+        const merged = mergeSmallRegionsPass(labels, width, height, minArea);
+        total += merged;
+        if (merged === 0) break;
+    }
+    return total;
+}
+
+function mergeSmallRegionsPass(labels, width, height, minArea) {
+    const len = width * height;
+    const visited = new Uint8Array(len);
+    const stack = new Int32Array(len);
+    const region = [];
+    let merged = 0;
+
+    for (let start = 0; start < len; start++) {
+        if (visited[start] || labels[start] === EMPTY) continue;
+
+        // 洪水填充收集区域
+        const label = labels[start];
+        region.length = 0;
+        let top = 0;
+        stack[top++] = start;
+        visited[start] = 1;
+        while (top > 0) {
+            const idx = stack[--top];
+            region.push(idx);
+            const x = idx % width;
+            if (x > 0 && !visited[idx - 1] && labels[idx - 1] === label) { visited[idx - 1] = 1; stack[top++] = idx - 1; }
+            if (x < width - 1 && !visited[idx + 1] && labels[idx + 1] === label) { visited[idx + 1] = 1; stack[top++] = idx + 1; }
+            if (idx >= width && !visited[idx - width] && labels[idx - width] === label) { visited[idx - width] = 1; stack[top++] = idx - width; }
+            if (idx + width < len && !visited[idx + width] && labels[idx + width] === label) { visited[idx + width] = 1; stack[top++] = idx + width; }
+        }
+
+        if (region.length >= minArea) continue;
+
+        // 统计相邻颜色（按接触边数）
+        const counts = new Map();
+        const touch = (n) => {
+            const l = labels[n];
+            if (l !== label && l !== EMPTY) counts.set(l, (counts.get(l) || 0) + 1);
+        };
+        for (const idx of region) {
+            const x = idx % width;
+            if (x > 0) touch(idx - 1);
+            if (x < width - 1) touch(idx + 1);
+            if (idx >= width) touch(idx - width);
+            if (idx + width < len) touch(idx + width);
+        }
+
+        let best = -1, bestCount = 0;
+        for (const [l, c] of counts) {
+            if (c > bestCount) { best = l; bestCount = c; }
+        }
+        if (best === -1) continue;
+
+        for (const idx of region) labels[idx] = best;
+        merged++;
+    }
+
+    return merged;
+}
+
+/**
+ * 区域厚度：每个 4 连通区域的 2 × 面积 / 周长（1px 宽的细条约为 1）
+ * 细区域两侧的弧平滑过度会相互交叉，拟合时据此收紧容差
+ *
+ * @returns {Object} { ids, thickness }：ids[像素] 为区域编号（透明为 -1），thickness[区域编号] 为厚度
+ */
+function measureRegions(labels, width, height) {
+    const len = width * height;
+    const ids = new Int32Array(len).fill(-1);
+    const stack = new Int32Array(len);
+    const thickness = [];
+
+    for (let start = 0; start < len; start++) {
+        if (ids[start] !== -1 || labels[start] === EMPTY) continue;
+
+        const id = thickness.length;
+        const label = labels[start];
+        let area = 0, perimeter = 0, top = 0;
+        stack[top++] = start;
+        ids[start] = id;
+        while (top > 0) {
+            const idx = stack[--top];
+            const x = idx % width;
+            area++;
+            const neighbours = [
+                x > 0 ? idx - 1 : -1,
+                x < width - 1 ? idx + 1 : -1,
+                idx >= width ? idx - width : -1,
+                idx + width < len ? idx + width : -1
+            ];
+            for (const n of neighbours) {
+                if (n === -1 || labels[n] !== label) {
+                    perimeter++;
+                } else if (ids[n] === -1) {
+                    ids[n] = id;
+                    stack[top++] = n;
+                }
+            }
+        }
+        thickness.push(2 * area / perimeter);
+    }
+
+    return { ids, thickness };
+}
+
+/**
+ * 提取边界弧
+ * 相邻像素颜色不同处为边界边；边界在交汇点（度数 ≥ 3 的顶点，以及棋盘格式的对角相接点）断开，
+ * 没有交汇点的边界（如完全被另一颜色包围的区域）形成闭合弧
+ *
+ * @param {Uint8Array} labels - 每个像素的调色板索引，255 = 透明
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {Array} 弧数组 [{ points, left, right, leftPixel, rightPixel, closed }]
+ *   points 为像素角点序列，沿行进方向 left 颜色在左侧、right 颜色在右侧（y 轴向下的屏幕坐标）
+ *   leftPixel / rightPixel 为第一条边两侧的像素下标（图像外为 -1）
+ */
+export function extractBoundaryArcs(labels, width, height) {
+    const W = width, H = height;
+    const label = (x, y) => (x < 0 || y < 0 || x >= W || y >= H) ? EMPTY : labels[y * W + x];
+
+    // 水平边 (x, y)：位于像素 (x, y-1) 与 (x, y) 之间，从顶点 (x, y) 到 (x+1, y)
+    // 垂直边 (x, y)：位于像素 (x-1, y) 与 (x, y) 之间，从顶点 (x, y) 到 (x, y+1)
+    const hEdge = (x, y) => x >= 0 && x < W && y >= 0 && y <= H && label(x, y - 1) !== label(x, y);
+    const vEdge = (x, y) => y >= 0 && y < H && x >= 0 && x <= W && label(x - 1, y) !== label(x, y);
+    const hVisited = new Uint8Array(W * (H + 1));
+    const vVisited = new Uint8Array((W + 1) * H);
+
+    // 顶点的四条边界边：[dx, dy, 是否存在]
+    const incident = (x, y) => [
+        [1, 0, hEdge(x, y)],
+        [-1, 0, hEdge(x - 1, y)],
+        [0, 1, vEdge(x, y)],
+        [0, -1, vEdge(x, y - 1)]
+    ].filter(e => e[2]);
+
+    const isJunction = (x, y) => incident(x, y).length !== 2;
+
+    // 边的访问标记
+    const visit = (x, y, dx, dy) => {
+        if (dy === 0) {
+            const i = y * W + (dx > 0 ? x : x - 1);
+            if (hVisited[i]) return false;
+            hVisited[i] = 1;
+        } else {
+            const i = (dy > 0 ? y : y - 1) * (W + 1) + x;
+            if (vVisited[i]) return false;
+            vVisited[i] = 1;
+        }
+        return true;
+    };
+
+    // 沿 (dx, dy) 方向离开顶点 (x, y) 时左右两侧的像素下标（图像外为 -1）
+    const pixel = (x, y) => (x < 0 || y < 0 || x >= W || y >= H) ? -1 : y * W + x;
+    const sides = (x, y, dx, dy) => {
+        if (dx > 0) return [pixel(x, y - 1), pixel(x, y)];
+        if (dx < 0) return [pixel(x - 1, y), pixel(x - 1, y - 1)];
+        if (dy > 0) return [pixel(x, y), pixel(x - 1, y)];
+        return [pixel(x - 1, y - 1), pixel(x, y - 1)];
+    };
+    const labelAt = (i) => i === -1 ? EMPTY : labels[i];
+
+    // 从顶点出发沿一条边行进，直到遇到交汇点或回到起点
+    const walk = (sx, sy, dx, dy) => {
+        const [leftPixel, rightPixel] = sides(sx, sy, dx, dy);
+        const points = [{ x: sx, y: sy }];
+        let x = sx, y = sy;
+        visit(x, y, dx, dy);
+        for (;;) {
+            x += dx; y += dy;
+            points.push({ x, y });
+            if ((x === sx && y === sy) || isJunction(x, y)) break;
+            // 度数为 2：沿另一条边继续
+            const next = incident(x, y).find(e => !(e[0] === -dx && e[1] === -dy));
+            dx = next[0]; dy = next[1];
+            visit(x, y, dx, dy);
+        }
+        return {
+            points,
+            left: labelAt(leftPixel),
+            right: labelAt(rightPixel),
+            leftPixel,
+            rightPixel,
+            closed: x === sx && y === sy && !isJunction(sx, sy)
+        };
+    };
+
+    const arcs = [];
+
+    // 1. 从每个交汇点出发
+    for (let y = 0; y <= H; y++) {
+        for (let x = 0; x <= W; x++) {
+            const edges = incident(x, y);
+            if (edges.length === 0 || edges.length === 2) continue;
+            for (const [dx, dy] of edges) {
+                const visitedAlready = dy === 0
+                    ? hVisited[y * W + (dx > 0 ? x : x - 1)]
+                    : vVisited[(dy > 0 ? y : y - 1) * (W + 1) + x];
+                if (!visitedAlready) arcs.push(walk(x, y, dx, dy));
+            }
+        }
+    }
+
+    // 2. 剩余的边界都属于没有交汇点的闭合环
+    for (let y = 0; y <= H; y++) {
+        for (let x = 0; x < W; x++) {
+            if (!hVisited[y * W + x] && hEdge(x, y)) arcs.push(walk(x, y, 1, 0));
+        }
+    }
+
+    return arcs;
+}
+
+/**
+ * 单条弧的平滑与曲线拟合，端点（交汇点）保持不动
+ * @returns {Array} 路径段（不含起点 M），从弧起点到终点
+ */
+function fitArc(arc, { isPixelArt, pathTolerance, width, height, detail = 1 }) {
+    let pts = arc.points;
+    const closed = arc.closed;
+
+    // 沿图像边框的弧保持原样（只去掉共线点），否则平滑会切掉图像的角
+    const onBorder = pts.every(p => p.x === 0 || p.y === 0 || p.x === width || p.y === height);
+    if (onBorder) {
+        const simplified = closed
+            ? simplifyRDPClosed(pts.slice(0, -1), 0.01)
+            : simplifyRDP(pts, 0.01);
+        return polylineSegments(simplified, closed);
+    }
+
+    // 像素画：保持像素边缘，只做 RDP（0.75 抹平 1px 抖动）
+    if (isPixelArt) {
+        const simplified = closed
+            ? simplifyRDPClosed(pts.slice(0, -1), 0.75)
+            : simplifyRDP(pts, 0.75);
+        return polylineSegments(simplified, closed);
+    }
+
+    // 1. 去阶梯：内部点替换为像素边中点，端点保留
+    if (closed) {
+        const ring = pts.slice(0, -1);
+        pts = ring.map((p, i) => {
+            const q = ring[(i + 1) % ring.length];
+            return { x: (p.x + q.x) / 2, y: (p.y + q.y) / 2 };
+        });
+    } else if (pts.length > 2) {
+        const mids = [pts[0]];
+        for (let i = 0; i < pts.length - 1; i++) {
+            mids.push({ x: (pts[i].x + pts[i + 1].x) / 2, y: (pts[i].y + pts[i + 1].y) / 2 });
+        }
+        mids.push(pts[pts.length - 1]);
+        pts = mids;
+    }
+
+    // 2. 简化（容差随长度变化，与分层模式一致）
+    const perimeter = arc.points.length;
+    const epsilon = (perimeter < 50 ? 0.4 : perimeter < 100 ? 0.5 : 0.6) * detail;
+    pts = closed ? simplifyRDPClosed(pts, epsilon) : reduceVTracer(pts, epsilon);
+
+    // 短弧直接用折线
+    if (pts.length < 4) return polylineSegments(pts, closed);
+
+    // 3. 在角点处断开，分段拟合
+    const corners = [];
+    for (let i = closed ? 0 : 1; i < (closed ? pts.length : pts.length - 1); i++) {
+        const prev = pts[(i - 1 + pts.length) % pts.length];
+        const curr = pts[i];
+        const next = pts[(i + 1) % pts.length];
+        const v1x = prev.x - curr.x, v1y = prev.y - curr.y;
+        const v2x = next.x - curr.x, v2y = next.y - curr.y;
+        const len1 = Math.hypot(v1x, v1y), len2 = Math.hypot(v2x, v2y);
+        if (len1 === 0 || len2 === 0) continue;
+        const cos = Math.max(-1, Math.min(1, (v1x * v2x + v1y * v2y) / (len1 * len2)));
+        if (Math.acos(cos) * 180 / Math.PI < 140) corners.push(i);
+    }
+
+    let pieces;
+    if (closed) {
+        // 闭合弧从第一个角点开始；没有角点时整体拟合
+        const start = corners.length > 0 ? corners[0] : 0;
+        const ring = pts.slice(start).concat(pts.slice(0, start), [pts[start]]);
+        const cuts = corners.map(c => (c - start + pts.length) % pts.length).concat([pts.length]);
+        pieces = splitAt(ring, cuts);
+    } else {
+        pieces = splitAt(pts, corners.concat([pts.length - 1]));
+    }
+
+    const baseError = Math.max(0.8, pathTolerance);
+    const sizeBonus = perimeter > 100 ? Math.min(0.5, (perimeter - 100) / 500) : 0;
+    // fitCurve 的误差是距离的平方
+    const fitError = (baseError + sizeBonus) * detail * detail;
+
+    const segments = [];
+    for (const piece of pieces) {
+        if (piece.length < 3) {
+            const end = piece[piece.length - 1];
+            segments.push(['L', end.x, end.y]);
+            continue;
+        }
+        const curves = fitCurve(piece.map(p => [p.x, p.y]), fitError);
+        for (const c of curves) {
+            segments.push(['C', c[1][0], c[1][1], c[2][0], c[2][1], c[3][0], c[3][1]]);
+        }
+    }
+    return segments;
+}
+
+/**
+ * 按下标（递增，最后一个为终点）把点序列切成首尾相接的片段
+ */
+function splitAt(points, cuts) {
+    const pieces = [];
+    let from = 0;
+    for (const to of cuts) {
+        if (to <= from) continue;
+        pieces.push(points.slice(from, to + 1));
+        from = to;
+    }
+    return pieces;
+}
+
+/**
+ * 折线 → 路径段（不含起点 M）
+ */
+function polylineSegments(points, closed) {
+    const segments = [];
+    for (let i = 1; i < points.length; i++) segments.push(['L', points[i].x, points[i].y]);
+    if (closed) segments.push(['L', points[0].x, points[0].y]);
+    return segments;
+}
+
+/**
+ * 反转路径段：从 end 出发回到 start
+ */
+function reverseSegments(start, segments) {
+    const out = [];
+    for (let i = segments.length - 1; i >= 0; i--) {
+        const seg = segments[i];
+        const prev = i > 0 ? segments[i - 1] : null;
+        const px = prev ? prev[prev.length - 2] : start.x;
+        const py = prev ? prev[prev.length - 1] : start.y;
+        if (seg[0] === 'C') out.push(['C', seg[3], seg[4], seg[1], seg[2], px, py]);
+        else out.push(['L', px, py]);
+    }
+    return out;
+}
+
+/**
+ * 把某一颜色的边界弧连接成环
+ * 在对角相接的顶点处优先左转（绕开对角像素），让区域按 4 连通分开
+ *
+ * @returns {Array} 环 [{ points, segments, area }]，area 为有向面积（外轮廓为正、孔洞为负）
+ */
+function assembleRings(uses) {
+    const byStart = new Map();
+    for (const use of uses) {
+        const key = `${use.start.x},${use.start.y}`;
+        if (!byStart.has(key)) byStart.set(key, []);
+        byStart.get(key).push(use);
+    }
+
+    const rings = [];
+    for (const first of uses) {
+        if (first.used) continue;
+
+        const chain = [first];
+        first.used = true;
+        let current = first;
+        for (;;) {
+            const candidates = byStart.get(`${current.end.x},${current.end.y}`) || [];
+            // 叉积越小越偏左转（y 轴向下）
+            let next = null, bestCross = Infinity;
+            for (const c of candidates) {
+                const cross = current.endDir.x * c.startDir.y - current.endDir.y * c.startDir.x;
+                if (cross < bestCross) { bestCross = cross; next = c; }
+            }
+            if (!next || next === first || next.used) break;
+            next.used = true;
+            chain.push(next);
+            current = next;
+        }
+
+        const points = [];
+        const segments = [['M', first.start.x, first.start.y]];
+        for (const use of chain) {
+            points.push(...use.points.slice(0, -1));
+            segments.push(...use.segments);
+        }
+        segments.push(['Z']);
+
+        // 有向面积：沿边界行进时区域在左侧，y 轴向下时外轮廓的鞋带公式和为负
+        let sum = 0;
+        for (let i = 0; i < points.length; i++) {
+            const p = points[i], q = points[(i + 1) % points.length];
+            sum += p.x * q.y - q.x * p.y;
+        }
+        rings.push({ points, segments, area: -sum / 2 });
+    }
+    return rings;
+}
+
+/**
+ * 共享边界追踪所有颜色图层
+ *
+ * @param {Object} ctx - 图层上下文（见 layer-tracer.js 的 traceLayer）
+ * @param {Object} hooks - 可选 { checkpoint, logger }
+ * @returns {Promise<Array>} 图层数组（调色板顺序，无区域的颜色不输出）
+ *   每个图层 { color, colorRgb, opacity, paths, shapes, area }（渐变图层另有 gradient），与分层模式格式相同，路径不带描边
+ */
+export async function traceSharedLayers(ctx, hooks = {}) {
+    const {
+        imageData: workingData,
+        pixelColorMap,
+        palette,
+        useLuminance,
+        otsuThreshold,
+        isPixelArt,
+        preset,
+        pathTolerance,
+        gradients = null
+    } = ctx;
+    const { width, height } = workingData;
+    const { checkpoint = noopCheckpoint, logger = null } = hooks;
+    const log = toLogger(logger);
+
+    const layerCount = palette.length;
+    const progress = (stage, contourIndex = 0, contourCount = 0) =>
+        ({ stage, layerIndex: 0, layerCount, contourIndex, contourCount });
+
+    // 颜色分配图：二值模式下按亮度阈值生成（前景 = 0，背景不填充）
+    const labels = new Uint8Array(width * height);
+    if (useLuminance) {
+        const data = workingData.data;
+        for (let i = 0; i < labels.length; i++) {
+            const idx = i * 4;
+            const lum = 0.299 * data[idx] + 0.587 * data[idx + 1] + 0.114 * data[idx + 2];
+            labels[i] = data[idx + 3] > 128 && lum < otsuThreshold ? 0 : EMPTY;
+        }
+    } else {
+        labels.set(pixelColorMap);
+    }
+
+    await checkpoint(progress('bitmap'));
+
+    const minNoiseArea = computeMinNoiseArea(width, height, isPixelArt, preset);
+    const merged = mergeSmallRegions(labels, width, height, minNoiseArea);
+    log.debug('planar.merge', `合并 ${merged} 个小区域 (< ${minNoiseArea.toFixed(0)}px)`, { merged, minNoiseArea });
+
+    await checkpoint(progress('trace'));
+    const regions = measureRegions(labels, width, height);
+    const detailOf = (pixel) => pixel === -1 || regions.ids[pixel] === -1
+        ? 1
+        : Math.max(MIN_DETAIL, Math.min(1, regions.thickness[regions.ids[pixel]] / THIN_REGION));
+    const arcs = extractBoundaryArcs(labels, width, height);
+    log.debug('planar.arcs', `共享边界: ${arcs.length} 条弧`, { arcCount: arcs.length });
+
+    // 每条弧只拟合一次，分配给两侧的颜色
+    const usesByLabel = new Map();
+    const addUse = (l, use) => {
+        if (l === EMPTY) return;
+        if (!usesByLabel.has(l)) usesByLabel.set(l, []);
+        usesByLabel.get(l).push(use);
+    };
+
+    for (let i = 0; i < arcs.length; i++) {
+        await checkpoint(progress('fit', i, arcs.length));
+        const arc = arcs[i];
+        const pts = arc.points;
+        const start = pts[0], end = pts[pts.length - 1];
+        const firstDir = { x: pts[1].x - start.x, y: pts[1].y - start.y };
+        const lastDir = { x: end.x - pts[pts.length - 2].x, y: end.y - pts[pts.length - 2].y };
+
+        const detail = Math.min(detailOf(arc.leftPixel), detailOf(arc.rightPixel));
+        const segments = fitArc(arc, { isPixelArt, pathTolerance, width, height, detail });
+        // 闭合弧的拟合结果可能不经过原始起点，以拟合后的首点为准
+        const fitStart = arc.closed ? segments[segments.length - 1] : null;
+        const from = fitStart ? { x: fitStart[fitStart.length - 2], y: fitStart[fitStart.length - 1] } : start;
+
+        addUse(arc.left, {
+            start: from, end: arc.closed ? from : end, startDir: firstDir, endDir: lastDir,
+            points: pts, segments
+        });
+        addUse(arc.right, {
+            start: arc.closed ? from : end, end: from,
+            startDir: { x: -lastDir.x, y: -lastDir.y }, endDir: { x: -firstDir.x, y: -firstDir.y },
+            points: pts.slice().reverse(), segments: reverseSegments(from, segments)
+        });
+    }
+
+    const layers = [];
+    for (let colorIdx = 0; colorIdx < palette.length; colorIdx++) {
+        const uses = usesByLabel.get(colorIdx);
+        if (!uses) continue;
+
+        const rings = assembleRings(uses);
+        const contours = rings.map(r => ({ points: r.points, area: r.area, type: r.area >= 0 ? 'outer' : 'inner' }));
+        const hierarchy = buildContourHierarchy(contours);
+        const shapes = buildShapes(
+            rings.map((r, index) => ({ segments: r.segments, area: Math.abs(r.area), isHole: r.area < 0, index })),
+            hierarchy,
+            'planar'
+        );
+
+        const color = palette[colorIdx];
+        const colorStr = `rgb(${color[0]},${color[1]},${color[2]})`;
+        const gradient = gradients ? gradients[colorIdx] : null;
+        const layer = {
+            color: colorStr,
+            colorRgb: color.slice(0, 3),
+            opacity: colorOpacity(color),
+            shapes,
+            area: shapes.reduce((sum, shape) => sum + shape.area, 0),
+            paths: [{
+                d: rings.map(r => serializePathData(r.segments)).join(' '),
+                fill: gradient ? `url(#${gradient.id})` : colorStr,
+                fillOpacity: colorOpacity(color),
+                // 外轮廓与孔洞方向相反，nonzero 与 evenodd 结果一致
+                fillRule: 'nonzero',
+                stroke: 'none',
+                strokeWidth: 0,
+                strokeLineJoin: 'round'
+            }]
+        };
+        if (gradient) layer.gradient = gradient;
+        layers.push(layer);
+    }
+
+    return layers;
+}
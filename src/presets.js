@@ -36,6 +36,19 @@ export const PRESETS = {
         morphology: false,     // 关闭形态学，避免线条变粗
         contourMethod: 'vtracer'  // 'vtracer' 实验中，暂用 marching
     },
+    calligraphy: {
+        preset: 'calligraphy',
+        numColors: 2,
+        colorTolerance: 60,
+        pathTolerance: 0.5,
+        smoothness: 1.5,
+        minPathLength: 16,
+        mode: 'centerline',    // 沿骨架追踪笔画
+        variableWidth: true,   // 保留毛笔 / 书法的粗细变化
+        binaryMode: true,
+        blurSigma: 0.5,
+        morphology: false
+    },
     photo: {
         preset: 'photo',
         numColors: 64,
@@ -57,6 +70,17 @@ export const PRESETS = {
         blurSigma: 0,          // 关闭模糊，保留锐利边缘
         morphology: false      // 不做形态学处理
     },
+    scan: {
+        preset: 'scan',
+        numColors: 8,          // 扫描件通常是少量油墨色
+        colorTolerance: 35,
+        pathTolerance: 0.5,
+        smoothness: 1.5,
+        minPathLength: 32,     // 去网纹后仍可能残留少量斑点
+        mode: 'spline',
+        blurSigma: 0.5,
+        descreen: true         // 量化前去除半色调网点 / 抖动
+    },
     simple: {
         preset: 'simple',
         numColors: 8,
@@ -0,0 +1,564 @@
+/**
+ * Vecburner - 几何图元识别模块
+ *
+ * Logo 里的正圆、矩形追踪后会变成 8~20 个节点的三次曲线。这里在追踪之后逐个检查形状的外轮廓：
+ *   - 圆：代数拟合（Kåsa），检查各点到圆的距离
+ *   - 矩形：凸包上的最小面积外接矩形（可旋转），按面积缺口估计圆角半径，用圆角矩形的距离场检查
+ *   - 椭圆：代数二次曲线拟合，用 Sampson 距离检查
+ * 所有轮廓点都落在容差内时，SVG 输出 <circle> / <rect> / <ellipse>，细长矩形输出 <line>
+ * 中心线模式的笔画：直的开放笔画输出 <line>，闭合笔画同样尝试圆、矩形和椭圆
+ *
+ * 图元对象（坐标为工作尺寸）：
+ *   { type: 'circle', cx, cy, r }
+ *   { type: 'ellipse', cx, cy, rx, ry, angle }
+ *   { type: 'rect', x, y, width, height, rx, angle }   angle 为绕矩形中心的旋转角（度）
+ *   { type: 'line', x1, y1, x2, y2, width }
+ */
+
+import { formatNumber, arcToCubics } from './path-data.js';
+import { toLogger } from './logger.js';
+
+// 外接框短边小于此值（像素）的轮廓不识别
+const MIN_SIZE = 4;
+// 重采样后轮廓点数上限
+const MAX_SAMPLES = 512;
+// 长宽比不小于此值的直角矩形输出为线段
+const LINE_ASPECT = 8;
+// 曲线段展平的采样数
+const CURVE_STEPS = 8;
+// 外接矩形偏离水平小于此角度（弧度，约 3°）时优先尝试轴对齐
+const SNAP_ANGLE = 3 * Math.PI / 180;
+
+/**
+ * 识别结果中的图元并替换图层路径（原地修改 layers）
+ * 有孔洞的形状保持为路径；识别出的形状各自输出一个带 primitive 字段的路径，
+ * 其余形状仍合并为一条路径。shape.primitive / stroke.primitive 记录识别结果
+ *
+ * @param {Array} layers - vectorize() 的图层
+ * @param {Object} options - 可选 { tolerance, logger }
+ * @param {number} options.tolerance - 轮廓点到图元边界的最大距离（工作尺寸像素，默认 1.5）
+ * @returns {Object} 各类图元的数量 { circle, ellipse, rect, line }
+ */
+export function recognizePrimitives(layers, options = {}) {
+    const { tolerance = 1.5, logger = null } = options;
+    const log = toLogger(logger);
+    const counts = { circle: 0, ellipse: 0, rect: 0, line: 0 };
+
+    for (const layer of layers) {
+        if (layer.strokes) {
+            // 中心线：等宽描边的笔画，变宽轮廓保持为路径
+            layer.strokes.forEach((stroke, i) => {
+                if (stroke.outline) return;
+                let primitive = fitPrimitive(stroke.points, tolerance, { closed: stroke.closed, lines: false });
+                if (!primitive) return;
+                if (primitive.type === 'line') primitive = { ...primitive, width: stroke.width };
+                stroke.primitive = primitive;
+                layer.paths[i] = { ...layer.paths[i], primitive };
+                counts[primitive.type]++;
+            });
+            continue;
+        }
+        if (layer.paths.length !== 1) continue;
+
+        const base = layer.paths[0];
+        const kept = [];
+        const matched = [];
+        for (const shape of layer.shapes) {
+            const primitive = shape.holes.length === 0
+                ? fitPrimitive(flattenSegments(shape.outer.segments), tolerance, { lines: base.fillOpacity === 1 })
+                : null;
+            if (primitive) {
+                shape.primitive = primitive;
+                matched.push(primitivePath(base, shape, primitive));
+                counts[primitive.type]++;
+            } else {
+                kept.push(shape);
+            }
+        }
+        if (matched.length === 0) continue;
+        layer.paths = kept.length > 0 ? [{ ...base, d: kept.map(shape => shape.d).join(' ') }, ...matched] : matched;
+    }
+
+    const total = counts.circle + counts.ellipse + counts.rect + counts.line;
+    log.info('primitives.recognized', `识别几何图元 ${total} 个 (圆 ${counts.circle}, 椭圆 ${counts.ellipse}, 矩形 ${counts.rect}, 线段 ${counts.line})`,
+        { ...counts, tolerance });
+    return counts;
+}
+
+/**
+ * 填充形状的图元路径：沿用图层的填充和缝隙描边
+ * 线段改用描边绘制：描边宽度为矩形短边加缝隙描边宽度，两端各延长半个缝隙描边
+ */
+function primitivePath(base, shape, primitive) {
+    if (primitive.type !== 'line') return { ...base, d: shape.d, primitive };
+
+    const seam = base.strokeWidth || 0;
+    const dx = primitive.x2 - primitive.x1, dy = primitive.y2 - primitive.y1;
+    const len = Math.hypot(dx, dy);
+    const ux = dx / len * seam / 2, uy = dy / len * seam / 2;
+    return {
+        ...base,
+        d: shape.d,
+        fill: 'none',
+        stroke: base.fill,
+        strokeWidth: round(primitive.width + seam),
+        strokeLineCap: 'butt',
+        strokeLineJoin: 'miter',
+        primitive: {
+            ...primitive,
+            x1: round(primitive.x1 - ux), y1: round(primitive.y1 - uy),
+            x2: round(primitive.x2 + ux), y2: round(primitive.y2 + uy)
+        }
+    };
+}
+
+/**
+ * 检查点序列是否为几何图元
+ * @param {Array} points - 轮廓点 [{x, y}, ...]
+ * @param {number} tolerance - 允许的最大偏差（像素）
+ * @param {Object} options - 可选 { closed, lines }
+ * @param {boolean} options.closed - 是否闭合（默认 true）；开放折线只检查线段
+ * @param {boolean} options.lines - 闭合轮廓的细长矩形是否输出为线段（默认 true）
+ * @returns {Object|null} 图元，不匹配时返回 null
+ */
+export function fitPrimitive(points, tolerance = 1.5, options = {}) {
+    const { closed = true, lines = true } = options;
+    if (points.length < 2) return null;
+    if (!closed) return fitLine(points, tolerance);
+    if (points.length < 4) return null;
+
+    const pts = resampleRing(points);
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    for (const p of pts) {
+        if (p.x < minX) minX = p.x;
+        if (p.x > maxX) maxX = p.x;
+        if (p.y < minY) minY = p.y;
+        if (p.y > maxY) maxY = p.y;
+    }
+    if (Math.min(maxX - minX, maxY - minY) < MIN_SIZE) return null;
+
+    return fitCircle(pts, tolerance)
+        || fitRect(pts, tolerance, lines)
+        || fitEllipse(pts, tolerance);
+}
+
+/**
+ * 图元 → SVG 元素
+ * @param {Object} primitive - 图元
+ * @param {string} paint - 填充 / 描边属性（如 'fill="..." stroke="..."'）
+ */
+export function primitiveElement(primitive, paint) {
+    const f = (v) => formatNumber(v);
+    const rotate = (angle, cx, cy) => angle ? ` transform="rotate(${f(angle)} ${f(cx)} ${f(cy)})"` : '';
+    switch (primitive.type) {
+        case 'circle':
+            return `<circle cx="${f(primitive.cx)}" cy="${f(primitive.cy)}" r="${f(primitive.r)}" ${paint}/>`;
+        case 'ellipse': {
+            const { cx, cy, rx, ry, angle } = primitive;
+            return `<ellipse cx="${f(cx)}" cy="${f(cy)}" rx="${f(rx)}" ry="${f(ry)}"${rotate(angle, cx, cy)} ${paint}/>`;
+        }
+        case 'rect': {
+            const { x, y, width, height, rx, angle } = primitive;
+            const corner = rx > 0 ? ` rx="${f(rx)}"` : '';
+            return `<rect x="${f(x)}" y="${f(y)}" width="${f(width)}" height="${f(height)}"${corner}${rotate(angle, x + width / 2, y + height / 2)} ${paint}/>`;
+        }
+        case 'line':
+            return `<line x1="${f(primitive.x1)}" y1="${f(primitive.y1)}" x2="${f(primitive.x2)}" y2="${f(primitive.y2)}" ${paint}/>`;
+        default:
+            throw new Error(`[Vecburner] 未知的图元类型: ${primitive.type}`);
+    }
+}
+
+/**
+ * 图元的缩放和平移（与 transformSegments 一致）
+ * 非等比缩放时圆变为椭圆；旋转的椭圆 / 矩形和线宽按两个比例的几何平均近似
+ */
+export function transformPrimitive(primitive, scaleX = 1, scaleY = 1, offsetX = 0, offsetY = 0) {
+    const s = Math.sqrt(Math.abs(scaleX * scaleY));
+    const tx = (x) => round(x * scaleX + offsetX);
+    const ty = (y) => round(y * scaleY + offsetY);
+    const sx = (v, angle) => round(v * (angle ? s : Math.abs(scaleX)));
+    const sy = (v, angle) => round(v * (angle ? s : Math.abs(scaleY)));
+    switch (primitive.type) {
+        case 'circle':
+            if (Math.abs(scaleX) === Math.abs(scaleY)) {
+                return { ...primitive, cx: tx(primitive.cx), cy: ty(primitive.cy), r: sx(primitive.r, 0) };
+            }
+            return { type: 'ellipse', cx: tx(primitive.cx), cy: ty(primitive.cy), rx: sx(primitive.r, 0), ry: sy(primitive.r, 0), angle: 0 };
+        case 'ellipse': {
+            const { angle } = primitive;
+            return { ...primitive, cx: tx(primitive.cx), cy: ty(primitive.cy), rx: sx(primitive.rx, angle), ry: sy(primitive.ry, angle) };
+        }
+        case 'rect': {
+            // 绕中心旋转：先变换中心，再由尺寸还原左上角
+            const { angle } = primitive;
+            const width = sx(primitive.width, angle), height = sy(primitive.height, angle);
+            const cx = tx(primitive.x + primitive.width / 2), cy = ty(primitive.y + primitive.height / 2);
+            return { ...primitive, x: round(cx - width / 2), y: round(cy - height / 2), width, height, rx: round(primitive.rx * s) };
+        }
+        case 'line':
+            return {
+                ...primitive, x1: tx(primitive.x1), y1: ty(primitive.y1), x2: tx(primitive.x2), y2: ty(primitive.y2),
+                width: round(primitive.width * s)
+            };
+        default:
+            return primitive;
+    }
+}
+
+// ============ 拟合 ============
+
+/**
+ * 开放折线：主方向（协方差矩阵的主轴）上的直线，所有点都在容差内时为线段，首尾点投影为端点
+ */
+function fitLine(points, tolerance) {
+    let mx = 0, my = 0;
+    for (const p of points) { mx += p.x; my += p.y; }
+    mx /= points.length;
+    my /= points.length;
+    let sxx = 0, sxy = 0, syy = 0;
+    for (const p of points) {
+        const dx = p.x - mx, dy = p.y - my;
+        sxx += dx * dx;
+        sxy += dx * dy;
+        syy += dy * dy;
+    }
+    const theta = 0.5 * Math.atan2(2 * sxy, sxx - syy);
+    const ux = Math.cos(theta), uy = Math.sin(theta);
+    for (const p of points) {
+        if (Math.abs(-(p.x - mx) * uy + (p.y - my) * ux) > tolerance) return null;
+    }
+    const along = (p) => (p.x - mx) * ux + (p.y - my) * uy;
+    const t1 = along(points[0]), t2 = along(points[points.length - 1]);
+    if (Math.abs(t2 - t1) < MIN_SIZE) return null;
+    return {
+        type: 'line',
+        x1: round(mx + ux * t1), y1: round(my + uy * t1),
+        x2: round(mx + ux * t2), y2: round(my + uy * t2),
+        width: 0
+    };
+}
+
+/**
+ * 圆：最小化 Σ(x² + y² + Dx + Ey + F)²（Kåsa）
+ */
+function fitCircle(pts, tolerance) {
+    const rows = pts.map(p => [p.x, p.y, 1]);
+    const sol = leastSquares(rows, pts.map(p => -(p.x * p.x + p.y * p.y)));
+    if (!sol) return null;
+    const cx = -sol[0] / 2, cy = -sol[1] / 2;
+    const r2 = cx * cx + cy * cy - sol[2];
+    if (!(r2 > 0)) return null;
+    const r = Math.sqrt(r2);
+    for (const p of pts) {
+        if (Math.abs(Math.hypot(p.x - cx, p.y - cy) - r) > tolerance) return null;
+    }
+    return { type: 'circle', cx: round(cx), cy: round(cy), r: round(r) };
+}
+
+/**
+ * 椭圆：以质心为原点拟合 ax² + bxy + cy² + dx + ey = 1，再化为中心、半轴和旋转角
+ */
+function fitEllipse(pts, tolerance) {
+    let mx = 0, my = 0;
+    for (const p of pts) { mx += p.x; my += p.y; }
+    mx /= pts.length;
+    my /= pts.length;
+    const rows = pts.map(p => {
+        const x = p.x - mx, y = p.y - my;
+        return [x * x, x * y, y * y, x, y];
+    });
+    const sol = leastSquares(rows, pts.map(() => 1));
+    if (!sol) return null;
+    const [a, b, c, d, e] = sol;
+    const det = 4 * a * c - b * b;
+    if (!(det > 0)) return null;
+
+    // 中心：梯度为零
+    const x0 = (b * e - 2 * c * d) / det;
+    const y0 = (b * d - 2 * a * e) / det;
+    // 平移到中心后 a u² + b uv + c v² = k
+    const k = 1 - (d * x0 + e * y0) / 2;
+    if (!(k > 0)) return null;
+
+    // 二次型的特征值与主轴方向
+    const theta = 0.5 * Math.atan2(b, a - c);
+    const cos = Math.cos(theta), sin = Math.sin(theta);
+    const l1 = a * cos * cos + b * cos * sin + c * sin * sin;
+    const l2 = a * sin * sin - b * cos * sin + c * cos * cos;
+    if (!(l1 > 0 && l2 > 0)) return null;
+    const rx = Math.sqrt(k / l1), ry = Math.sqrt(k / l2);
+
+    // Sampson 距离：|f| / |∇f|，f = (u/rx)² + (v/ry)² - 1
+    for (const p of pts) {
+        const px = p.x - mx - x0, py = p.y - my - y0;
+        const u = px * cos + py * sin, v = -px * sin + py * cos;
+        const f = (u * u) / (rx * rx) + (v * v) / (ry * ry) - 1;
+        const g = Math.hypot(2 * u / (rx * rx), 2 * v / (ry * ry));
+        if (g === 0 || Math.abs(f) / g > tolerance) return null;
+    }
+
+    // rx 取长半轴，旋转角归一化到 (-90°, 90°]
+    let angle = theta * 180 / Math.PI + (rx < ry ? 90 : 0);
+    if (angle > 90) angle -= 180;
+    if (Math.abs(angle) < 0.05) angle = 0;
+    return {
+        type: 'ellipse', cx: round(mx + x0), cy: round(my + y0),
+        rx: round(Math.max(rx, ry)), ry: round(Math.min(rx, ry)), angle: round(angle)
+    };
+}
+
+/**
+ * 矩形：凸包各边方向上的外接矩形取面积最小者（旋转卡壳）
+ * 圆角半径由面积缺口估计：(4 - π)·r² = 矩形面积 - 轮廓面积
+ */
+function fitRect(pts, tolerance, lines) {
+    const hull = convexHull(pts);
+    if (hull.length < 3) return null;
+
+    let best = null;
+    for (let i = 0; i < hull.length; i++) {
+        const a = hull[i], b = hull[(i + 1) % hull.length];
+        const len = Math.hypot(b.x - a.x, b.y - a.y);
+        if (len === 0) continue;
+        const box = orientedBox(hull, (b.x - a.x) / len, (b.y - a.y) / len);
+        if (!best || box.width * box.height < best.width * best.height) best = box;
+    }
+    if (!best) return null;
+
+    // 角度归一化到 (-45°, 45°]；接近水平时先尝试轴对齐
+    let angle = Math.atan2(best.uy, best.ux);
+    while (angle > Math.PI / 4) angle -= Math.PI / 2;
+    while (angle <= -Math.PI / 4) angle += Math.PI / 2;
+    const area = Math.abs(ringArea(pts));
+    const candidates = Math.abs(angle) < SNAP_ANGLE ? [0, angle] : [angle];
+    let match = null;
+    for (const a of candidates) {
+        match = matchRect(pts, area, a, tolerance);
+        if (match) {
+            angle = a;
+            break;
+        }
+    }
+    if (!match) return null;
+
+    const { box, rx } = match;
+    const cx = box.cx, cy = box.cy;
+    if (lines && rx === 0 && Math.max(box.width, box.height) >= LINE_ASPECT * Math.min(box.width, box.height)) {
+        // 细长矩形：沿长边方向的中线
+        const horizontal = box.width >= box.height;
+        const half = (horizontal ? box.width : box.height) / 2;
+        const dx = horizontal ? box.ux : -box.uy, dy = horizontal ? box.uy : box.ux;
+        return {
+            type: 'line',
+            x1: round(cx - dx * half), y1: round(cy - dy * half),
+            x2: round(cx + dx * half), y2: round(cy + dy * half),
+            width: round(Math.min(box.width, box.height))
+        };
+    }
+    return {
+        type: 'rect',
+        x: round(cx - box.width / 2),
+        y: round(cy - box.height / 2),
+        width: round(box.width),
+        height: round(box.height),
+        rx: round(rx),
+        angle: round(angle * 180 / Math.PI)
+    };
+}
+
+/**
+ * 给定旋转角的（圆角）矩形，所有点都在容差内时返回 { box, rx }
+ */
+function matchRect(pts, area, angle, tolerance) {
+    const box = refineBox(pts, orientedBox(pts, Math.cos(angle), Math.sin(angle)));
+    if (rectDeviation(pts, box, 0) <= tolerance) return { box, rx: 0 };
+    const radius = Math.min(box.width, box.height) / 2;
+    const rx = Math.min(radius, Math.sqrt(Math.max(0, box.width * box.height - area) / (4 - Math.PI)));
+    if (rx > tolerance && rectDeviation(pts, box, rx) <= tolerance) return { box, rx };
+    return null;
+}
+
+/**
+ * 以 (ux, uy) 为宽度方向的外接矩形 { cx, cy, width, height, ux, uy }
+ */
+function orientedBox(pts, ux, uy) {
+    let minU = Infinity, maxU = -Infinity, minV = Infinity, maxV = -Infinity;
+    for (const p of pts) {
+        const u = p.x * ux + p.y * uy, v = -p.x * uy + p.y * ux;
+        if (u < minU) minU = u;
+        if (u > maxU) maxU = u;
+        if (v < minV) minV = v;
+        if (v > maxV) maxV = v;
+    }
+    const cu = (minU + maxU) / 2, cv = (minV + maxV) / 2;
+    return { cx: cu * ux - cv * uy, cy: cu * uy + cv * ux, width: maxU - minU, height: maxV - minV, ux, uy };
+}
+
+/**
+ * 各边位置取该边中段点的平均值：外接框由极值点决定，会被角点处的拟合过冲撑大
+ */
+function refineBox(pts, box) {
+    const { ux, uy } = box;
+    const cu = box.cx * ux + box.cy * uy, cv = -box.cx * uy + box.cy * ux;
+    const hw = box.width / 2, hh = box.height / 2;
+    const sides = [[0, 0], [0, 0], [0, 0], [0, 0]];
+    for (const p of pts) {
+        const u = p.x * ux + p.y * uy - cu, v = -p.x * uy + p.y * ux - cv;
+        if (Math.abs(v) < hh / 2) sides[u > 0 ? 0 : 1][0] += u, sides[u > 0 ? 0 : 1][1]++;
+        if (Math.abs(u) < hw / 2) sides[v > 0 ? 2 : 3][0] += v, sides[v > 0 ? 2 : 3][1]++;
+    }
+    if (sides.some(side => side[1] === 0)) return box;
+    const [right, left, bottom, top] = sides.map(([sum, count]) => sum / count);
+    const mu = cu + (right + left) / 2, mv = cv + (bottom + top) / 2;
+    return { cx: mu * ux - mv * uy, cy: mu * uy + mv * ux, width: right - left, height: bottom - top, ux, uy };
+}
+
+/**
+ * 轮廓点到（圆角）矩形边界的最大距离（有向距离场的绝对值）
+ */
+function rectDeviation(pts, box, radius) {
+    const hw = box.width / 2 - radius, hh = box.height / 2 - radius;
+    let max = 0;
+    for (const p of pts) {
+        const dx = p.x - box.cx, dy = p.y - box.cy;
+        const qx = Math.abs(dx * box.ux + dy * box.uy) - hw;
+        const qy = Math.abs(-dx * box.uy + dy * box.ux) - hh;
+        const sdf = Math.hypot(Math.max(qx, 0), Math.max(qy, 0)) + Math.min(Math.max(qx, qy), 0) - radius;
+        if (Math.abs(sdf) > max) max = Math.abs(sdf);
+    }
+    return max;
+}
+
+// ============ 几何工具 ============
+
+/**
+ * 路径段（M / L / C / Q / A / Z）展平为点序列，曲线段按参数等分采样，弧线先转为三次曲线
+ */
+function flattenSegments(segments) {
+    const points = [];
+    let x = 0, y = 0;
+    const cubic = (seg) => {
+        for (let k = 1; k <= CURVE_STEPS; k++) {
+            const t = k / CURVE_STEPS, m = 1 - t;
+            points.push({
+                x: m * m * m * x + 3 * m * m * t * seg[1] + 3 * m * t * t * seg[3] + t * t * t * seg[5],
+                y: m * m * m * y + 3 * m * m * t * seg[2] + 3 * m * t * t * seg[4] + t * t * t * seg[6]
+            });
+        }
+        [x, y] = [seg[5], seg[6]];
+    };
+    for (const seg of segments) {
+        switch (seg[0]) {
+            case 'M':
+            case 'L':
+                [x, y] = [seg[1], seg[2]];
+                points.push({ x, y });
+                break;
+            case 'C':
+                cubic(seg);
+                break;
+            case 'A':
+                for (const c of arcToCubics(x, y, seg)) cubic(c);
+                [x, y] = [seg[6], seg[7]];
+                break;
+            case 'Q':
+                for (let k = 1; k <= CURVE_STEPS; k++) {
+                    const t = k / CURVE_STEPS, m = 1 - t;
+                    points.push({
+                        x: m * m * x + 2 * m * t * seg[1] + t * t * seg[3],
+                        y: m * m * y + 2 * m * t * seg[2] + t * t * seg[4]
+                    });
+                }
+                [x, y] = [seg[3], seg[4]];
+                break;
+            default:
+                break;
+        }
+    }
+    return points;
+}
+
+/**
+ * 闭合轮廓按弧长等距重采样，避免点密集的区域主导拟合
+ */
+function resampleRing(points) {
+    const n = points.length;
+    let perimeter = 0;
+    for (let i = 0; i < n; i++) {
+        const a = points[i], b = points[(i + 1) % n];
+        perimeter += Math.hypot(b.x - a.x, b.y - a.y);
+    }
+    const step = Math.max(0.5, perimeter / MAX_SAMPLES);
+    const out = [];
+    let carry = 0;
+    for (let i = 0; i < n; i++) {
+        const a = points[i], b = points[(i + 1) % n];
+        const len = Math.hypot(b.x - a.x, b.y - a.y);
+        let t = carry;
+        while (t < len) {
+            out.push({ x: a.x + (b.x - a.x) * t / len, y: a.y + (b.y - a.y) * t / len });
+            t += step;
+        }
+        carry = t - len;
+    }
+    return out.length >= 4 ? out : points;
+}
+
+function convexHull(pts) {
+    const sorted = pts.slice().sort((a, b) => a.x - b.x || a.y - b.y);
+    const cross = (o, a, b) => (a.x - o.x) * (b.y - o.y) - (a.y - o.y) * (b.x - o.x);
+    const lower = [], upper = [];
+    for (const p of sorted) {
+        while (lower.length >= 2 && cross(lower[lower.length - 2], lower[lower.length - 1], p) <= 0) lower.pop();
+        lower.push(p);
+    }
+    for (let i = sorted.length - 1; i >= 0; i--) {
+        const p = sorted[i];
+        while (upper.length >= 2 && cross(upper[upper.length - 2], upper[upper.length - 1], p) <= 0) upper.pop();
+        upper.push(p);
+    }
+    return lower.slice(0, -1).concat(upper.slice(0, -1));
+}
+
+function ringArea(pts) {
+    let area = 0;
+    for (let i = 0; i < pts.length; i++) {
+        const a = pts[i], b = pts[(i + 1) % pts.length];
+        area += a.x * b.y - b.x * a.y;
+    }
+    return area / 2;
+}
+
+/**
+ * 线性最小二乘：正规方程 + 列主元高斯消元，奇异时返回 null
+ */
+function leastSquares(rows, rhs) {
+    const m = rows[0].length;
+    const A = Array.from({ length: m }, () => new Float64Array(m + 1));
+    for (let r = 0; r < rows.length; r++) {
+        const row = rows[r];
+        for (let i = 0; i < m; i++) {
+            for (let j = 0; j < m; j++) A[i][j] += row[i] * row[j];
+            A[i][m] += row[i] * rhs[r];
+        }
+    }
+    for (let col = 0; col < m; col++) {
+        let pivot = col;
+        for (let r = col + 1; r < m; r++) {
+            if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+        }
+        if (Math.abs(A[pivot][col]) < 1e-12) return null;
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        for (let r = 0; r < m; r++) {
+            if (r === col) continue;
+            const factor = A[r][col] / A[col][col];
+            for (let j = col; j <= m; j++) A[r][j] -= factor * A[col][j];
+        }
+    }
+    return A.map((row, i) => row[m] / row[i]);
+}
+
+function round(v) {
+    return Math.round(v * 100) / 100;
+}
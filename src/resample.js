@@ -0,0 +1,189 @@
+/**
+ * Vecburner - 图像重采样模块
+ *
+ * 纯 JS 实现的图像缩放，不依赖 Canvas / OffscreenCanvas
+ * 可在浏览器、Node.js、Deno 和 Worker 中使用
+ */
+
+/**
+ * 缩放 ImageData
+ * @param {ImageData} imageData - 源图像 { data, width, height }
+ * @param {number} newWidth - 目标宽度
+ * @param {number} newHeight - 目标高度
+ * @param {string} method - 插值算法: 'nearest' | 'bilinear' | 'bicubic'
+ * @returns {Object} ImageData-like 对象 { data, width, height }
+ */
+export function resampleImageData(imageData, newWidth, newHeight, method = 'bilinear') {
+    switch (method) {
+        case 'nearest':
+            return resampleNearest(imageData, newWidth, newHeight);
+        case 'bicubic':
+            return resampleBicubic(imageData, newWidth, newHeight);
+        case 'bilinear':
+            return resampleBilinear(imageData, newWidth, newHeight);
+        default:
+            throw new Error(`[Vecburner] 未知插值算法: ${method}`);
+    }
+}
+
+/**
+ * 创建 ImageData-like 对象
+ * 有原生 ImageData 时使用原生对象，否则返回普通对象
+ */
+export function createImageDataLike(data, width, height) {
+    if (typeof ImageData !== 'undefined') {
+        try {
+            return new ImageData(data, width, height);
+        } catch (e) {
+            // 某些环境的 ImageData 构造函数不可用，回退到普通对象
+        }
+    }
+    return { data, width, height };
+}
+
+/**
+ * 最近邻插值 - 保持像素画的锐利边缘
+ */
+export function resampleNearest(imageData, newWidth, newHeight) {
+    const { data, width, height } = imageData;
+    const out = new Uint8ClampedArray(newWidth * newHeight * 4);
+    const sx = width / newWidth;
+    const sy = height / newHeight;
+
+    for (let y = 0; y < newHeight; y++) {
+        const srcY = Math.min(height - 1, Math.floor((y + 0.5) * sy));
+        for (let x = 0; x < newWidth; x++) {
+            const srcX = Math.min(width - 1, Math.floor((x + 0.5) * sx));
+            const si = (srcY * width + srcX) * 4;
+            const di = (y * newWidth + x) * 4;
+            out[di] = data[si];
+            out[di + 1] = data[si + 1];
+            out[di + 2] = data[si + 2];
+            out[di + 3] = data[si + 3];
+        }
+    }
+
+    return createImageDataLike(out, newWidth, newHeight);
+}
+
+/**
+ * 双线性插值 - 效果接近 Canvas 的 imageSmoothingEnabled
+ * 使用预乘 alpha，避免透明像素的颜色渗入边缘
+ */
+export function resampleBilinear(imageData, newWidth, newHeight) {
+    const { data, width, height } = imageData;
+    const out = new Uint8ClampedArray(newWidth * newHeight * 4);
+    const sx = width / newWidth;
+    const sy = height / newHeight;
+
+    for (let y = 0; y < newHeight; y++) {
+        // 像素中心对齐
+        const fy = Math.max(0, (y + 0.5) * sy - 0.5);
+        const y0 = Math.min(height - 1, Math.floor(fy));
+        const y1 = Math.min(height - 1, y0 + 1);
+        const ty = fy - y0;
+
+        for (let x = 0; x < newWidth; x++) {
+            const fx = Math.max(0, (x + 0.5) * sx - 0.5);
+            const x0 = Math.min(width - 1, Math.floor(fx));
+            const x1 = Math.min(width - 1, x0 + 1);
+            const tx = fx - x0;
+
+            const w00 = (1 - tx) * (1 - ty);
+            const w10 = tx * (1 - ty);
+            const w01 = (1 - tx) * ty;
+            const w11 = tx * ty;
+
+            const i00 = (y0 * width + x0) * 4;
+            const i10 = (y0 * width + x1) * 4;
+            const i01 = (y1 * width + x0) * 4;
+            const i11 = (y1 * width + x1) * 4;
+
+            const a00 = data[i00 + 3] * w00;
+            const a10 = data[i10 + 3] * w10;
+            const a01 = data[i01 + 3] * w01;
+            const a11 = data[i11 + 3] * w11;
+            const alpha = a00 + a10 + a01 + a11;
+
+            const di = (y * newWidth + x) * 4;
+            if (alpha > 0) {
+                for (let c = 0; c < 3; c++) {
+                    out[di + c] = (data[i00 + c] * a00 + data[i10 + c] * a10 +
+                                   data[i01 + c] * a01 + data[i11 + c] * a11) / alpha;
+                }
+            }
+            out[di + 3] = alpha;
+        }
+    }
+
+    return createImageDataLike(out, newWidth, newHeight);
+}
+
+/**
+ * 三次卷积核 (Keys, a = -0.5)
+ */
+function cubicWeight(t) {
+    const a = -0.5;
+    const x = Math.abs(t);
+    if (x <= 1) return (a + 2) * x * x * x - (a + 3) * x * x + 1;
+    if (x < 2) return a * x * x * x - 5 * a * x * x + 8 * a * x - 4 * a;
+    return 0;
+}
+
+/**
+ * 双三次插值 - 边缘更锐利，适合照片和插画
+ * 同样使用预乘 alpha，结果截断到 0-255
+ */
+export function resampleBicubic(imageData, newWidth, newHeight) {
+    const { data, width, height } = imageData;
+    const out = new Uint8ClampedArray(newWidth * newHeight * 4);
+    const sx = width / newWidth;
+    const sy = height / newHeight;
+
+    const wx = new Float32Array(4);
+    const wy = new Float32Array(4);
+    const xs = new Int32Array(4);
+    const ys = new Int32Array(4);
+
+    for (let y = 0; y < newHeight; y++) {
+        const fy = (y + 0.5) * sy - 0.5;
+        const iy = Math.floor(fy);
+        for (let k = 0; k < 4; k++) {
+            ys[k] = Math.max(0, Math.min(height - 1, iy - 1 + k));
+            wy[k] = cubicWeight(fy - (iy - 1 + k));
+        }
+
+        for (let x = 0; x < newWidth; x++) {
+            const fx = (x + 0.5) * sx - 0.5;
+            const ix = Math.floor(fx);
+            for (let k = 0; k < 4; k++) {
+                xs[k] = Math.max(0, Math.min(width - 1, ix - 1 + k));
+                wx[k] = cubicWeight(fx - (ix - 1 + k));
+            }
+
+            let r = 0, g = 0, b = 0, a = 0;
+            for (let j = 0; j < 4; j++) {
+                const row = ys[j] * width;
+                for (let i = 0; i < 4; i++) {
+                    const w = wx[i] * wy[j];
+                    const si = (row + xs[i]) * 4;
+                    const pa = data[si + 3] * w;
+                    r += data[si] * pa;
+                    g += data[si + 1] * pa;
+                    b += data[si + 2] * pa;
+                    a += pa;
+                }
+            }
+
+            const di = (y * newWidth + x) * 4;
+            if (a > 0) {
+                out[di] = r / a;
+                out[di + 1] = g / a;
+                out[di + 2] = b / a;
+            }
+            out[di + 3] = a;
+        }
+    }
+
+    return createImageDataLike(out, newWidth, newHeight);
+}
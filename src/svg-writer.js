@@ -0,0 +1,30 @@
+/**
+ * Vecburner - SVG 元素输出
+ *
+ * 路径对象 → path / 基本图形元素，以及背景矩形；index.js、block-vectorize.js 和
+ * path-simplifier.js 拼装 SVG 时共用
+ */
+
+import { primitiveElement } from './primitives.js';
+
+/**
+ * 背景矩形 SVG 元素，无背景时返回空字符串
+ */
+export function backgroundRect(color, width, height) {
+    return color ? `<rect x="0" y="0" width="${width}" height="${height}" fill="${color}"/>\n` : '';
+}
+
+/**
+ * 路径对象 → SVG path 元素
+ * 带 primitive 字段（见 primitives.js）时输出对应的 circle / ellipse / rect / line 元素
+ * @param {Object} p - { d, fill, fillOpacity, fillRule, stroke, strokeWidth, strokeLineJoin, strokeLineCap, primitive }
+ */
+export function pathElement(p) {
+    const fillOpacity = p.fillOpacity < 1 ? ` fill-opacity="${p.fillOpacity}"` : '';
+    const fillRule = p.fillRule ? ` fill-rule="${p.fillRule}"` : '';
+    // 开放路径（中心线描边）需要线帽与连接样式；填充路径的描边只用于遮盖缝隙，沿用默认样式
+    const lineStyle = p.strokeLineCap ? ` stroke-linecap="${p.strokeLineCap}" stroke-linejoin="${p.strokeLineJoin || 'miter'}"` : '';
+    const stroke = ` stroke="${p.stroke || 'none'}" stroke-width="${p.strokeWidth || 0}"${lineStyle}`;
+    if (p.primitive) return primitiveElement(p.primitive, `fill="${p.fill}"${fillOpacity}${stroke}`);
+    return `<path d="${p.d}" fill="${p.fill}"${fillOpacity}${fillRule}${stroke}/>`;
+}
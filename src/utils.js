@@ -1,56 +1,28 @@
 /**
  * Vecburner - 工具函数模块
  * 
- * 提供基础工具函数和 CDN 依赖加载
+ * 提供基础工具函数
  */
 
-// ============ CDN 依赖 ============
-const CDN_LIBS = {
-    simplify: 'https://cdn.jsdelivr.net/npm/simplify-js@1.2.4/simplify.min.js',
-    fitCurve: 'https://cdn.jsdelivr.net/npm/fit-curve@0.2.0/lib/fit-curve.js'
-};
-
-let libsLoaded = false;
-
 /**
- * 加载 CDN 依赖库
- * 在 Web Worker 中会跳过，使用内置算法
+ * 旧版本用于从 CDN 注入 fit-curve / simplify-js
+ * 现已内置对应算法（见 curve-fitter.js 的 fitCurve 和 path-simplify.js 的 simplifyPath），
+ * 保留为空操作以兼容旧代码
+ * @deprecated 不再需要调用
  */
-export async function loadCdnLibs() {
-    if (libsLoaded) return;
-    
-    // Worker 环境中没有 document，跳过 CDN 加载
-    if (typeof document === 'undefined') {
-        console.log('[Vecburner] Worker 环境，使用内置算法');
-        libsLoaded = true;
-        return;
-    }
-    
-    const loadScript = (url) => new Promise((resolve, reject) => {
-        if (document.querySelector(`script[src="${url}"]`)) { resolve(); return; }
-        const script = document.createElement('script');
-        script.src = url;
-        script.onload = resolve;
-        script.onerror = () => reject(new Error(`Failed: ${url}`));
-        document.head.appendChild(script);
-    });
-
-    try {
-        await Promise.all(Object.values(CDN_LIBS).map(loadScript));
-        libsLoaded = true;
-    } catch (e) {
-        console.warn('[Vecburner] CDN 加载失败，使用内置算法');
-    }
-}
+export async function loadCdnLibs() {}
 
 // ============ 颜色工具 ============
 
 /**
  * 颜色距离平方
+ * 任一颜色带 alpha 分量（[r, g, b, a]）时把 alpha 差也计入，缺省的 alpha 视为 255
  */
 export function colorDistSq(c1, c2) {
     const dr = c1[0] - c2[0], dg = c1[1] - c2[1], db = c1[2] - c2[2];
-    return dr * dr + dg * dg + db * db;
+    if (c1.length < 4 && c2.length < 4) return dr * dr + dg * dg + db * db;
+    const da = (c1.length > 3 ? c1[3] : 255) - (c2.length > 3 ? c2[3] : 255);
+    return dr * dr + dg * dg + db * db + da * da;
 }
 
 /**
@@ -60,6 +32,83 @@ export function colorDistance(c1, c2) {
     return Math.sqrt(colorDistSq(c1, c2));
 }
 
+/**
+ * 规范化用户提供的颜色列表（palette / lockColors 选项）
+ * 每项为 [r, g, b]、[r, g, b, a] 或十六进制字符串 '#rgb' | '#rrggbb' | '#rrggbbaa'
+ * @param {Array} colors - 颜色列表
+ * @param {string} name - 选项名，用于错误信息
+ * @returns {Array} 取整后的 [r, g, b] / [r, g, b, a] 数组（不透明的十六进制颜色不带 alpha）
+ */
+export function normalizeColorList(colors, name = 'palette') {
+    if (!Array.isArray(colors)) {
+        throw new TypeError(`[Vecburner] ${name} 必须是颜色数组`);
+    }
+    return colors.map(color => {
+        let channels = color;
+        if (typeof color === 'string') {
+            let hex = color.trim().replace(/^#/, '');
+            if (hex.length === 3 || hex.length === 4) hex = hex.replace(/./g, ch => ch + ch);
+            channels = /^([0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex) ? hex.match(/../g).map(h => parseInt(h, 16)) : null;
+            if (channels && channels[3] === 255) channels.length = 3;
+        }
+        const valid = Array.isArray(channels) && (channels.length === 3 || channels.length === 4) &&
+            channels.every(v => typeof v === 'number' && v >= 0 && v <= 255);
+        if (!valid) {
+            throw new TypeError(`[Vecburner] ${name} 中的颜色无效: ${JSON.stringify(color)}`);
+        }
+        return channels.map(Math.round);
+    });
+}
+
+/**
+ * 调色板颜色的不透明度（0~1），不带 alpha 分量时为 1
+ */
+export function colorOpacity(color) {
+    return color.length > 3 ? Math.round(color[3] / 255 * 1000) / 1000 : 1;
+}
+
+/**
+ * 图像是否含透明像素（alpha ≤ 128，与颜色分配时的透明判定一致）
+ */
+export function hasTransparency(imageData) {
+    const data = imageData.data;
+    for (let i = 3; i < data.length; i += 4) {
+        if (data[i] <= 128) return true;
+    }
+    return false;
+}
+
+/**
+ * 解析 background 选项
+ * @param {string} background - 'auto' | 'none' | CSS 颜色
+ * @param {string|null} autoColor - 'auto' 时使用的颜色，null 表示透明
+ * @returns {string|null} 背景色，null 表示不生成背景矩形
+ */
+export function resolveBackground(background, autoColor) {
+    if (background === 'none' || background === null || background === false) return null;
+    if (background === 'auto' || background === undefined) return autoColor;
+    return background;
+}
+
+// ============ 随机数 ============
+
+/**
+ * 可复现的伪随机数生成器（mulberry32）
+ * 相同种子产生相同序列，用于代替 Math.random 使输出可复现
+ * @param {number} seed - 种子，按 32 位整数处理
+ * @returns {Function} () => [0, 1) 内的浮点数
+ */
+export function createRandom(seed = 1) {
+    let state = seed >>> 0;
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
 // ============ 几何工具 ============
 
 /**
@@ -94,6 +143,23 @@ export function pointLineDistance(point, lineStart, lineEnd) {
     return Math.abs(dy * point.x - dx * point.y + lineEnd.x * lineStart.y - lineEnd.y * lineStart.x) / len;
 }
 
+/**
+ * 点是否在多边形内（射线法，边界上的点结果不确定）
+ * @param {Object} point - {x, y}
+ * @param {Array} polygon - 点数组 [{x, y}, ...]
+ */
+export function pointInPolygon(point, polygon) {
+    let inside = false;
+    const { x, y } = point;
+    for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+        const a = polygon[i], b = polygon[j];
+        if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
 /**
  * 计算轮廓面积 (Shoelace formula)
  */
@@ -179,3 +245,64 @@ export function denoisePixelMap(pixelColorMap, width, height, iterations = 1) {
     
     return pixelColorMap;
 }
+
+// ============ 进度与取消 ============
+
+/**
+ * 信号已取消时抛出错误
+ * 优先抛出 signal.reason（与 AbortSignal.throwIfAborted 一致），否则抛出 AbortError
+ * @param {AbortSignal} signal - 可选的取消信号
+ */
+export function throwIfAborted(signal) {
+    if (!signal || !signal.aborted) return;
+    if (signal.reason !== undefined) throw signal.reason;
+    const err = new Error('[Vecburner] 矢量化已取消');
+    err.name = 'AbortError';
+    throw err;
+}
+
+/**
+ * 让出事件循环，避免长时间阻塞主线程
+ * Node.js 使用 setImmediate，浏览器使用 MessageChannel（不受 setTimeout 4ms 限制）
+ */
+export function yieldToEventLoop() {
+    if (typeof setImmediate === 'function') {
+        return new Promise(resolve => setImmediate(resolve));
+    }
+    if (typeof MessageChannel === 'function') {
+        return new Promise(resolve => {
+            const channel = new MessageChannel();
+            channel.port1.onmessage = () => {
+                channel.port1.close();
+                resolve();
+            };
+            channel.port2.postMessage(null);
+        });
+    }
+    return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+/**
+ * 创建进度检查点
+ * 每次调用：检查取消信号 → 回调 onProgress → 距上次让出超过 interval 毫秒时让出事件循环
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - 取消信号
+ * @param {Function} options.onProgress - 进度回调
+ * @param {number} options.interval - 让出事件循环的间隔（毫秒），默认 16
+ * @returns {Function} async (progress) => void
+ */
+export function createCheckpoint({ signal, onProgress, interval = 16 } = {}) {
+    const now = () => (typeof performance !== 'undefined' ? performance.now() : Date.now());
+    let lastYield = now();
+
+    return async function checkpoint(progress) {
+        throwIfAborted(signal);
+        if (onProgress && progress) onProgress(progress);
+
+        if (now() - lastYield >= interval) {
+            await yieldToEventLoop();
+            lastYield = now();
+            throwIfAborted(signal);
+        }
+    };
+}
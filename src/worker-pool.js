@@ -0,0 +1,291 @@
+/**
+ * Vecburner - Worker 池
+ *
+ * 颜色图层在 pixelColorMap 计算完成后彼此独立，
+ * 把每个图层的 位图 → 追踪 → 平滑 → 拟合 分发到多个 Worker 并行处理
+ * 浏览器使用 Web Worker，Node.js 使用 worker_threads
+ *
+ * @example
+ * const pool = Vecburner.createPool({ workers: 4 });
+ * const result = await pool.vectorize(imageData, Vecburner.presets.photo);
+ * pool.terminate();
+ */
+
+import { throwIfAborted } from './utils.js';
+import { toLogger } from './logger.js';
+
+// Worker 连续加载失败达到此次数后不再重建，Worker 池失效
+const MAX_WORKER_FAILURES = 3;
+
+/**
+ * 默认 Worker 数量：保留一个核心给主线程
+ */
+function defaultWorkerCount() {
+    const cores = typeof navigator !== 'undefined' && navigator.hardwareConcurrency;
+    return Math.max(1, (cores || 4) - 1);
+}
+
+/**
+ * 创建 Worker 并统一浏览器 / Node.js 的接口
+ * @returns {Promise<Object>} { post, terminate, ref, unref }
+ */
+async function spawnWorker(url, onMessage, onError) {
+    if (typeof Worker === 'function') {
+        const worker = new Worker(url, { type: 'module' });
+        worker.onmessage = (e) => onMessage(e.data);
+        worker.onerror = (e) => {
+            if (e.preventDefault) e.preventDefault();
+            onError(e.error || new Error(`[Vecburner] Worker 错误: ${e.message}`));
+        };
+        return {
+            post: (msg, transfer) => worker.postMessage(msg, transfer || []),
+            terminate: () => worker.terminate(),
+            ref: () => {},
+            unref: () => {}
+        };
+    }
+
+    // Node.js：变量说明符，避免打包工具在浏览器构建中解析 node: 模块
+    const specifier = 'node:worker_threads';
+    const { Worker: NodeWorker } = await import(/* @vite-ignore */ /* webpackIgnore: true */ specifier);
+    const worker = new NodeWorker(url);
+    worker.on('message', onMessage);
+    worker.on('error', onError);
+    // 空闲时不阻止进程退出
+    worker.unref();
+    return {
+        post: (msg, transfer) => worker.postMessage(msg, transfer || []),
+        terminate: () => worker.terminate(),
+        ref: () => worker.ref(),
+        unref: () => worker.unref()
+    };
+}
+
+/**
+ * 为单个 Worker 复制图层上下文
+ * 图像和颜色分配图复制后以 transferable 方式转移，避免结构化克隆的二次拷贝
+ */
+function cloneContext(context) {
+    const { imageData, pixelColorMap } = context;
+    const data = new Uint8ClampedArray(imageData.data);
+    const map = new Uint8Array(pixelColorMap);
+    return {
+        context: {
+            ...context,
+            imageData: { data, width: imageData.width, height: imageData.height },
+            pixelColorMap: map
+        },
+        transfer: [data.buffer, map.buffer]
+    };
+}
+
+/**
+ * 创建 Worker 池
+ * @param {Object} options
+ * @param {number} options.workers - Worker 数量，默认 CPU 核心数 - 1
+ * @param {string|URL} options.workerUrl - Worker 脚本地址，默认同目录下的 layer-worker.js
+ * @returns {Object} { size, ready, traceLayers, terminate }
+ */
+export function createWorkerPool(options = {}) {
+    const {
+        workers: size = defaultWorkerCount(),
+        workerUrl = new URL('./layer-worker.js', import.meta.url)
+    } = options;
+
+    if (!Number.isInteger(size) || size < 1) {
+        throw new RangeError(`[Vecburner] workers 必须是正整数: ${size}`);
+    }
+
+    const slots = new Array(size).fill(null);
+    let current = null;      // 当前运行 { runId, handle(slot, msg), fail(err) }
+    let nextRunId = 1;
+    let queue = Promise.resolve();
+    let terminated = false;
+    let broken = null;       // Worker 反复加载失败时的错误，之后的运行直接失败
+
+    /**
+     * 启动一个 Worker，收到其 ready 消息后 resolve，加载失败（脚本出错等）时 reject
+     */
+    const startWorker = (index) => new Promise((resolve, reject) => {
+        const slot = { index, worker: null, loaded: false };
+        spawnWorker(
+            workerUrl,
+            (msg) => {
+                if (msg.type === 'ready') {
+                    slot.loaded = true;
+                    slot.worker.unref();
+                    resolve(slot);
+                    return;
+                }
+                if (current && msg.runId === current.runId) current.handle(slot, msg);
+            },
+            (err) => {
+                if (slot.worker) slot.worker.terminate();
+                if (!slot.loaded) {
+                    reject(err);
+                    return;
+                }
+                // 运行中崩溃：当前运行失败，并替换该 Worker
+                if (current) current.fail(err);
+                if (terminated || broken) return;
+                slots[index] = null;
+                replaceSlot(index);
+            }
+        ).then(worker => {
+            slot.worker = worker;
+            if (terminated) worker.terminate();
+            // 加载期间保持进程运行，直到收到 ready 或加载失败
+            else worker.ref();
+        }, reject);
+    });
+
+    /**
+     * 创建 Worker，加载失败时重试，连续 MAX_WORKER_FAILURES 次失败后放弃
+     */
+    const createSlot = async (index) => {
+        for (let attempt = 1; ; attempt++) {
+            try {
+                return await startWorker(index);
+            } catch (err) {
+                if (terminated || attempt >= MAX_WORKER_FAILURES) throw err;
+            }
+        }
+    };
+
+    const fail = (err) => {
+        broken = broken || err;
+        throw broken;
+    };
+
+    const replaceSlot = (index) => {
+        ready = ready.then(() => createSlot(index)).then(s => { slots[index] = s; }, fail);
+        // 没有等待者时不产生未处理的 rejection
+        ready.catch(() => {});
+    };
+
+    let ready = Promise.all(Array.from({ length: size }, (_, i) => createSlot(i)))
+        .then(created => { for (const slot of created) slots[slot.index] = slot; }, fail);
+    ready.catch(() => {});
+
+    /**
+     * 并行追踪所有颜色图层
+     * @param {Object} context - 图层上下文（见 layer-tracer.js 的 traceLayer）
+     * @param {Object} runOptions - { signal, onProgress, logger }
+     * @returns {Promise<Array>} 按调色板顺序排列的图层（无路径的图层为 null）
+     */
+    async function runLayers(context, { signal = null, onProgress = null, logger = null } = {}) {
+        if (terminated) throw new Error('[Vecburner] Worker 池已关闭');
+        if (broken) throw broken;
+        throwIfAborted(signal);
+        // 等待期间有 Worker 崩溃时 ready 会被替换为重建后的 Promise
+        let waiting;
+        do {
+            waiting = ready;
+            await waiting;
+        } while (waiting !== ready);
+        // Worker 启动期间触发的 abort 事件已经错过，这里再检查一次
+        throwIfAborted(signal);
+
+        const log = toLogger(logger);
+        const runId = nextRunId++;
+        const layerCount = context.palette.length;
+        const results = new Array(layerCount).fill(null);
+        const active = slots.filter(Boolean);
+
+        if (layerCount === 0) return results;
+        if (active.length === 0) throw new Error('[Vecburner] 没有可用的 Worker');
+
+        return new Promise((resolve, reject) => {
+            let nextLayer = 0;
+            let completed = 0;
+            let settled = false;
+
+            const finish = (err) => {
+                if (settled) return;
+                settled = true;
+                current = null;
+                if (signal) signal.removeEventListener('abort', onAbort);
+                for (const slot of active) {
+                    slot.worker.post({ type: 'end', runId });
+                    slot.worker.unref();
+                }
+                if (err) reject(err);
+                else resolve(results);
+            };
+
+            const onAbort = () => {
+                try {
+                    throwIfAborted(signal);
+                } catch (e) {
+                    finish(e);
+                }
+            };
+
+            const dispatch = (slot) => {
+                if (nextLayer >= layerCount) return;
+                slot.worker.post({ type: 'layer', runId, colorIdx: nextLayer++, logLevel: log.level });
+            };
+
+            current = {
+                runId,
+                handle(slot, msg) {
+                    // 回放 Worker 中产生的日志
+                    for (const record of msg.logs || []) {
+                        log[record.level](record.event, record.message, record.data);
+                    }
+
+                    if (msg.type === 'error') {
+                        const err = new Error(msg.message);
+                        if (msg.stack) err.stack = msg.stack;
+                        finish(err);
+                        return;
+                    }
+
+                    results[msg.colorIdx] = msg.layer;
+                    completed++;
+                    if (onProgress) {
+                        onProgress({ stage: 'layer', layerIndex: msg.colorIdx, layerCount, contourIndex: 0, contourCount: 0 });
+                    }
+
+                    if (completed === layerCount) finish();
+                    else dispatch(slot);
+                },
+                fail: finish
+            };
+
+            if (signal) signal.addEventListener('abort', onAbort);
+
+            for (const slot of active) {
+                const { context: copy, transfer } = cloneContext(context);
+                slot.worker.ref();
+                slot.worker.post({ type: 'run', runId, context: copy }, transfer);
+                dispatch(slot);
+            }
+        });
+    }
+
+    return {
+        size,
+
+        /** Worker 全部加载完成时 resolve，反复加载失败时 reject */
+        get ready() { return ready; },
+
+        /**
+         * 并行追踪所有颜色图层，同一个池上的多次调用按顺序排队执行
+         */
+        traceLayers(context, runOptions) {
+            const run = queue.then(() => runLayers(context, runOptions));
+            queue = run.catch(() => {});
+            return run;
+        },
+
+        /**
+         * 关闭所有 Worker
+         */
+        terminate() {
+            terminated = true;
+            if (current) current.fail(new Error('[Vecburner] Worker 池已关闭'));
+            return ready.catch(() => {}).then(() => Promise.all(slots.filter(Boolean).map(s => s.worker.terminate())));
+        }
+    };
+}